@@ -8,25 +8,8 @@ async function addMissingColumns() {
   console.log('🔧 Adding missing columns to database...\n');
 
   try {
-    // Check if isAdmin column exists in User table
-    console.log('1. Checking User table...');
-    try {
-      await prisma.$executeRawUnsafe('SELECT "isAdmin" FROM "User" LIMIT 1');
-      console.log('   ✅ User.isAdmin column already exists');
-    } catch (err) {
-      if (err.message.includes('no such column: isAdmin')) {
-        console.log('   ➕ Adding User.isAdmin column...');
-        await prisma.$executeRawUnsafe(`
-          ALTER TABLE "User" ADD COLUMN "isAdmin" INTEGER DEFAULT 0;
-        `);
-        console.log('   ✅ User.isAdmin column added');
-      } else {
-        throw err;
-      }
-    }
-
     // Check if cardCustomization column exists in Driver table
-    console.log('\n2. Checking Driver table...');
+    console.log('1. Checking Driver table...');
     try {
       await prisma.$executeRawUnsafe('SELECT "cardCustomization" FROM "Driver" LIMIT 1');
       console.log('   ✅ Driver.cardCustomization column already exists');
@@ -51,7 +34,7 @@ async function addMissingColumns() {
       'updatedAt'
     ];
 
-    console.log('\n3. Checking other Driver columns...');
+    console.log('\n2. Checking other Driver columns...');
     for (const col of driverColumnsToCheck) {
       try {
         await prisma.$executeRawUnsafe(`SELECT "${col}" FROM "Driver" LIMIT 1`);
@@ -79,12 +62,11 @@ async function addMissingColumns() {
     }
 
     // Verify the fix worked
-    console.log('\n4. Verifying fixes...');
+    console.log('\n3. Verifying fixes...');
     await prisma.user.findFirst({
       select: {
         id: true,
         username: true,
-        isAdmin: true,
         createdAt: true
       }
     });
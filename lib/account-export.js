@@ -0,0 +1,126 @@
+/**
+ * Account Export
+ *
+ * Lays out a user's data export: account.json holds everything, and the list-shaped parts
+ * (XP history, achievements, iRacing races) are repeated as CSV for spreadsheets. The server
+ * loads the rows (leaving out secrets such as password hashes and OAuth tokens) and zips the
+ * files.
+ *
+ * Pure functions only.
+ */
+
+const csv = require('./csv');
+
+const XP_COLUMNS = ['createdAt', 'source', 'amount', 'reason', 'reference'];
+const ACHIEVEMENT_COLUMNS = ['unlockedAt', 'name', 'description', 'rarity', 'category', 'xpReward'];
+const RACE_COLUMNS = [
+  'startTime',
+  'sessionType',
+  'leagueName',
+  'trackName',
+  'carName',
+  'subSessionId',
+  'startingPosition',
+  'finishPosition',
+  'lapsCompleted',
+  'lapsLed',
+  'bestLapTime',
+  'interval',
+  'incidents',
+];
+
+const README = `Solana Grand Prix account data export
+
+account.json           Everything below in one file: profile, roles, signed-in devices,
+                       driver profile and stats (with card customization), achievements,
+                       XP history, connected iRacing account, races, protests and account
+                       deletion requests.
+xp-history.csv         Every XP change on your driver, oldest first.
+achievements.csv       Achievements you have unlocked.
+iracing-races.csv      iRacing sessions you took part in, with your result.
+
+Times are UTC (ISO 8601). Passwords, two-factor secrets and iRacing access tokens are never
+exported.
+`;
+
+// Stored JSON columns back to objects (left as text if they don't parse)
+function parseJson(text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+const isoDates = (column, value) => (value instanceof Date ? value.toISOString() : value);
+
+/**
+ * Shape loaded rows into the export document
+ * @param {Object} data - { user, roles, devices, driver, achievements (DriverAchievement with
+ *   achievement), xpHistory, iracingAccount, races (IracingSessionParticipant with session),
+ *   protestsFiled, protestsAgainst, deletionRequest }
+ * @param {Date} exportedAt - When the export was made
+ * @returns {Object} The account.json document
+ */
+function buildExportDocument(data, exportedAt) {
+  const { driver } = data;
+  return {
+    exportedAt,
+    profile: data.user,
+    roles: data.roles,
+    devices: data.devices,
+    driver: driver && { ...driver, cardCustomization: parseJson(driver.cardCustomization) },
+    achievements: data.achievements.map((unlock) => ({
+      name: unlock.achievement.name,
+      description: unlock.achievement.description,
+      rarity: unlock.achievement.rarity,
+      category: unlock.achievement.category,
+      xpReward: unlock.achievement.xpReward,
+      unlockedAt: unlock.unlockedAt,
+      awardedByAdmin: unlock.awardedBy !== null,
+      context: parseJson(unlock.context),
+    })),
+    xpHistory: data.xpHistory,
+    iracingAccount: data.iracingAccount,
+    races: data.races.map(({ session, ...result }) => ({
+      sessionId: session.sessionId,
+      subSessionId: session.subSessionId,
+      sessionType: session.sessionType,
+      leagueName: session.leagueName,
+      trackName: session.trackName,
+      startTime: session.startTime,
+      ...result,
+      carName: result.carName || session.carName,
+    })),
+    protestsFiled: data.protestsFiled,
+    protestsAgainst: data.protestsAgainst,
+    deletionRequest: data.deletionRequest,
+  };
+}
+
+/**
+ * Files for the export archive
+ * @param {Object} data - See buildExportDocument
+ * @param {Object} options - { exportedAt: Date }
+ * @returns {Array<Object>} { name, content } for lib/zip.js
+ */
+function buildExportFiles(data, { exportedAt = new Date() } = {}) {
+  const document = buildExportDocument(data, exportedAt);
+  const options = { format: isoDates };
+  return [
+    { name: 'README.txt', content: README },
+    { name: 'account.json', content: JSON.stringify(document, null, 2) + '\n' },
+    { name: 'xp-history.csv', content: csv.toCsv(document.xpHistory, XP_COLUMNS, options) },
+    {
+      name: 'achievements.csv',
+      content: csv.toCsv(document.achievements, ACHIEVEMENT_COLUMNS, options),
+    },
+    { name: 'iracing-races.csv', content: csv.toCsv(document.races, RACE_COLUMNS, options) },
+  ];
+}
+
+module.exports = {
+  buildExportDocument,
+  buildExportFiles,
+};
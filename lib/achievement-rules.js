@@ -0,0 +1,168 @@
+/**
+ * Achievement Rules
+ *
+ * Machine-readable unlock criteria for achievement templates, stored as JSON on
+ * Achievement.criteria, e.g. { "type": "clean_races", "count": 10, "maxIncidents": 0 }.
+ * A driver's official league history is checked against them after every sync and
+ * results import, and again for all history when a template's rule is added or changed.
+ *
+ * Pure functions only: the server builds the history and records the unlocks.
+ */
+
+// type -> description builder; every rule takes a count (default 1)
+const RULE_TYPES = {
+  starts: (c) => `Start ${c.count} league race${c.count === 1 ? '' : 's'}`,
+  wins: (c) => (c.count === 1 ? 'Win a league race' : `Win ${c.count} league races`),
+  podiums: (c) => `Finish on the podium ${c.count} time${c.count === 1 ? '' : 's'}`,
+  clean_races: (c) =>
+    `Finish ${c.count} race${c.count === 1 ? '' : 's'} with ${c.maxIncidents} incident${c.maxIncidents === 1 ? '' : 's'} or fewer`,
+  podium_tracks: (c) =>
+    `Finish on the podium at ${c.count} different track${c.count === 1 ? '' : 's'}`,
+  season_complete: (c) =>
+    c.count === 1 ? 'Start every race of a season' : `Start every race of ${c.count} seasons`,
+};
+
+/**
+ * Validate criteria from the admin API
+ * @param {Object|string|null} input - Criteria object or JSON text (null/empty = manual only)
+ * @returns {Object} { criteria } (null for manual-only achievements) or { error }
+ */
+function parseCriteria(input) {
+  if (input === null || input === undefined || input === '') return { criteria: null };
+
+  let raw = input;
+  if (typeof raw === 'string') {
+    try {
+      raw = JSON.parse(raw);
+    } catch (err) {
+      return { error: `Criteria is not valid JSON: ${err.message}` };
+    }
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'Criteria must be an object with a "type".' };
+  }
+  if (!RULE_TYPES[raw.type]) {
+    return { error: `Criteria type must be one of: ${Object.keys(RULE_TYPES).join(', ')}` };
+  }
+
+  const count = raw.count === undefined ? 1 : Number(raw.count);
+  if (!Number.isInteger(count) || count < 1) {
+    return { error: 'Criteria count must be a positive whole number.' };
+  }
+
+  const criteria = { type: raw.type, count };
+  if (raw.type === 'clean_races') {
+    const maxIncidents = raw.maxIncidents === undefined ? 0 : Number(raw.maxIncidents);
+    if (!Number.isInteger(maxIncidents) || maxIncidents < 0) {
+      return { error: 'Criteria maxIncidents must be zero or more.' };
+    }
+    criteria.maxIncidents = maxIncidents;
+  }
+  return { criteria };
+}
+
+/**
+ * Read stored criteria (Achievement.criteria JSON), ignoring anything invalid
+ * @param {string|null} text - Stored JSON
+ * @returns {Object|null} Criteria, or null if the achievement is manual only
+ */
+function readCriteria(text) {
+  const { criteria } = parseCriteria(text);
+  return criteria || null;
+}
+
+/**
+ * Human-readable criteria, e.g. "Finish 10 races with 0 incidents or fewer"
+ * @param {Object|null} criteria - Parsed criteria
+ * @returns {string|null} Description, or null for manual-only achievements
+ */
+function describeCriteria(criteria) {
+  return criteria ? RULE_TYPES[criteria.type](criteria) : null;
+}
+
+/**
+ * Does one race count towards a result-based rule?
+ */
+function countsTowards(criteria, result) {
+  switch (criteria.type) {
+    case 'starts':
+      return true;
+    case 'wins':
+      return result.classified && result.finishPosition === 1;
+    case 'podiums':
+    case 'podium_tracks':
+      return result.classified && result.finishPosition <= 3;
+    case 'clean_races':
+      return result.classified && result.incidents <= criteria.maxIncidents;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check criteria against a driver's history
+ * @param {Object} criteria - Parsed criteria
+ * @param {Object} history - { results, seasons }: results are the driver's official league
+ *   results ({ sessionId, startTime, trackName, finishPosition, classified, incidents });
+ *   seasons are completed seasons ({ id, name, sessionIds })
+ * @returns {Object} { met, progress, target, achievedAt, context } - achievedAt is when the
+ *   rule was first met (the deciding race) and context says what met it
+ */
+function evaluateCriteria(criteria, history) {
+  const target = criteria.count;
+  const results = (history.results || [])
+    .slice()
+    .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+
+  if (criteria.type === 'season_complete') {
+    const started = new Map(results.map((r) => [r.sessionId, r]));
+    const completed = (history.seasons || [])
+      .filter((s) => s.sessionIds.length > 0 && s.sessionIds.every((id) => started.has(id)))
+      .map((s) => ({
+        season: s,
+        finishedAt: Math.max(...s.sessionIds.map((id) => new Date(started.get(id).startTime))),
+      }))
+      .sort((a, b) => a.finishedAt - b.finishedAt);
+
+    const deciding = completed[target - 1];
+    return {
+      met: !!deciding,
+      progress: Math.min(completed.length, target),
+      target,
+      achievedAt: deciding ? new Date(deciding.finishedAt) : null,
+      context: deciding ? { seasonId: deciding.season.id, seasonName: deciding.season.name } : null,
+    };
+  }
+
+  let progress = 0;
+  const tracks = new Set();
+  for (const result of results) {
+    if (!countsTowards(criteria, result)) continue;
+
+    if (criteria.type === 'podium_tracks') {
+      if (tracks.has(result.trackName)) continue;
+      tracks.add(result.trackName);
+    }
+    progress++;
+
+    if (progress === target) {
+      return {
+        met: true,
+        progress,
+        target,
+        achievedAt: new Date(result.startTime),
+        context: { sessionId: result.sessionId, trackName: result.trackName },
+      };
+    }
+  }
+
+  return { met: false, progress, target, achievedAt: null, context: null };
+}
+
+module.exports = {
+  RULE_TYPES,
+  parseCriteria,
+  readCriteria,
+  describeCriteria,
+  evaluateCriteria,
+};
@@ -0,0 +1,108 @@
+/**
+ * Audit Log
+ *
+ * Every mutating admin route records an AuditLog row: who did it, what (an action such as
+ * "calendar.update"), to what (targetType + targetId), what changed, and from which IP.
+ * Changes are stored as JSON { field: { before, after } } holding only the fields that
+ * differ, so a row stays readable when the record is large.
+ *
+ * Pure functions only: the server writes the rows and serves the viewer and export.
+ */
+
+const csv = require('./csv');
+
+// action -> label for the admin viewer; actions are "<target>.<verb>"
+const AUDIT_ACTIONS = {
+  'user.roles': 'Changed roles',
+  'featured_driver.update': 'Set featured driver',
+  'achievement.create': 'Created achievement',
+  'achievement.update': 'Edited achievement',
+  'achievement.delete': 'Deleted achievement',
+  'achievement.award': 'Awarded achievement',
+  'deletion_request.approve': 'Approved account deletion',
+  'deletion_request.deny': 'Denied account deletion',
+  'calendar.create': 'Created calendar event',
+  'calendar.update': 'Edited calendar event',
+  'calendar.delete': 'Deleted calendar event',
+  'season.create': 'Created season',
+  'season.update': 'Edited season',
+  'season.delete': 'Deleted season',
+  'round.create': 'Added round',
+  'round.update': 'Edited round',
+  'round.delete': 'Deleted round',
+  'xp.adjust': 'Adjusted XP',
+  'driver_stats.recompute': 'Recomputed driver stats',
+  'sync.run': 'Ran iRacing sync',
+  'sync.reset': 'Reset sync account',
+  'results.publish': 'Published imported results',
+  'results.create_session': 'Created manual race',
+  'results.update': 'Edited results',
+  'results.upload': 'Uploaded results file',
+  'adjustment.create': 'Added result adjustment',
+  'adjustment.update': 'Edited result adjustment',
+  'adjustment.delete': 'Removed result adjustment',
+  'protest.review': 'Took protest under review',
+  'protest.decide': 'Decided protest',
+};
+
+// Fields never written to the log
+const REDACTED_FIELDS = [
+  'passwordHash',
+  'totpSecret',
+  'accessToken',
+  'refreshToken',
+  'tokenDataKey',
+];
+
+function comparable(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (value && typeof value === 'object') return JSON.stringify(value);
+  return value === undefined ? null : value;
+}
+
+/**
+ * Fields that differ between two versions of a record
+ * @param {Object|null} before - Record before the change (null when it was created)
+ * @param {Object|null} after - Record after the change (null when it was deleted)
+ * @returns {Object|null} { field: { before, after } }, or null if nothing differs
+ */
+function diffChanges(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = {};
+  for (const field of fields) {
+    if (REDACTED_FIELDS.includes(field)) continue;
+    const was = comparable(before ? before[field] : null);
+    const now = comparable(after ? after[field] : null);
+    if (was !== now) changes[field] = { before: was, after: now };
+  }
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+const CSV_COLUMNS = [
+  'id',
+  'createdAt',
+  'actorId',
+  'actorName',
+  'action',
+  'targetType',
+  'targetId',
+  'changes',
+  'ip',
+];
+
+/**
+ * Audit entries as CSV (one row per entry, changes as JSON)
+ * @param {Array<Object>} entries - AuditLog rows
+ * @returns {string} CSV text with a header row
+ */
+function toCsv(entries) {
+  return csv.toCsv(entries, CSV_COLUMNS, {
+    format: (column, value) => (column === 'createdAt' ? new Date(value).toISOString() : value),
+  });
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  diffChanges,
+  toCsv,
+};
@@ -0,0 +1,33 @@
+/**
+ * CSV
+ *
+ * CSV for downloads (audit log, account data export), written to open cleanly in
+ * spreadsheets: RFC 4180 quoting, CRLF line ends, and text that looks like a formula is
+ * prefixed with ' so it isn't run.
+ */
+
+// Quote when needed, and defuse text a spreadsheet would run as a formula (numbers such as -50
+// are left alone)
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Rows as CSV
+ * @param {Array<Object>} rows - One object per row
+ * @param {Array<string>} columns - Keys to write, in order (also the header row)
+ * @param {Object} options - { format(column, value): value to write, e.g. dates as ISO strings }
+ * @returns {string} CSV text with a header row
+ */
+function toCsv(rows, columns, { format = (column, value) => value } = {}) {
+  const lines = rows.map((row) =>
+    columns.map((column) => csvCell(format(column, row[column]))).join(',')
+  );
+  return [columns.join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  toCsv,
+};
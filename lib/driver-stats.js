@@ -0,0 +1,99 @@
+/**
+ * Driver Stats
+ *
+ * Derives the stats shown on a driver's card from data we already sync, so they no longer
+ * drift from hand edits:
+ * - starts, wins, podiums, dnfs, bestFinish, winRate: from the driver's official league
+ *   results (standings row); championships: from completed seasons' standings
+ * - irating, license: from the licenses on the driver's iRacing member record
+ *
+ * Pure functions only: the server loads standings and member info and writes the Driver row.
+ */
+
+// Driver fields owned by this module; profile edits may not set them
+const RESULT_FIELDS = [
+  'starts',
+  'wins',
+  'podiums',
+  'dnfs',
+  'championships',
+  'bestFinish',
+  'winRate',
+];
+const RATING_FIELDS = ['irating', 'license'];
+const DERIVED_FIELDS = [...RESULT_FIELDS, ...RATING_FIELDS];
+
+// License categories in order of preference (the league races sports cars)
+const DEFAULT_LICENSE_CATEGORIES = [
+  'sports_car',
+  'road',
+  'formula_car',
+  'oval',
+  'dirt_road',
+  'dirt_oval',
+];
+
+/**
+ * Derive result stats from a driver's league standings row
+ * @param {Object|undefined} record - Row from pointsEngine.computeStandings (undefined if the
+ *   driver has no league races)
+ * @param {number} championships - Completed seasons the driver won
+ * @returns {Object} { starts, wins, podiums, dnfs, championships, bestFinish, winRate } -
+ *   bestFinish is 0 without a finish and winRate is a percentage rounded to one decimal
+ */
+function deriveResultStats(record, championships = 0) {
+  if (!record || !record.starts) {
+    return { starts: 0, wins: 0, podiums: 0, dnfs: 0, championships, bestFinish: 0, winRate: 0 };
+  }
+  return {
+    starts: record.starts,
+    wins: record.wins,
+    podiums: record.podiums,
+    dnfs: record.dnfs,
+    championships,
+    bestFinish: record.bestFinish || 0,
+    winRate: Math.round((record.wins / record.starts) * 1000) / 10,
+  };
+}
+
+/**
+ * Format a license for display, e.g. "A 3.45" or "Rookie 2.50"
+ * @param {Object} license - Normalized license ({ groupName, safetyRating })
+ * @returns {string} License label
+ */
+function formatLicense(license) {
+  const group = String(license.groupName || 'Rookie').replace(/^class\s+/i, '');
+  return typeof license.safetyRating === 'number'
+    ? `${group} ${license.safetyRating.toFixed(2)}`
+    : group;
+}
+
+/**
+ * Derive iRating and license from a member's licenses
+ * Uses the first category in preference order that has an iRating.
+ * @param {Array} licenses - Normalized licenses (iracingSync.getMemberLicenses)
+ * @param {Array<string>} categories - Categories in order of preference
+ * @returns {Object|null} { irating, license, category }, or null if no category has an iRating
+ */
+function deriveRating(licenses, categories = DEFAULT_LICENSE_CATEGORIES) {
+  const rated = (licenses || []).filter((l) => typeof l.irating === 'number');
+  const license = categories
+    .map((category) => rated.find((l) => l.category === category))
+    .find(Boolean);
+  if (!license) return null;
+
+  return {
+    irating: license.irating,
+    license: formatLicense(license),
+    category: license.category,
+  };
+}
+
+module.exports = {
+  RESULT_FIELDS,
+  RATING_FIELDS,
+  DERIVED_FIELDS,
+  DEFAULT_LICENSE_CATEGORIES,
+  deriveResultStats,
+  deriveRating,
+};
@@ -15,7 +15,7 @@ const { makeApiRequest } = require('./iracing-oauth');
  */
 async function getLeagueDetails(accessToken, leagueId) {
   try {
-    const response = await makeApiRequest('/data/league/get', accessToken, {
+    const response = await makeApiRequest('/league/get', accessToken, {
       league_id: leagueId,
       include_licenses: false,
     });
@@ -27,7 +27,7 @@ async function getLeagueDetails(accessToken, leagueId) {
       leagueId: leagueData.league_id || leagueId,
       leagueName: leagueData.league_name || 'Unknown League',
       ownerId: leagueData.owner_id || null,
-      createdDate: leagueData.created_date || null,
+      createdDate: leagueData.created_date || leagueData.created || null,
       url: leagueData.url || null,
       rosterCount: leagueData.roster_count || 0,
     };
@@ -45,7 +45,7 @@ async function getLeagueDetails(accessToken, leagueId) {
  */
 async function getLeagueSeasons(accessToken, leagueId, includeRetired = false) {
   try {
-    const response = await makeApiRequest('/data/league/seasons', accessToken, {
+    const response = await makeApiRequest('/league/seasons', accessToken, {
       league_id: leagueId,
       retired: includeRetired ? 1 : 0,
     });
@@ -87,7 +87,7 @@ async function getLeagueSeasonSessions(accessToken, leagueId, seasonId, resultsO
       params.results_only = 1;
     }
     
-    const response = await makeApiRequest('/data/league/season_sessions', accessToken, params);
+    const response = await makeApiRequest('/league/season_sessions', accessToken, params);
     
     // Handle different response formats
     const sessions = Array.isArray(response) ? response : (response.data || response.sessions || []);
@@ -98,14 +98,14 @@ async function getLeagueSeasonSessions(accessToken, leagueId, seasonId, resultsO
       leagueId: session.league_id || leagueId,
       seasonId: session.season_id || seasonId,
       sessionName: session.session_name || session.name || 'Race Session',
-      startTime: session.start_time ? new Date(session.start_time) : null,
+      startTime: session.launch_at || session.start_time ? new Date(session.launch_at || session.start_time) : null,
       raceWeekNum: session.race_week_num || session.raceWeek || 0,
       trackId: session.track_id || null,
       trackName: session.track?.track_name || session.track_name || 'Unknown Track',
-      carClassId: session.car_class_id || null,
-      carClassName: session.car_class?.car_class_name || session.car_class_name || 'Unknown Class',
-      carId: session.car_id || null,
-      carName: session.car?.car_name || session.car_name || null,
+      carClassId: session.car_class_id || session.cars?.[0]?.car_class_id || null,
+      carClassName: session.car_class?.car_class_name || session.car_class_name || session.cars?.[0]?.car_class_name || 'Unknown Class',
+      carId: session.car_id || session.cars?.[0]?.car_id || null,
+      carName: session.car?.car_name || session.car_name || session.cars?.[0]?.car_name || null,
       sessionType: session.session_type || 'race',
       status: session.status || 'scheduled', // scheduled, completed, cancelled, etc.
       sessionStartTime: session.session_start_time ? new Date(session.session_start_time) : null,
@@ -7,24 +7,67 @@
  * - Authorization: https://members-ng.iracing.com/auth
  * - Token: https://members-ng.iracing.com/oauth/token
  * - API Base: https://members-ng.iracing.com/data
+ *
+ * Point IRACING_OAUTH_BASE_URL / IRACING_API_BASE_URL at the local mock server
+ * (npm run mock:iracing) to develop without real iRacing credentials.
  */
 
+const crypto = require('crypto');
+const http = require('http');
 const https = require('https');
 const querystring = require('querystring');
 
 // iRacing OAuth configuration
-const IRACING_AUTH_URL = 'https://members-ng.iracing.com/auth';
-const IRACING_TOKEN_URL = 'https://members-ng.iracing.com/oauth/token';
-const IRACING_API_BASE = 'https://members-ng.iracing.com/data';
+const IRACING_OAUTH_BASE = (process.env.IRACING_OAUTH_BASE_URL || 'https://members-ng.iracing.com').replace(/\/+$/, '');
+const IRACING_AUTH_URL = `${IRACING_OAUTH_BASE}/auth`;
+const IRACING_TOKEN_URL = `${IRACING_OAUTH_BASE}/oauth/token`;
+const IRACING_API_BASE = (process.env.IRACING_API_BASE_URL || 'https://members-ng.iracing.com/data').replace(/\/+$/, '');
+
+/**
+ * Pick the http or https module for a URL (the mock server runs over plain http)
+ * @param {string} url - Request URL
+ * @returns {Object} http or https module
+ */
+function transportFor(url) {
+  return url.startsWith('http://') ? http : https;
+}
+
+/**
+ * Build an Error for a failed iRacing response, keeping the status and rate-limit reset
+ * @param {string} message - Error message
+ * @param {Object} res - HTTP response
+ * @returns {Error} Error with status (and retryAfter seconds on 429)
+ */
+function apiError(message, res) {
+  const error = new Error(message);
+  error.status = res.statusCode;
+  if (res.statusCode === 429) {
+    const reset = parseInt(res.headers['x-ratelimit-reset'], 10);
+    error.retryAfter = parseInt(res.headers['retry-after'], 10) ||
+      (reset ? Math.max(0, reset - Math.floor(Date.now() / 1000)) : null);
+  }
+  return error;
+}
+
+/**
+ * Generate a PKCE (RFC 7636) verifier and its S256 challenge
+ * @returns {Object} { codeVerifier (keep server-side), codeChallenge (send with the authorization request) }
+ */
+function generatePkce() {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  return { codeVerifier, codeChallenge };
+}
 
 /**
  * Get OAuth authorization URL
  * @param {string} clientId - OAuth client ID
  * @param {string} redirectUri - OAuth redirect URI
  * @param {string} state - OAuth state parameter (CSRF protection)
+ * @param {string} [codeChallenge] - PKCE S256 challenge from generatePkce
  * @returns {string} Authorization URL
  */
-function getAuthorizationUrl(clientId, redirectUri, state) {
+function getAuthorizationUrl(clientId, redirectUri, state, codeChallenge) {
   const params = {
     client_id: clientId,
     response_type: 'code',
@@ -32,6 +75,10 @@ function getAuthorizationUrl(clientId, redirectUri, state) {
     scope: 'openid',
     state: state,
   };
+  if (codeChallenge) {
+    params.code_challenge = codeChallenge;
+    params.code_challenge_method = 'S256';
+  }
   
   return `${IRACING_AUTH_URL}?${querystring.stringify(params)}`;
 }
@@ -42,9 +89,10 @@ function getAuthorizationUrl(clientId, redirectUri, state) {
  * @param {string} clientId - OAuth client ID
  * @param {string} clientSecret - OAuth client secret
  * @param {string} redirectUri - OAuth redirect URI
+ * @param {string} [codeVerifier] - PKCE verifier matching the challenge sent to the authorization URL
  * @returns {Promise<Object>} Token response with access_token, refresh_token, expires_in, etc.
  */
-function exchangeCodeForToken(code, clientId, clientSecret, redirectUri) {
+function exchangeCodeForToken(code, clientId, clientSecret, redirectUri, codeVerifier) {
   return new Promise((resolve, reject) => {
     const postData = querystring.stringify({
       grant_type: 'authorization_code',
@@ -52,6 +100,7 @@ function exchangeCodeForToken(code, clientId, clientSecret, redirectUri) {
       redirect_uri: redirectUri,
       client_id: clientId,
       client_secret: clientSecret,
+      ...(codeVerifier && { code_verifier: codeVerifier }),
     });
 
     const options = {
@@ -62,7 +111,7 @@ function exchangeCodeForToken(code, clientId, clientSecret, redirectUri) {
       },
     };
 
-    const req = https.request(IRACING_TOKEN_URL, options, (res) => {
+    const req = transportFor(IRACING_TOKEN_URL).request(IRACING_TOKEN_URL, options, (res) => {
       let data = '';
       
       res.on('data', (chunk) => {
@@ -74,7 +123,7 @@ function exchangeCodeForToken(code, clientId, clientSecret, redirectUri) {
           const response = JSON.parse(data);
           
           if (res.statusCode !== 200) {
-            reject(new Error(`Token exchange failed: ${response.error || res.statusCode} - ${response.error_description || data}`));
+            reject(apiError(`Token exchange failed: ${response.error || res.statusCode} - ${response.error_description || data}`, res));
             return;
           }
           
@@ -118,7 +167,7 @@ function refreshAccessToken(refreshToken, clientId, clientSecret) {
       },
     };
 
-    const req = https.request(IRACING_TOKEN_URL, options, (res) => {
+    const req = transportFor(IRACING_TOKEN_URL).request(IRACING_TOKEN_URL, options, (res) => {
       let data = '';
       
       res.on('data', (chunk) => {
@@ -130,7 +179,7 @@ function refreshAccessToken(refreshToken, clientId, clientSecret) {
           const response = JSON.parse(data);
           
           if (res.statusCode !== 200) {
-            reject(new Error(`Token refresh failed: ${response.error || res.statusCode} - ${response.error_description || data}`));
+            reject(apiError(`Token refresh failed: ${response.error || res.statusCode} - ${response.error_description || data}`, res));
             return;
           }
           
@@ -151,28 +200,14 @@ function refreshAccessToken(refreshToken, clientId, clientSecret) {
 }
 
 /**
- * Make authenticated API request to iRacing Data API
- * @param {string} endpoint - API endpoint (e.g., '/member/get')
- * @param {string} accessToken - OAuth access token
- * @param {Object} params - Query parameters (optional)
- * @returns {Promise<Object>} API response
+ * GET a URL and parse the JSON body
+ * @param {string} url - Absolute URL
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Object>} Parsed response
  */
-function makeApiRequest(endpoint, accessToken, params = {}) {
+function getJson(url, headers = {}) {
   return new Promise((resolve, reject) => {
-    const queryString = Object.keys(params).length > 0 
-      ? '?' + querystring.stringify(params)
-      : '';
-    
-    const url = `${IRACING_API_BASE}${endpoint}${queryString}`;
-    
-    const options = {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Accept': 'application/json',
-      },
-    };
-
-    https.get(url, options, (res) => {
+    transportFor(url).get(url, { headers: { Accept: 'application/json', ...headers } }, (res) => {
       let data = '';
       
       res.on('data', (chunk) => {
@@ -180,18 +215,24 @@ function makeApiRequest(endpoint, accessToken, params = {}) {
       });
       
       res.on('end', () => {
+        let response;
         try {
-          const response = JSON.parse(data);
-          
+          response = data ? JSON.parse(data) : {};
+        } catch (err) {
           if (res.statusCode !== 200) {
-            reject(new Error(`API request failed: ${res.statusCode} - ${response.error || data}`));
-            return;
+            reject(apiError(`API request failed: ${res.statusCode} - ${data}`, res));
+          } else {
+            reject(new Error(`Failed to parse API response: ${err.message}`));
           }
-          
-          resolve(response);
-        } catch (err) {
-          reject(new Error(`Failed to parse API response: ${err.message}`));
+          return;
         }
+        
+        if (res.statusCode !== 200) {
+          reject(apiError(`API request failed: ${res.statusCode} - ${response.message || response.error || data}`, res));
+          return;
+        }
+        
+        resolve(response);
       });
     }).on('error', (err) => {
       reject(new Error(`API request failed: ${err.message}`));
@@ -199,10 +240,57 @@ function makeApiRequest(endpoint, accessToken, params = {}) {
   });
 }
 
+/**
+ * Make authenticated API request to iRacing Data API
+ * Most Data API endpoints answer with { link, expires } pointing at the real payload
+ * on S3; that link is followed (without the Authorization header) automatically.
+ * @param {string} endpoint - API endpoint (e.g., '/member/get')
+ * @param {string} accessToken - OAuth access token
+ * @param {Object} params - Query parameters (optional)
+ * @returns {Promise<Object>} API response
+ */
+async function makeApiRequest(endpoint, accessToken, params = {}) {
+  const queryString = Object.keys(params).length > 0 
+    ? '?' + querystring.stringify(params)
+    : '';
+  
+  const response = await getJson(`${IRACING_API_BASE}${endpoint}${queryString}`, {
+    'Authorization': `Bearer ${accessToken}`,
+  });
+  
+  if (response && typeof response.link === 'string') {
+    return getJson(response.link);
+  }
+  
+  return response;
+}
+
+/**
+ * Download the rows of a chunked Data API result (e.g. results/lap_chart_data)
+ * Large results only describe their chunks; each chunk is a JSON array on S3.
+ * @param {Object} chunkInfo - chunk_info from the payload
+ * @returns {Promise<Array>} All rows, in chunk order
+ */
+async function fetchChunks(chunkInfo) {
+  if (!chunkInfo || !Array.isArray(chunkInfo.chunk_file_names)) {
+    return [];
+  }
+  
+  let rows = [];
+  for (const fileName of chunkInfo.chunk_file_names) {
+    const chunk = await getJson(`${chunkInfo.base_download_url}${fileName}`);
+    if (Array.isArray(chunk)) {
+      rows = rows.concat(chunk);
+    }
+  }
+  return rows;
+}
+
 /**
  * Get user info from iRacing API
  * 
  * NOTE: Actual iRacing Data API endpoint may be:
+ * - /data/member/info
  * - /data/member/get
  * - /data/member/profile
  * - /oauth/userinfo (if supported)
@@ -219,19 +307,23 @@ async function getUserInfo(accessToken) {
   try {
     let response;
     
-    // Try primary endpoint
+    // Try primary endpoint (the token owner's own member record)
     try {
-      response = await makeApiRequest('/member/get', accessToken);
+      response = await makeApiRequest('/member/info', accessToken);
     } catch (err) {
-      // Try alternative endpoint
+      // Try alternative endpoints
       try {
-        response = await makeApiRequest('/member/profile', accessToken);
-      } catch (altErr) {
-        // Try OAuth userinfo endpoint if available
+        response = await makeApiRequest('/member/get', accessToken);
+      } catch (getErr) {
         try {
-          response = await makeApiRequest('/oauth/userinfo', accessToken);
-        } catch (userinfoErr) {
-          throw new Error(`All endpoints failed: ${err.message}`);
+          response = await makeApiRequest('/member/profile', accessToken);
+        } catch (altErr) {
+          // Try OAuth userinfo endpoint if available
+          try {
+            response = await makeApiRequest('/oauth/userinfo', accessToken);
+          } catch (userinfoErr) {
+            throw new Error(`All endpoints failed: ${err.message}`);
+          }
         }
       }
     }
@@ -253,10 +345,14 @@ async function getUserInfo(accessToken) {
 }
 
 module.exports = {
+  generatePkce,
   getAuthorizationUrl,
   exchangeCodeForToken,
   refreshAccessToken,
   makeApiRequest,
+  fetchChunks,
   getUserInfo,
   IRACING_API_BASE,
+  IRACING_AUTH_URL,
+  IRACING_TOKEN_URL,
 };
@@ -5,7 +5,7 @@
  * Handles session data retrieval and normalization
  */
 
-const { makeApiRequest, getUserInfo } = require('./iracing-oauth');
+const { makeApiRequest, fetchChunks, getUserInfo } = require('./iracing-oauth');
 
 /**
  * Fetch recent sessions for a user
@@ -33,8 +33,8 @@ async function fetchUserSessions(accessToken, custId, maxResults = 100) {
         cust_id: custId,
         max_results: maxResults,
       });
-      // Handle different response formats
-      raceResults = Array.isArray(response) ? response : (response.data || response.results || []);
+      // Handle different response formats ({ cust_id, races: [...] } from the Data API)
+      raceResults = Array.isArray(response) ? response : (response.races || response.data || response.results || []);
     } catch (err) {
       console.warn('Recent races not available:', err.message);
       // Try alternative endpoint
@@ -126,20 +126,26 @@ async function getSessionResults(accessToken, sessionId, subSessionId = null) {
     const sessionData = response.data || response.results?.[0] || response;
     
     // Parse participants - structure may vary
+    // results/get returns session_results as one entry per sim session (practice, qualifying,
+    // race), each with its own results[]; positions there are 0-based and lap times are in
+    // ten-thousandths of a second.
     let participants = [];
+    let raceSimsession = null;
     if (sessionData.session_results && Array.isArray(sessionData.session_results)) {
-      participants = sessionData.session_results;
+      raceSimsession = findRaceSimsession(sessionData.session_results);
+      participants = raceSimsession ? raceSimsession.results : sessionData.session_results;
     } else if (sessionData.results && Array.isArray(sessionData.results)) {
       participants = sessionData.results;
     } else if (Array.isArray(sessionData)) {
       participants = sessionData;
     }
+    const positionOffset = raceSimsession ? 1 : 0;
     
     return {
       sessionId: sessionData.subsession_id || sessionIdToUse,
-      sessionType: sessionData.session_type || sessionData.type || 'unknown',
+      sessionType: sessionData.session_type || sessionData.event_type_name || sessionData.type || 'unknown',
       trackName: sessionData.track?.track_name || sessionData.track_name || 'Unknown Track',
-      carName: sessionData.car_name || sessionData.car?.car_name || 'Unknown Car',
+      carName: sessionData.car_name || sessionData.car?.car_name || participants[0]?.car_name || 'Unknown Car',
       startTime: sessionData.session_start_time || sessionData.start_time 
         ? new Date(sessionData.session_start_time || sessionData.start_time) 
         : new Date(),
@@ -149,15 +155,21 @@ async function getSessionResults(accessToken, sessionId, subSessionId = null) {
         custId: result.cust_id || result.customer_id,
         displayName: result.display_name || result.name || 'Unknown',
         lapsCompleted: result.laps_complete || result.laps_completed || 0,
-        bestLapTime: result.best_lap_time 
-          ? (typeof result.best_lap_time === 'number' ? result.best_lap_time / 1000 : parseFloat(result.best_lap_time))
-          : null, // Convert ms to seconds if needed
+        bestLapTime: parseBestLapTime(result.best_lap_time, raceSimsession ? 10000 : 1000),
         incidents: result.incidents || result.incident_count || 0,
-        finishPosition: result.finish_position || result.position || (index + 1),
-        startingPosition: result.start_position || result.starting_position || null,
-        totalLaps: result.laps || result.total_laps || null,
+        finishPosition: result.finish_position !== undefined && result.finish_position !== null
+          ? result.finish_position + positionOffset
+          : (result.position || (index + 1)),
+        startingPosition: result.starting_position !== undefined && result.starting_position !== null
+          ? result.starting_position + positionOffset
+          : (result.start_position || null),
+        totalLaps: result.laps || result.total_laps || sessionData.event_laps_complete || null,
+        interval: parseInterval(result.interval, raceSimsession ? 10000 : 1000),
+        lapsLed: result.laps_lead || result.laps_led || 0,
+        carName: result.car_name || null,
       })),
       subSessionId: sessionData.subsession_id || null,
+      leagueSessionId: sessionData.session_id || null, // League schedule session this subsession ran in
       seasonId: sessionData.season_id || null,
     };
   } catch (error) {
@@ -165,6 +177,130 @@ async function getSessionResults(accessToken, sessionId, subSessionId = null) {
   }
 }
 
+/**
+ * Fetch lap-by-lap data for one sim session of a subsession
+ * results/lap_chart_data answers with chunk_info; every chunk holds one row per driver per
+ * lap. Lap 0 is the grid, lap times are in ten-thousandths of a second (-1 = untimed).
+ * 
+ * @param {string} accessToken - OAuth access token
+ * @param {number} subSessionId - Sub-session ID
+ * @param {number} simsessionNumber - Sim session (0 = race)
+ * @returns {Promise<Array>} Normalized laps (see normalizeLap)
+ */
+async function getSessionLaps(accessToken, subSessionId, simsessionNumber = 0) {
+  try {
+    const response = await makeApiRequest('/results/lap_chart_data', accessToken, {
+      subsession_id: subSessionId,
+      simsession_number: simsessionNumber,
+    });
+    
+    const rows = response.chunk_info
+      ? await fetchChunks(response.chunk_info)
+      : (Array.isArray(response) ? response : response.laps || []);
+    
+    return rows
+      .filter(row => row && row.cust_id && row.lap_number !== undefined)
+      .map(normalizeLap);
+  } catch (error) {
+    throw new Error(`Failed to get lap data: ${error.message}`);
+  }
+}
+
+/**
+ * Fetch the token owner's licenses (iRating and safety rating per category)
+ * member/info returns licenses keyed by category; member/get lists them as an array.
+ * 
+ * @param {string} accessToken - OAuth access token
+ * @returns {Promise<Array>} Normalized licenses (see normalizeLicense)
+ */
+async function getMemberLicenses(accessToken) {
+  try {
+    const response = await makeApiRequest('/member/info', accessToken);
+    const member = response.data || response;
+    const licenses = Array.isArray(member.licenses)
+      ? member.licenses
+      : Object.values(member.licenses || {});
+    
+    return licenses
+      .filter(license => license && license.category)
+      .map(normalizeLicense);
+  } catch (error) {
+    throw new Error(`Failed to get member licenses: ${error.message}`);
+  }
+}
+
+/**
+ * Normalize one member license
+ * @param {Object} license - Raw license
+ * @returns {Object} { category, irating, safetyRating, groupName }
+ */
+function normalizeLicense(license) {
+  return {
+    category: license.category,
+    irating: typeof license.irating === 'number' ? license.irating : null,
+    safetyRating: typeof license.safety_rating === 'number' ? license.safety_rating : null,
+    groupName: license.group_name || null,
+  };
+}
+
+/**
+ * Normalize one lap_chart_data row
+ * @param {Object} lap - Raw lap row
+ * @returns {Object} { custId, lapNumber, lapTime (seconds), position, incident, pitted, events[] }
+ */
+function normalizeLap(lap) {
+  const events = Array.isArray(lap.lap_events) ? lap.lap_events.map(String) : [];
+  
+  return {
+    custId: lap.cust_id,
+    lapNumber: lap.lap_number,
+    lapTime: parseBestLapTime(lap.lap_time, 10000),
+    position: lap.lap_position > 0 ? lap.lap_position : null,
+    incident: !!lap.incident,
+    pitted: events.some(event => /pit/i.test(event)),
+    events,
+  };
+}
+
+/**
+ * Pick the race sim session out of a results/get session_results list
+ * @param {Array} simsessions - session_results entries
+ * @returns {Object|null} Race sim session (with results[]), or null if the list isn't sim sessions
+ */
+function findRaceSimsession(simsessions) {
+  const withResults = simsessions.filter(s => s && Array.isArray(s.results));
+  if (withResults.length === 0) return null;
+  
+  return withResults.find(s => s.simsession_number === 0)
+    || withResults.find(s => /race/i.test(s.simsession_type_name || s.simsession_name || ''))
+    || withResults[withResults.length - 1];
+}
+
+/**
+ * Convert a best lap time to seconds (-1 / 0 mean no timed lap)
+ * @param {number|string|null} value - Raw best lap time
+ * @param {number} unitsPerSecond - Divisor for numeric values (10000 for results/get)
+ * @returns {number|null} Seconds
+ */
+function parseBestLapTime(value, unitsPerSecond) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return value > 0 ? value / unitsPerSecond : null;
+  const seconds = parseFloat(value);
+  return seconds > 0 ? seconds : null;
+}
+
+/**
+ * Convert a gap to the winner to seconds (negative values mean lapped/not available)
+ * @param {number|string|null} value - Raw interval
+ * @param {number} unitsPerSecond - Divisor for numeric values (10000 for results/get)
+ * @returns {number|null} Seconds behind the winner
+ */
+function parseInterval(value, unitsPerSecond) {
+  if (value === null || value === undefined) return null;
+  const number = typeof value === 'number' ? value / unitsPerSecond : parseFloat(value);
+  return isNaN(number) || number < 0 ? null : number;
+}
+
 /**
  * Normalize session data for database storage
  * @param {Object} sessionData - Raw session data from API
@@ -225,12 +361,17 @@ function normalizeParticipant(participantData) {
     finishPosition: participantData.finishPosition || participantData.finish_position || null,
     startingPosition: participantData.startingPosition || participantData.start_position || null,
     totalLaps: participantData.totalLaps || participantData.laps || null,
+    lapsLed: participantData.lapsLed || participantData.laps_lead || 0,
+    interval: participantData.interval ?? null,
+    carName: participantData.carName || participantData.car_name || null,
   };
 }
 
 module.exports = {
   fetchUserSessions,
   getSessionResults,
+  getSessionLaps,
+  getMemberLicenses,
   normalizeSession,
   normalizeParticipant,
 };
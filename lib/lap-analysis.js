@@ -0,0 +1,107 @@
+/**
+ * Lap Analysis
+ *
+ * Turns stored IracingLap rows into the series drawn on the race page: running position per
+ * lap (lap chart), places gained or lost, and each driver's lap time distribution.
+ *
+ * Pure functions only: the server loads the laps and decides how drivers are labelled.
+ */
+
+/**
+ * Value at a percentile of an ascending list (linear interpolation)
+ * @param {Array<number>} sorted - Ascending values
+ * @param {number} p - Percentile between 0 and 1
+ * @returns {number} Value
+ */
+function percentile(sorted, p) {
+  const index = (sorted.length - 1) * p;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Summarise a driver's lap times
+ * Lap 0 (the grid), untimed laps, pit laps and laps with an incident are left out so the
+ * distribution reflects representative pace.
+ * @param {Array} laps - One driver's laps
+ * @returns {Object|null} { count, min, q1, median, q3, max, mean, stdDev } in seconds,
+ *   or null if there are no clean laps
+ */
+function summarizeLapTimes(laps) {
+  const times = (laps || [])
+    .filter((lap) => lap.lapNumber > 0 && lap.lapTime > 0 && !lap.pitted && !lap.incident)
+    .map((lap) => lap.lapTime)
+    .sort((a, b) => a - b);
+  if (times.length === 0) return null;
+
+  const mean = times.reduce((sum, t) => sum + t, 0) / times.length;
+  const variance = times.reduce((sum, t) => sum + (t - mean) ** 2, 0) / times.length;
+
+  return {
+    count: times.length,
+    min: round3(times[0]),
+    q1: round3(percentile(times, 0.25)),
+    median: round3(percentile(times, 0.5)),
+    q3: round3(percentile(times, 0.75)),
+    max: round3(times[times.length - 1]),
+    mean: round3(mean),
+    stdDev: round3(Math.sqrt(variance)),
+  };
+}
+
+/**
+ * Build per-driver lap series for one race
+ * @param {Array} participants - Rows with custId, finishPosition and startingPosition
+ *   (pass the official classification so the chart agrees with the results table)
+ * @param {Array} laps - IracingLap rows for the race
+ * @returns {Object} { lapCount, drivers[] } ordered by finish; each driver has custId,
+ *   finishPosition, startingPosition, positionsGained, lapsLed, incidentLaps, pitLaps,
+ *   laps [{ lap, time, position, incident, pitted }] and lapTimes (summarizeLapTimes)
+ */
+function buildLapChart(participants, laps) {
+  const byCustId = new Map();
+  for (const lap of laps || []) {
+    if (!byCustId.has(lap.custId)) byCustId.set(lap.custId, []);
+    byCustId.get(lap.custId).push(lap);
+  }
+
+  const lapCount = Math.max(0, ...(laps || []).map((lap) => lap.lapNumber));
+
+  const drivers = (participants || [])
+    .filter((p) => byCustId.has(p.custId))
+    .sort((a, b) => (a.finishPosition ?? Infinity) - (b.finishPosition ?? Infinity))
+    .map((p) => {
+      const own = byCustId.get(p.custId).sort((a, b) => a.lapNumber - b.lapNumber);
+      const startingPosition =
+        p.startingPosition ?? (own[0] && own[0].lapNumber === 0 ? own[0].position : null);
+
+      return {
+        custId: p.custId,
+        finishPosition: p.finishPosition ?? null,
+        startingPosition: startingPosition ?? null,
+        positionsGained:
+          startingPosition && p.finishPosition ? startingPosition - p.finishPosition : null,
+        lapsLed: own.filter((lap) => lap.lapNumber > 0 && lap.position === 1).length,
+        incidentLaps: own.filter((lap) => lap.incident).map((lap) => lap.lapNumber),
+        pitLaps: own.filter((lap) => lap.pitted).map((lap) => lap.lapNumber),
+        laps: own.map((lap) => ({
+          lap: lap.lapNumber,
+          time: lap.lapTime ?? null,
+          position: lap.position ?? null,
+          incident: !!lap.incident,
+          pitted: !!lap.pitted,
+        })),
+        lapTimes: summarizeLapTimes(own),
+      };
+    });
+
+  return { lapCount, drivers };
+}
+
+module.exports = {
+  summarizeLapTimes,
+  buildLapChart,
+};
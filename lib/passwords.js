@@ -0,0 +1,107 @@
+/**
+ * Passwords
+ *
+ * Passwords are stored as scrypt hashes with a per-user random salt, encoded with the
+ * algorithm and parameters so they can be raised later without breaking old hashes:
+ *
+ *   scrypt$<N>$<r>$<p>$<salt base64>$<hash base64>
+ *
+ * Accounts created before this used a single unsalted SHA-256 (64 hex characters). Those
+ * still verify, and verifyPassword flags them (and scrypt hashes with older parameters)
+ * for rehashing so the caller can upgrade them on the next successful login.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const LEGACY_SHA256 = /^[a-f0-9]{64}$/i;
+
+// scrypt needs 128 * N * r bytes; allow twice that
+const maxmem = (params) => 256 * params.N * params.r;
+
+/**
+ * Hash a password for storage
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} Encoded hash (scrypt$N$r$p$salt$hash)
+ */
+async function hashPassword(password) {
+  const { N, r, p } = SCRYPT_PARAMS;
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await scrypt(String(password), salt, KEY_LENGTH, {
+    N,
+    r,
+    p,
+    maxmem: maxmem({ N, r }),
+  });
+  return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+/**
+ * Parse an encoded scrypt hash
+ * @returns {Object|null} { N, r, p, salt, key }, or null if it isn't one
+ */
+function parseScryptHash(stored) {
+  const parts = String(stored).split('$');
+  if (parts.length !== 6 || parts[0] !== 'scrypt') return null;
+
+  const [N, r, p] = parts.slice(1, 4).map(Number);
+  if (![N, r, p].every((n) => Number.isInteger(n) && n > 0)) return null;
+  return {
+    N,
+    r,
+    p,
+    salt: Buffer.from(parts[4], 'base64'),
+    key: Buffer.from(parts[5], 'base64'),
+  };
+}
+
+// Hash compared against when there is no stored hash, so unknown users take as long as known ones
+let dummyHash = null;
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain-text password
+ * @param {string|null} stored - Stored hash (null/undefined when the user doesn't exist; the
+ *   check still runs so the response time doesn't reveal that)
+ * @returns {Promise<Object>} { valid, needsRehash } - needsRehash is true for a valid password
+ *   stored as legacy SHA-256 or with scrypt parameters weaker than the current ones
+ */
+async function verifyPassword(password, stored) {
+  if (!stored) {
+    dummyHash = dummyHash || (await hashPassword(crypto.randomBytes(16).toString('hex')));
+    await verifyPassword(password, dummyHash);
+    return { valid: false, needsRehash: false };
+  }
+
+  if (LEGACY_SHA256.test(stored)) {
+    const legacy = crypto.createHash('sha256').update(String(password)).digest();
+    const valid = crypto.timingSafeEqual(legacy, Buffer.from(stored, 'hex'));
+    return { valid, needsRehash: valid };
+  }
+
+  const parsed = parseScryptHash(stored);
+  if (!parsed) return { valid: false, needsRehash: false };
+
+  const { N, r, p, salt, key } = parsed;
+  const candidate = await scrypt(String(password), salt, key.length, {
+    N,
+    r,
+    p,
+    maxmem: maxmem({ N, r }),
+  });
+  const valid = crypto.timingSafeEqual(candidate, key);
+  const outdated =
+    N < SCRYPT_PARAMS.N || r < SCRYPT_PARAMS.r || p < SCRYPT_PARAMS.p || key.length < KEY_LENGTH;
+  return { valid, needsRehash: valid && outdated };
+}
+
+module.exports = {
+  SCRYPT_PARAMS,
+  hashPassword,
+  verifyPassword,
+};
@@ -0,0 +1,134 @@
+/**
+ * Permissions
+ *
+ * Roles and what they allow. A user holds any number of roles (UserRole rows) and may do
+ * whatever any of them permits; routes check a single permission with
+ * requirePermission('results:publish') rather than asking which role someone has.
+ *
+ * Roles are defined here, not in the database, so changing what a role can do is a code
+ * change that ships with the routes it affects.
+ *
+ * Pure functions only: the server loads roles and stores assignments.
+ */
+
+const PERMISSIONS = {
+  'users:view': 'See user accounts and site statistics',
+  'roles:assign': 'Give and remove roles (except owner)',
+  'roles:owner': 'Give and remove the owner role',
+  'accounts:delete': 'Approve or deny account deletion requests',
+  'xp:adjust': 'See and adjust driver XP ledgers',
+  'achievements:manage': 'Create, edit and award achievements',
+  'content:edit': 'Choose the featured driver',
+  'calendar:edit': 'Edit the race calendar',
+  'seasons:manage': 'Manage seasons and rounds',
+  'results:publish': 'Import, upload and edit race results',
+  'results:penalize': 'Add and change penalties on results',
+  'protests:decide': 'Review and decide protests',
+  'sync:manage': 'Run and reset iRacing sync jobs',
+  'audit:view': 'See and export the audit log',
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Listed in the order the admin page shows them
+const ROLES = {
+  owner: {
+    label: 'Owner',
+    description: 'Everything, including appointing other owners',
+    permissions: ALL_PERMISSIONS,
+  },
+  admin: {
+    label: 'Admin',
+    description: 'Everything except the owner role',
+    permissions: ALL_PERMISSIONS.filter((p) => p !== 'roles:owner'),
+  },
+  steward: {
+    label: 'Steward',
+    description: 'Decides protests and hands out penalties',
+    permissions: ['protests:decide', 'results:penalize'],
+  },
+  race_director: {
+    label: 'Race Director',
+    description: 'Runs the calendar, seasons, results and sync',
+    permissions: [
+      'calendar:edit',
+      'seasons:manage',
+      'results:publish',
+      'results:penalize',
+      'sync:manage',
+    ],
+  },
+  content_editor: {
+    label: 'Content Editor',
+    description: 'Looks after achievements and the featured driver',
+    permissions: ['achievements:manage', 'content:edit'],
+  },
+  team_manager: {
+    label: 'Team Manager',
+    description: 'Can see user accounts to organise teams',
+    permissions: ['users:view'],
+  },
+};
+
+// Roles with full admin access (these count as "admins", e.g. for ADMIN_REQUIRE_2FA)
+const ADMIN_ROLES = ['owner', 'admin'];
+
+/**
+ * Everything a set of roles allows (unknown roles allow nothing)
+ * @param {Array<string>} roles - Role names
+ * @returns {Array<string>} Permission names, in PERMISSIONS order
+ */
+function permissionsFor(roles) {
+  const granted = new Set();
+  for (const role of roles || []) {
+    for (const permission of ROLES[role]?.permissions || []) granted.add(permission);
+  }
+  return ALL_PERMISSIONS.filter((p) => granted.has(p));
+}
+
+/**
+ * Does any of the roles allow a permission?
+ * @param {Array<string>} roles - Role names
+ * @param {string} permission - e.g. 'results:publish'
+ * @returns {boolean}
+ */
+function hasPermission(roles, permission) {
+  return (roles || []).some((role) => ROLES[role]?.permissions.includes(permission));
+}
+
+/**
+ * Is this a full admin?
+ * @param {Array<string>} roles - Role names
+ * @returns {boolean}
+ */
+function isAdmin(roles) {
+  return (roles || []).some((role) => ADMIN_ROLES.includes(role));
+}
+
+/**
+ * Validate a role list from the admin API
+ * @param {*} input - Array of role names
+ * @returns {Object} { roles } (deduplicated, in ROLES order) or { error }
+ */
+function parseRoles(input) {
+  if (!Array.isArray(input)) {
+    return { error: 'Roles must be a list.' };
+  }
+  const unknown = input.filter((role) => !ROLES[role]);
+  if (unknown.length > 0) {
+    return {
+      error: `Unknown role: ${unknown.join(', ')}. Roles are: ${Object.keys(ROLES).join(', ')}`,
+    };
+  }
+  return { roles: Object.keys(ROLES).filter((role) => input.includes(role)) };
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ADMIN_ROLES,
+  permissionsFor,
+  hasPermission,
+  isAdmin,
+  parseRoles,
+};
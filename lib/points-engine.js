@@ -0,0 +1,311 @@
+/**
+ * League Points Engine
+ *
+ * Scores finished league races and builds championship standings from
+ * IracingSession / IracingSessionParticipant rows.
+ *
+ * Everything in here is pure: callers load the sessions (with participants)
+ * from the database and pass them in, so the same rules drive the season hub,
+ * driver cards and any future results pages.
+ */
+
+/**
+ * Default points system used when a league/season does not configure its own.
+ *
+ * - finishPoints: points for P1, P2, ... (positions past the end of the table score 0)
+ * - participationPoints: awarded to every starter
+ * - polePosition: bonus for starting P1
+ * - fastestLap: bonus for the fastest race lap (only if classified and inside fastestLapTopN)
+ * - fastestLapTopN: 0 means any classified finisher can take the fastest lap bonus
+ * - lapsLed: bonus for leading at least one lap
+ * - mostLapsLed: bonus for leading the most laps
+ * - classifiedPercent: drivers completing fewer laps than this % of the winner are a DNF
+ * - dnfScoresFinishPoints: whether a DNF still scores points for the position it was given
+ */
+const DEFAULT_POINTS_SYSTEM = {
+  name: 'SGP Standard',
+  finishPoints: [25, 18, 15, 12, 10, 8, 6, 4, 2, 1],
+  participationPoints: 0,
+  polePosition: 1,
+  fastestLap: 1,
+  fastestLapTopN: 10,
+  lapsLed: 0,
+  mostLapsLed: 1,
+  classifiedPercent: 75,
+  dnfScoresFinishPoints: false,
+};
+
+/**
+ * Merge a (possibly partial) points system over the defaults
+ * @param {Object|string|null} overrides - Points system object or JSON string
+ * @returns {Object} Complete points system
+ */
+function resolvePointsSystem(overrides) {
+  let custom = overrides;
+  if (typeof custom === 'string') {
+    try {
+      custom = JSON.parse(custom);
+    } catch (err) {
+      throw new Error(`Invalid points system JSON: ${err.message}`);
+    }
+  }
+
+  if (!custom || typeof custom !== 'object') {
+    return { ...DEFAULT_POINTS_SYSTEM };
+  }
+
+  const system = { ...DEFAULT_POINTS_SYSTEM, ...custom };
+
+  if (
+    !Array.isArray(system.finishPoints) ||
+    system.finishPoints.some((p) => typeof p !== 'number' || p < 0)
+  ) {
+    throw new Error('finishPoints must be an array of non-negative numbers');
+  }
+
+  const numericKeys = [
+    'participationPoints',
+    'polePosition',
+    'fastestLap',
+    'fastestLapTopN',
+    'lapsLed',
+    'mostLapsLed',
+    'classifiedPercent',
+  ];
+  for (const key of numericKeys) {
+    if (typeof system[key] !== 'number' || isNaN(system[key]) || system[key] < 0) {
+      throw new Error(`${key} must be a non-negative number`);
+    }
+  }
+
+  system.dnfScoresFinishPoints = !!system.dnfScoresFinishPoints;
+  return system;
+}
+
+/**
+ * Score a single race session
+ * Participants may carry official-classification fields from result-adjustments
+ * (disqualified, pointsDeduction, penaltyLabel, rawFinishPosition).
+ * @param {Object} session - IracingSession with participants[]
+ * @param {Object} pointsSystem - Resolved points system
+ * @returns {Array} One entry per participant, ordered by finish position
+ */
+function scoreRace(session, pointsSystem = DEFAULT_POINTS_SYSTEM) {
+  const participants = (session.participants || []).filter(
+    (p) => p.finishPosition !== null && p.finishPosition !== undefined
+  );
+  if (participants.length === 0) return [];
+
+  // Disqualified drivers score nothing and can't take bonuses from the rest of the field
+  const eligible = participants.filter((p) => !p.disqualified);
+
+  const winnerLaps = Math.max(0, ...eligible.map((p) => p.lapsCompleted || 0));
+  const lapsNeeded = Math.ceil((winnerLaps * pointsSystem.classifiedPercent) / 100);
+
+  // Fastest lap across the whole field (eligibility is checked per driver below)
+  let fastest = null;
+  for (const p of eligible) {
+    if (p.bestLapTime && p.bestLapTime > 0 && (!fastest || p.bestLapTime < fastest.bestLapTime)) {
+      fastest = p;
+    }
+  }
+
+  const maxLapsLed = Math.max(0, ...eligible.map((p) => p.lapsLed || 0));
+
+  return participants
+    .slice()
+    .sort((a, b) => a.finishPosition - b.finishPosition)
+    .map((p) => {
+      const disqualified = !!p.disqualified;
+      const classified = !disqualified && (p.lapsCompleted || 0) >= lapsNeeded;
+      const breakdown = {
+        finish: 0,
+        participation: disqualified ? 0 : pointsSystem.participationPoints,
+        pole: 0,
+        fastestLap: 0,
+        lapsLed: 0,
+        mostLapsLed: 0,
+        penalty: -(p.pointsDeduction || 0),
+      };
+
+      if (classified || (pointsSystem.dnfScoresFinishPoints && !disqualified)) {
+        breakdown.finish = pointsSystem.finishPoints[p.finishPosition - 1] || 0;
+      }
+
+      const pole = p.startingPosition === 1;
+      if (pole && !disqualified) breakdown.pole = pointsSystem.polePosition;
+
+      const fastestLap =
+        fastest === p &&
+        classified &&
+        (!pointsSystem.fastestLapTopN || p.finishPosition <= pointsSystem.fastestLapTopN);
+      if (fastestLap) breakdown.fastestLap = pointsSystem.fastestLap;
+
+      if ((p.lapsLed || 0) > 0 && !disqualified) breakdown.lapsLed = pointsSystem.lapsLed;
+
+      const mostLapsLed = !disqualified && maxLapsLed > 0 && (p.lapsLed || 0) === maxLapsLed;
+      if (mostLapsLed) breakdown.mostLapsLed = pointsSystem.mostLapsLed;
+
+      const points = Object.values(breakdown).reduce((sum, v) => sum + v, 0);
+
+      return {
+        custId: p.custId,
+        finishPosition: p.finishPosition,
+        rawFinishPosition: p.rawFinishPosition ?? p.finishPosition,
+        startingPosition: p.startingPosition ?? null,
+        lapsCompleted: p.lapsCompleted || 0,
+        lapsLed: p.lapsLed || 0,
+        incidents: p.incidents || 0,
+        bestLapTime: p.bestLapTime ?? null,
+        classified,
+        dnf: !classified && !disqualified,
+        disqualified,
+        penaltyLabel: p.penaltyLabel || null,
+        pole,
+        fastestLap,
+        mostLapsLed,
+        points,
+        breakdown,
+      };
+    });
+}
+
+/**
+ * Compare two standings rows: points, then wins, then countback on finishing positions
+ */
+function compareStandings(a, b) {
+  if (b.points !== a.points) return b.points - a.points;
+  if (b.wins !== a.wins) return b.wins - a.wins;
+
+  const worst = Math.max(0, ...[...a.finishes, ...b.finishes].filter((f) => f !== null));
+  for (let pos = 1; pos <= worst; pos++) {
+    const countA = a.finishes.filter((f) => f === pos).length;
+    const countB = b.finishes.filter((f) => f === pos).length;
+    if (countB !== countA) return countB - countA;
+  }
+
+  return a.custId - b.custId;
+}
+
+/**
+ * Drop a driver's worst rounds from their total
+ * Rounds the driver missed count as 0-point rounds and are dropped first. Rounds are ranked on
+ * their points before steward deductions, and a deduction stays in the total even when its
+ * round is dropped, so a penalty can't be cancelled by dropping the round it was given in.
+ * @example
+ * // One drop round; 10 points at round 1, 25 at round 2 less a 20 point deduction (5).
+ * // Round 1 is dropped (10 < 25) and the total is 5, not the 10 left by dropping round 2.
+ * applyDropRounds(row, 2, 1);
+ * @param {Object} row - Standings row (mutated: points, droppedPoints, results[].dropped)
+ * @param {number} totalRounds - Number of rounds in the season so far
+ * @param {number} dropRounds - Number of rounds to drop
+ */
+function applyDropRounds(row, totalRounds, dropRounds) {
+  const missed = Math.max(0, totalRounds - row.results.length);
+  const dropsLeft = Math.max(0, dropRounds - missed);
+  const pointsBeforeDeduction = (result) => result.points + result.pointsDeduction;
+
+  const worst = row.results
+    .slice()
+    .sort((a, b) => pointsBeforeDeduction(a) - pointsBeforeDeduction(b))
+    .slice(0, dropsLeft);
+
+  worst.forEach((result) => {
+    result.dropped = true;
+    row.droppedPoints += pointsBeforeDeduction(result);
+  });
+  row.points -= row.droppedPoints;
+}
+
+/**
+ * Build championship standings from a set of race sessions
+ * @param {Array} sessions - IracingSession rows (race type) with participants[]
+ * @param {Object} pointsSystem - Resolved points system
+ * @param {Object} options - { dropRounds: number of worst rounds dropped per driver }
+ * @returns {Array} Standings rows sorted by position
+ */
+function computeStandings(sessions, pointsSystem = DEFAULT_POINTS_SYSTEM, options = {}) {
+  const dropRounds = options.dropRounds || 0;
+  const byDriver = new Map();
+
+  const ordered = (sessions || [])
+    .slice()
+    .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+
+  for (const session of ordered) {
+    for (const result of scoreRace(session, pointsSystem)) {
+      if (!byDriver.has(result.custId)) {
+        byDriver.set(result.custId, {
+          custId: result.custId,
+          points: 0,
+          totalPoints: 0,
+          droppedPoints: 0,
+          starts: 0,
+          wins: 0,
+          podiums: 0,
+          poles: 0,
+          fastestLaps: 0,
+          dnfs: 0,
+          disqualifications: 0,
+          incidents: 0,
+          finishes: [],
+          results: [],
+        });
+      }
+
+      const row = byDriver.get(result.custId);
+      row.points += result.points;
+      row.totalPoints += result.points;
+      row.starts++;
+      if (result.finishPosition === 1 && result.classified) row.wins++;
+      if (result.finishPosition <= 3 && result.classified) row.podiums++;
+      if (result.pole) row.poles++;
+      if (result.fastestLap) row.fastestLaps++;
+      if (result.dnf) row.dnfs++;
+      if (result.disqualified) row.disqualifications++;
+      row.incidents += result.incidents;
+      row.finishes.push(result.finishPosition);
+      row.results.push({
+        sessionId: session.sessionId,
+        startTime: session.startTime,
+        trackName: session.trackName,
+        finishPosition: result.finishPosition,
+        points: result.points,
+        pointsDeduction: -result.breakdown.penalty || 0,
+        classified: result.classified,
+        dnf: result.dnf,
+        disqualified: result.disqualified,
+        incidents: result.incidents,
+        penaltyLabel: result.penaltyLabel,
+        dropped: false,
+      });
+    }
+  }
+
+  if (dropRounds > 0) {
+    byDriver.forEach((row) => applyDropRounds(row, ordered.length, dropRounds));
+  }
+
+  const rows = [...byDriver.values()].sort(compareStandings);
+  const leaderPoints = rows.length > 0 ? rows[0].points : 0;
+
+  return rows.map((row, index) => {
+    const { finishes, ...rest } = row;
+    const total = finishes.reduce((sum, f) => sum + f, 0);
+    return {
+      position: index + 1,
+      ...rest,
+      averageFinish: finishes.length ? Math.round((total / finishes.length) * 100) / 100 : null,
+      bestFinish: finishes.length ? Math.min(...finishes) : null,
+      gapToLeader: leaderPoints - row.points,
+      gapToNext: index === 0 ? 0 : rows[index - 1].points - row.points,
+    };
+  });
+}
+
+module.exports = {
+  DEFAULT_POINTS_SYSTEM,
+  resolvePointsSystem,
+  scoreRace,
+  computeStandings,
+};
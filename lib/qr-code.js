@@ -0,0 +1,383 @@
+/**
+ * QR Code
+ *
+ * Minimal QR code encoder for short text such as the otpauth:// link shown when setting up
+ * two-factor login, so the secret never goes to a third-party QR service. Byte mode, error
+ * correction level M, versions 1 to 10 (up to 213 bytes); the mask is chosen by the standard
+ * penalty rules.
+ *
+ * Pure functions only.
+ */
+
+// Error correction level M: codewords per block and [block count, data codewords] groups
+const VERSIONS = [
+  null,
+  { ecPerBlock: 10, groups: [[1, 16]] },
+  { ecPerBlock: 16, groups: [[1, 28]] },
+  { ecPerBlock: 26, groups: [[1, 44]] },
+  { ecPerBlock: 18, groups: [[2, 32]] },
+  { ecPerBlock: 24, groups: [[2, 43]] },
+  { ecPerBlock: 16, groups: [[4, 27]] },
+  { ecPerBlock: 18, groups: [[4, 31]] },
+  {
+    ecPerBlock: 22,
+    groups: [
+      [2, 38],
+      [2, 39],
+    ],
+  },
+  {
+    ecPerBlock: 22,
+    groups: [
+      [3, 36],
+      [2, 37],
+    ],
+  },
+  {
+    ecPerBlock: 26,
+    groups: [
+      [4, 43],
+      [1, 44],
+    ],
+  },
+];
+const MAX_VERSION = VERSIONS.length - 1;
+
+// Centres of the alignment patterns, per version
+const ALIGNMENT_CENTERS = [
+  null,
+  [],
+  [6, 18],
+  [6, 22],
+  [6, 26],
+  [6, 30],
+  [6, 34],
+  [6, 22, 38],
+  [6, 24, 42],
+  [6, 26, 46],
+  [6, 28, 50],
+];
+
+const EC_LEVEL_M_BITS = 0;
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+// GF(256) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+const GF_EXP = new Array(512);
+const GF_LOG = new Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+  GF_EXP[i] = x;
+  GF_LOG[x] = i;
+  x <<= 1;
+  if (x & 0x100) x ^= 0x11d;
+}
+for (let i = 255; i < 512; i++) GF_EXP[i] = GF_EXP[i - 255];
+
+const gfMultiply = (a, b) => (a && b ? GF_EXP[GF_LOG[a] + GF_LOG[b]] : 0);
+
+// Reed-Solomon error correction codewords for one block
+function errorCorrection(data, degree) {
+  let generator = [1];
+  for (let i = 0; i < degree; i++) {
+    const next = new Array(generator.length + 1).fill(0);
+    generator.forEach((coef, j) => {
+      next[j] ^= coef;
+      next[j + 1] ^= gfMultiply(coef, GF_EXP[i]);
+    });
+    generator = next;
+  }
+
+  const remainder = [...data, ...new Array(degree).fill(0)];
+  for (let i = 0; i < data.length; i++) {
+    const factor = remainder[i];
+    if (!factor) continue;
+    generator.forEach((coef, j) => {
+      remainder[i + j] ^= gfMultiply(coef, factor);
+    });
+  }
+  return remainder.slice(data.length);
+}
+
+const dataCapacity = (version) =>
+  VERSIONS[version].groups.reduce((sum, [count, size]) => sum + count * size, 0);
+
+// Data codewords: byte mode header, the bytes, terminator and padding
+function encodeData(bytes, version) {
+  const capacity = dataCapacity(version);
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  push(0b0100, 4);
+  push(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach((byte) => push(byte, 8));
+  push(0, Math.min(4, capacity * 8 - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  for (let pad = 0xec; codewords.length < capacity; pad ^= 0xec ^ 0x11) codewords.push(pad);
+  return codewords;
+}
+
+// Split into blocks, add error correction and interleave
+function buildCodewords(data, version) {
+  const { ecPerBlock, groups } = VERSIONS[version];
+  const blocks = [];
+  let offset = 0;
+  for (const [count, size] of groups) {
+    for (let i = 0; i < count; i++) {
+      const block = data.slice(offset, offset + size);
+      blocks.push({ data: block, ec: errorCorrection(block, ecPerBlock) });
+      offset += size;
+    }
+  }
+
+  const result = [];
+  const longest = Math.max(...blocks.map((b) => b.data.length));
+  for (let i = 0; i < longest; i++) {
+    blocks.forEach((b) => i < b.data.length && result.push(b.data[i]));
+  }
+  for (let i = 0; i < ecPerBlock; i++) blocks.forEach((b) => result.push(b.ec[i]));
+  return result;
+}
+
+// BCH code for the format (15 bits) and version (18 bits) information
+function bch(value, checkBits, generator) {
+  let remainder = value;
+  for (let i = 0; i < checkBits; i++) {
+    remainder = (remainder << 1) ^ ((remainder >>> (checkBits - 1)) * generator);
+  }
+  return (value << checkBits) | remainder;
+}
+
+class Matrix {
+  constructor(version) {
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.reserved = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  setFunction(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.reserved[y][x] = true;
+  }
+}
+
+function drawFunctionPatterns(matrix, version) {
+  const { size } = matrix;
+
+  for (let i = 0; i < size; i++) {
+    matrix.setFunction(6, i, i % 2 === 0);
+    matrix.setFunction(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns with their separators
+  for (const [cx, cy] of [
+    [3, 3],
+    [size - 4, 3],
+    [3, size - 4],
+  ]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || y < 0 || x >= size || y >= size) continue;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        matrix.setFunction(x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  }
+
+  const centers = ALIGNMENT_CENTERS[version];
+  const last = centers.length - 1;
+  centers.forEach((cy, i) => {
+    centers.forEach((cx, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          matrix.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  drawFormatBits(matrix, 0); // Reserves the area; redrawn once the mask is chosen
+
+  if (version >= 7) {
+    const bits = bch(version, 12, 0x1f25);
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      matrix.setFunction(a, b, dark);
+      matrix.setFunction(b, a, dark);
+    }
+  }
+}
+
+function drawFormatBits(matrix, mask) {
+  const { size } = matrix;
+  const bits = bch((EC_LEVEL_M_BITS << 3) | mask, 10, 0x537) ^ 0x5412;
+  const bit = (i) => ((bits >>> i) & 1) === 1;
+
+  for (let i = 0; i <= 5; i++) matrix.setFunction(8, i, bit(i));
+  matrix.setFunction(8, 7, bit(6));
+  matrix.setFunction(8, 8, bit(7));
+  matrix.setFunction(7, 8, bit(8));
+  for (let i = 9; i < 15; i++) matrix.setFunction(14 - i, 8, bit(i));
+
+  for (let i = 0; i < 8; i++) matrix.setFunction(size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) matrix.setFunction(8, size - 15 + i, bit(i));
+  matrix.setFunction(8, size - 8, true); // Always-dark module
+}
+
+// Zigzag the codewords into the free modules, two columns at a time from the bottom right
+function drawCodewords(matrix, codewords) {
+  const { size } = matrix;
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5; // Skip the vertical timing pattern
+    const upward = ((right + 1) & 2) === 0;
+    for (let vert = 0; vert < size; vert++) {
+      const y = upward ? size - 1 - vert : vert;
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        if (matrix.reserved[y][x] || i >= codewords.length * 8) continue;
+        matrix.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+        i++;
+      }
+    }
+  }
+}
+
+function applyMask(matrix, mask) {
+  const test = MASKS[mask];
+  for (let y = 0; y < matrix.size; y++) {
+    for (let x = 0; x < matrix.size; x++) {
+      if (!matrix.reserved[y][x] && test(x, y)) matrix.modules[y][x] = !matrix.modules[y][x];
+    }
+  }
+}
+
+// Standard penalty score: long runs, 2x2 blocks, finder-like patterns and dark/light balance
+function penalty(modules) {
+  const size = modules.length;
+  const finderLike = [
+    [true, false, true, true, true, false, true, false, false, false, false],
+    [false, false, false, false, true, false, true, true, true, false, true],
+  ];
+  let score = 0;
+
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i]);
+    lines.push(modules.map((row) => row[i]));
+  }
+  for (const line of lines) {
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+        continue;
+      }
+      if (run >= 5) score += 3 + run - 5;
+      run = 1;
+    }
+    for (let i = 0; i + 11 <= size; i++) {
+      if (finderLike.some((pattern) => pattern.every((dark, k) => line[i + k] === dark))) {
+        score += 40;
+      }
+    }
+  }
+
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (
+        x < size - 1 &&
+        y < size - 1 &&
+        modules[y][x] === modules[y][x + 1] &&
+        modules[y][x] === modules[y + 1][x] &&
+        modules[y][x] === modules[y + 1][x + 1]
+      ) {
+        score += 3;
+      }
+    }
+  }
+  const total = size * size;
+  score += Math.floor(Math.abs(dark * 20 - total * 10) / total) * 10;
+  return score;
+}
+
+/**
+ * Encode text as a QR code
+ * @param {string} text - Text to encode (UTF-8)
+ * @returns {Array<Array<boolean>>} Rows of modules, true for dark (no quiet zone)
+ * @throws {Error} If the text doesn't fit in a version 10 code
+ */
+function encode(text) {
+  const bytes = [...Buffer.from(String(text), 'utf8')];
+  let version = 1;
+  while (version <= MAX_VERSION) {
+    const headerBits = 4 + (version < 10 ? 8 : 16);
+    if (headerBits + bytes.length * 8 <= dataCapacity(version) * 8) break;
+    version++;
+  }
+  if (version > MAX_VERSION) throw new Error('Text is too long for a QR code.');
+
+  const codewords = buildCodewords(encodeData(bytes, version), version);
+
+  let best = null;
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    const matrix = new Matrix(version);
+    drawFunctionPatterns(matrix, version);
+    drawCodewords(matrix, codewords);
+    applyMask(matrix, mask);
+    drawFormatBits(matrix, mask);
+    const score = penalty(matrix.modules);
+    if (!best || score < best.score) best = { score, modules: matrix.modules };
+  }
+  return best.modules;
+}
+
+/**
+ * Render text as a QR code SVG (black on white, scales to its container)
+ * @param {string} text - Text to encode
+ * @param {Object} options - { margin: quiet zone in modules (the standard asks for 4) }
+ * @returns {string} SVG markup
+ */
+function toSvg(text, { margin = 4 } = {}) {
+  const modules = encode(text);
+  const dimension = modules.length + margin * 2;
+  let path = '';
+  modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) path += `M${x + margin},${y + margin}h1v1h-1z`;
+    });
+  });
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dimension} ${dimension}" ` +
+    `width="100%" height="100%" shape-rendering="crispEdges">` +
+    `<rect width="100%" height="100%" fill="#fff"/>` +
+    `<path d="${path}" fill="#000"/></svg>`
+  );
+}
+
+module.exports = {
+  encode,
+  toSvg,
+};
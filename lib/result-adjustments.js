@@ -0,0 +1,164 @@
+/**
+ * Result Adjustments
+ *
+ * Builds the official classification of a race from its raw iRacing results plus the
+ * steward decisions stored in ResultAdjustment (time penalties, position drops, points
+ * deductions, disqualifications and grid penalties for the next round).
+ *
+ * Pure functions only: the raw participant rows are never modified, so re-syncing a race
+ * from iRacing keeps every penalty that was applied to it.
+ */
+
+const ADJUSTMENT_TYPES = {
+  time_penalty: { label: 'Time penalty', unit: 'seconds' },
+  position_drop: { label: 'Position drop', unit: 'positions' },
+  points_deduction: { label: 'Points deduction', unit: 'points' },
+  disqualification: { label: 'Disqualification', unit: null },
+  grid_penalty: { label: 'Grid penalty (next round)', unit: 'places' },
+};
+
+/**
+ * Validate an adjustment's type and value
+ * @param {string} type - Adjustment type
+ * @param {*} value - Seconds/positions/points/places (ignored for disqualification)
+ * @returns {Object} { type, value } or { error }
+ */
+function normalizeAdjustment(type, value) {
+  if (!ADJUSTMENT_TYPES[type]) {
+    return { error: `Type must be one of: ${Object.keys(ADJUSTMENT_TYPES).join(', ')}` };
+  }
+  if (type === 'disqualification') return { type, value: 0 };
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    return {
+      error: `${ADJUSTMENT_TYPES[type].label} needs a whole number of ${ADJUSTMENT_TYPES[type].unit}`,
+    };
+  }
+  return { type, value: number };
+}
+
+/**
+ * Short description of a driver's adjustments, e.g. "+5s penalty, -3 pts"
+ * @param {Object} totals - { penaltySeconds, positionDrop, pointsDeduction, gridPenalty, disqualified }
+ * @returns {string|null} Label, or null if nothing applies
+ */
+function describeAdjustments(totals) {
+  const parts = [];
+  if (totals.disqualified) parts.push('DSQ');
+  if (totals.penaltySeconds) parts.push(`+${totals.penaltySeconds}s penalty`);
+  if (totals.positionDrop) parts.push(`${totals.positionDrop}-place drop`);
+  if (totals.pointsDeduction) parts.push(`-${totals.pointsDeduction} pts`);
+  if (totals.gridPenalty) parts.push(`+${totals.gridPenalty} grid next round`);
+  return parts.length ? parts.join(', ') : null;
+}
+
+/**
+ * Reorder one run of drivers on the same lap by interval + time penalty
+ * Only possible when every driver in the run has an interval; otherwise the order is kept.
+ */
+function sortByAdjustedInterval(run) {
+  if (run.some((p) => p.interval === null || p.interval === undefined)) return run;
+  return run
+    .slice()
+    .sort(
+      (a, b) =>
+        a.interval + a.penaltySeconds - (b.interval + b.penaltySeconds) ||
+        a.rawFinishPosition - b.rawFinishPosition
+    );
+}
+
+/**
+ * Apply adjustments to a race's raw results
+ * @param {Array} participants - IracingSessionParticipant rows
+ * @param {Array} adjustments - ResultAdjustment rows for the same session
+ * @returns {Array} Participant copies, ordered by official finish position, with
+ *   rawFinishPosition, finishPosition (official), penaltySeconds, positionDrop,
+ *   pointsDeduction, gridPenalty, disqualified, adjustments[] and penaltyLabel
+ */
+function applyAdjustments(participants, adjustments = []) {
+  const byCustId = new Map();
+  for (const adjustment of adjustments) {
+    if (!byCustId.has(adjustment.custId)) byCustId.set(adjustment.custId, []);
+    byCustId.get(adjustment.custId).push(adjustment);
+  }
+
+  const rows = (participants || []).map((p) => {
+    const own = byCustId.get(p.custId) || [];
+    const sum = (type) => own.filter((a) => a.type === type).reduce((t, a) => t + a.value, 0);
+    const totals = {
+      penaltySeconds: sum('time_penalty'),
+      positionDrop: sum('position_drop'),
+      pointsDeduction: sum('points_deduction'),
+      gridPenalty: sum('grid_penalty'),
+      disqualified: own.some((a) => a.type === 'disqualification'),
+    };
+
+    return {
+      ...p,
+      rawFinishPosition: p.finishPosition ?? null,
+      ...totals,
+      adjustments: own.map((a) => ({
+        id: a.id,
+        type: a.type,
+        value: a.value,
+        reason: a.reason,
+        evidenceUrl: a.evidenceUrl || null,
+      })),
+      penaltyLabel: describeAdjustments(totals),
+    };
+  });
+
+  const unclassified = rows.filter((p) => p.rawFinishPosition === null);
+  const finishers = rows
+    .filter((p) => p.rawFinishPosition !== null)
+    .sort((a, b) => a.rawFinishPosition - b.rawFinishPosition);
+
+  const disqualified = finishers.filter((p) => p.disqualified);
+  const running = finishers.filter((p) => !p.disqualified);
+
+  // 1. Time penalties: re-sort each run of drivers who completed the same number of laps
+  let order = [];
+  for (let i = 0; i < running.length; ) {
+    let j = i;
+    while (j < running.length && running[j].lapsCompleted === running[i].lapsCompleted) j++;
+    order = order.concat(sortByAdjustedInterval(running.slice(i, j)));
+    i = j;
+  }
+
+  // 2. Position drops, applied in raw finishing order
+  running
+    .filter((p) => p.positionDrop > 0)
+    .forEach((p) => {
+      const from = order.indexOf(p);
+      order.splice(from, 1);
+      order.splice(Math.min(from + p.positionDrop, order.length), 0, p);
+    });
+
+  // 3. Disqualified drivers are classified last
+  order = order.concat(disqualified);
+
+  return order
+    .map((p, index) => ({ ...p, finishPosition: index + 1 }))
+    .concat(unclassified.map((p) => ({ ...p, finishPosition: null })));
+}
+
+/**
+ * Display a finish with its penalties, e.g. "P4 (+5s penalty)" or "DSQ"
+ * @param {Object} result - Row from applyAdjustments (or any { finishPosition, penaltyLabel })
+ * @returns {string} Finish label
+ */
+function formatFinish(result) {
+  if (result.disqualified) return 'DSQ';
+  if (!result.finishPosition) return '—';
+  return result.penaltyLabel
+    ? `P${result.finishPosition} (${result.penaltyLabel})`
+    : `P${result.finishPosition}`;
+}
+
+module.exports = {
+  ADJUSTMENT_TYPES,
+  normalizeAdjustment,
+  applyAdjustments,
+  formatFinish,
+};
@@ -0,0 +1,308 @@
+/**
+ * Results Import
+ *
+ * Parses race results from iRacing's exported results CSV or our JSON format into
+ * rows that map onto IracingSessionParticipant, and validates a full classification.
+ *
+ * Pure functions only: the server resolves driverKeys to custIds (through the driver's
+ * connected iRacing account, so drivers without one need a custId) and writes the rows.
+ */
+
+// iRacing results CSV column -> row field
+const CSV_COLUMNS = {
+  'fin pos': 'finishPosition',
+  'cust id': 'custId',
+  name: 'displayName',
+  'start pos': 'startingPosition',
+  'laps comp': 'lapsCompleted',
+  'laps led': 'lapsLed',
+  'fastest lap time': 'bestLapTime',
+  interval: 'interval',
+  inc: 'incidents',
+  'car #': 'carNumber',
+  out: 'reasonOut',
+};
+
+// JSON keys accepted for each row field (camelCase first, then iRacing-style snake_case)
+const JSON_ALIASES = {
+  custId: ['custId', 'cust_id'],
+  driverKey: ['driverKey', 'driver'],
+  displayName: ['displayName', 'display_name', 'name'],
+  finishPosition: ['finishPosition', 'finish_position', 'position', 'pos'],
+  startingPosition: ['startingPosition', 'starting_position', 'start_position'],
+  lapsCompleted: ['lapsCompleted', 'laps_complete', 'laps_completed', 'laps'],
+  lapsLed: ['lapsLed', 'laps_lead', 'laps_led'],
+  bestLapTime: ['bestLapTime', 'best_lap_time', 'fastestLap'],
+  interval: ['interval', 'gap'],
+  incidents: ['incidents', 'incident_count', 'inc'],
+};
+
+/**
+ * Split CSV text into rows of cells (handles quoted cells, escaped quotes and CRLF)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Parse a lap time in seconds: "1:23.456" (as iRacing exports it), "83.456" or a number
+ * @param {string|number|null} value - Lap time
+ * @returns {number|null} Seconds, or null if empty/invalid
+ */
+function parseLapTime(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return value > 0 ? value : null;
+
+  const text = String(value).trim();
+  if (!text || text === '-' || text === '--') return null;
+
+  const parts = text.split(':').map(Number);
+  if (parts.some(isNaN)) return null;
+
+  const seconds = parts.reduce((total, part) => total * 60 + part, 0);
+  return seconds > 0 ? Math.round(seconds * 1000) / 1000 : null;
+}
+
+/**
+ * Parse a gap to the winner in seconds: "-3.456" (iRacing CSV), "3.456" or a number
+ * Lapped cars ("-1L", "2 L") and blanks have no interval
+ * @param {string|number|null} value - Interval
+ * @returns {number|null|NaN} Seconds, null if empty/lapped, NaN if invalid
+ */
+function parseInterval(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return Math.abs(value);
+
+  const text = String(value).trim();
+  if (!text || text === '-' || text === '--' || /l(ap)?s?$/i.test(text)) return null;
+
+  const number = Number(text);
+  return isNaN(number) ? NaN : Math.abs(number);
+}
+
+/**
+ * Convert a cell to an integer (null when empty)
+ */
+function toInt(value) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const number = Number(String(value).trim());
+  return Number.isInteger(number) ? number : NaN;
+}
+
+/**
+ * Parse iRacing's exported results CSV
+ * The export starts with a session info block; the results table begins at the row
+ * containing "Fin Pos" and "Cust ID". Only the first results table (the race) is read.
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Raw result rows
+ */
+function parseIracingResultsCsv(text) {
+  const rows = parseCsv(String(text || '').replace(/^\uFEFF/, ''));
+  const headerIndex = rows.findIndex((cells) => {
+    const names = cells.map((c) => c.trim().toLowerCase());
+    return names.includes('fin pos') && names.includes('cust id');
+  });
+  if (headerIndex === -1) {
+    throw new Error('CSV has no results header (expected "Fin Pos" and "Cust ID" columns)');
+  }
+
+  const header = rows[headerIndex].map((c) => CSV_COLUMNS[c.trim().toLowerCase()] || null);
+  const results = [];
+
+  for (const cells of rows.slice(headerIndex + 1)) {
+    if (cells.every((c) => c.trim() === '')) break; // Blank line ends the table
+
+    const row = { line: results.length + 1 };
+    cells.forEach((value, index) => {
+      if (header[index]) row[header[index]] = value.trim();
+    });
+    results.push(row);
+  }
+
+  return results;
+}
+
+/**
+ * Parse our JSON results format: an array of rows, or { results: [...] }
+ * @param {string|Object|Array} input - JSON text or parsed value
+ * @returns {Array<Object>} Raw result rows
+ */
+function parseResultsJson(input) {
+  let data = input;
+  if (typeof data === 'string') {
+    try {
+      data = JSON.parse(data);
+    } catch (err) {
+      throw new Error(`Invalid JSON: ${err.message}`);
+    }
+  }
+
+  const list = Array.isArray(data) ? data : data && data.results;
+  if (!Array.isArray(list)) {
+    throw new Error('JSON must be an array of results or an object with a "results" array');
+  }
+
+  return list.map((item, index) => {
+    const row = { line: index + 1 };
+    for (const [field, aliases] of Object.entries(JSON_ALIASES)) {
+      const key = aliases.find((alias) => item && item[alias] !== undefined);
+      if (key) row[field] = item[key];
+    }
+    return row;
+  });
+}
+
+/**
+ * Normalize and validate raw result rows
+ * Finish positions must be unique; when every finish position is blank, file order is used.
+ * @param {Array<Object>} rawRows - Rows from parseIracingResultsCsv / parseResultsJson / the editor
+ * @returns {Object} { rows, errors } - errors is [{ line, message }]
+ */
+function validateResultRows(rawRows) {
+  const errors = [];
+  const rows = [];
+  const inferPositions = rawRows.every((r) => toInt(r.finishPosition) === null);
+
+  rawRows.forEach((raw, index) => {
+    const line = raw.line || index + 1;
+    const fail = (message) => errors.push({ line, message });
+
+    const custId = toInt(raw.custId);
+    const driverKey = raw.driverKey ? String(raw.driverKey).trim() : null;
+    if (custId === null && !driverKey) return fail('Missing custId or driverKey');
+    if (isNaN(custId) || (custId !== null && custId < 1)) return fail('Invalid custId');
+
+    // iRacing's CSV "Fin Pos" and "Start Pos" are 1-based
+    const finishPosition = inferPositions ? index + 1 : toInt(raw.finishPosition);
+    if (!finishPosition || isNaN(finishPosition) || finishPosition < 1) {
+      return fail('Finish position must be a positive whole number');
+    }
+
+    const startingPosition = toInt(raw.startingPosition);
+    if (isNaN(startingPosition) || (startingPosition !== null && startingPosition < 1)) {
+      return fail('Starting position must be a positive whole number');
+    }
+
+    const counts = {};
+    for (const key of ['lapsCompleted', 'lapsLed', 'incidents']) {
+      const value = toInt(raw[key]);
+      if (isNaN(value) || (value !== null && value < 0)) {
+        return fail(`${key} must be a non-negative whole number`);
+      }
+      counts[key] = value || 0;
+    }
+
+    const interval = parseInterval(raw.interval);
+    if (isNaN(interval)) return fail('Invalid interval');
+
+    const bestLapTime = parseLapTime(raw.bestLapTime);
+    if (raw.bestLapTime && String(raw.bestLapTime).trim() && bestLapTime === null) {
+      const text = String(raw.bestLapTime).trim();
+      if (text !== '-' && text !== '--') return fail('Invalid best lap time');
+    }
+
+    rows.push({
+      line,
+      custId,
+      driverKey,
+      displayName: raw.displayName ? String(raw.displayName).trim() : null,
+      finishPosition,
+      startingPosition,
+      lapsCompleted: counts.lapsCompleted,
+      lapsLed: counts.lapsLed,
+      incidents: counts.incidents,
+      bestLapTime,
+      interval,
+    });
+  });
+
+  const seenPositions = new Map();
+  const seenDrivers = new Map();
+  rows.forEach((row) => {
+    if (seenPositions.has(row.finishPosition)) {
+      errors.push({
+        line: row.line,
+        message: `Finish position ${row.finishPosition} is also used on line ${seenPositions.get(row.finishPosition)}`,
+      });
+    } else {
+      seenPositions.set(row.finishPosition, row.line);
+    }
+
+    const driverId = row.custId !== null ? `cust:${row.custId}` : `key:${row.driverKey}`;
+    if (seenDrivers.has(driverId)) {
+      errors.push({
+        line: row.line,
+        message: `Driver also listed on line ${seenDrivers.get(driverId)}`,
+      });
+    } else {
+      seenDrivers.set(driverId, row.line);
+    }
+  });
+
+  errors.sort((a, b) => a.line - b.line);
+  return { rows: rows.sort((a, b) => a.finishPosition - b.finishPosition), errors };
+}
+
+/**
+ * Parse and validate a results upload
+ * @param {string} format - "csv" or "json"
+ * @param {string|Object|Array} content - File contents
+ * @returns {Object} { rows, errors }
+ */
+function parseResultsUpload(format, content) {
+  const rawRows = format === 'csv' ? parseIracingResultsCsv(content) : parseResultsJson(content);
+  if (rawRows.length === 0) {
+    throw new Error('No result rows found');
+  }
+  return validateResultRows(rawRows);
+}
+
+module.exports = {
+  parseCsv,
+  parseLapTime,
+  parseInterval,
+  parseIracingResultsCsv,
+  parseResultsJson,
+  validateResultRows,
+  parseResultsUpload,
+};
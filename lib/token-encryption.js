@@ -0,0 +1,148 @@
+/**
+ * Token Encryption
+ *
+ * Envelope encryption for OAuth tokens at rest (IracingAccount.accessToken/refreshToken).
+ * Each row gets its own random data key; the tokens are encrypted with that key and the data
+ * key is itself encrypted with a master key from the environment. The row records which master
+ * key it used (tokenKeyId), so keys can be rotated without downtime:
+ *
+ *   TOKEN_ENCRYPTION_KEYS=<id>:<base64 32-byte key>[,<id>:<key>...]
+ *
+ * The first key encrypts; any others only decrypt rows not yet moved to it. Rows with no key
+ * id hold plaintext from before encryption and still read back as-is.
+ *
+ * Everything is AES-256-GCM, stored as base64(iv | auth tag | ciphertext). The field name (or
+ * key id, for the data key) is bound in as additional data, so values can't be swapped around.
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const TOKEN_FIELDS = ['accessToken', 'refreshToken'];
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Parse TOKEN_ENCRYPTION_KEYS
+ * @param {string} value - Comma-separated <id>:<base64 key> entries, current key first
+ * @returns {Object} { currentKeyId (null when unset), keys: Map id -> Buffer }
+ * @throws {Error} If an entry is malformed, so a bad key fails at startup rather than on use
+ */
+function parseKeyring(value) {
+  const keys = new Map();
+  const entries = String(value || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  for (const entry of entries) {
+    const separator = entry.indexOf(':');
+    const id = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+    if (separator < 1 || !KEY_ID_PATTERN.test(id)) {
+      throw new Error('TOKEN_ENCRYPTION_KEYS entries must look like <id>:<base64 key>.');
+    }
+    if (key.length !== KEY_BYTES) {
+      throw new Error(`Token encryption key "${id}" must be ${KEY_BYTES} bytes, base64 encoded.`);
+    }
+    if (keys.has(id)) {
+      throw new Error(`Token encryption key "${id}" is listed twice.`);
+    }
+    keys.set(id, key);
+  }
+
+  return { currentKeyId: entries.length > 0 ? keys.keys().next().value : null, keys };
+}
+
+/**
+ * New keyring entry for TOKEN_ENCRYPTION_KEYS
+ * @param {Date} now - Used for the key id (YYYYMMDD)
+ * @returns {string} "<id>:<base64 key>"
+ */
+function generateKeyEntry(now = new Date()) {
+  const id = now.toISOString().slice(0, 10).replace(/-/g, '');
+  return `${id}:${crypto.randomBytes(KEY_BYTES).toString('base64')}`;
+}
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+function unseal(key, sealed, aad) {
+  const data = Buffer.from(String(sealed), 'base64');
+  if (data.length < IV_BYTES + TAG_BYTES) throw new Error('Encrypted value is truncated.');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, IV_BYTES));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(data.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(data.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+/**
+ * Encrypt tokens for storage under the current key
+ * @param {Object} tokens - { accessToken, refreshToken } in plaintext
+ * @param {Object} keyring - From parseKeyring
+ * @returns {Object} Columns to write: { accessToken, refreshToken, tokenKeyId, tokenDataKey }
+ * @throws {Error} If no key is configured
+ */
+function encryptTokens(tokens, keyring) {
+  const keyId = keyring.currentKeyId;
+  if (!keyId) throw new Error('TOKEN_ENCRYPTION_KEYS is not set.');
+
+  const dataKey = crypto.randomBytes(KEY_BYTES);
+  const columns = {
+    tokenKeyId: keyId,
+    tokenDataKey: seal(keyring.keys.get(keyId), dataKey, keyId),
+  };
+  for (const field of TOKEN_FIELDS) {
+    columns[field] = seal(dataKey, String(tokens[field]), field);
+  }
+  return columns;
+}
+
+/**
+ * Decrypt a stored row's tokens
+ * @param {Object} row - { accessToken, refreshToken, tokenKeyId, tokenDataKey }
+ * @param {Object} keyring - From parseKeyring
+ * @returns {Object} { accessToken, refreshToken } in plaintext
+ * @throws {Error} If the row's key isn't in the keyring or the data has been tampered with
+ */
+function decryptTokens(row, keyring) {
+  if (!row.tokenKeyId) {
+    return { accessToken: row.accessToken, refreshToken: row.refreshToken };
+  }
+
+  const masterKey = keyring.keys.get(row.tokenKeyId);
+  if (!masterKey) {
+    throw new Error(`Token encryption key "${row.tokenKeyId}" is not in TOKEN_ENCRYPTION_KEYS.`);
+  }
+  const dataKey = unseal(masterKey, row.tokenDataKey, row.tokenKeyId);
+  const tokens = {};
+  for (const field of TOKEN_FIELDS) {
+    tokens[field] = unseal(dataKey, row[field], field).toString('utf8');
+  }
+  return tokens;
+}
+
+/**
+ * Is a row stored in plaintext or under a key other than the current one?
+ * @param {Object} row - { tokenKeyId }
+ * @param {Object} keyring - From parseKeyring
+ * @returns {boolean}
+ */
+function needsReencryption(row, keyring) {
+  return row.tokenKeyId !== keyring.currentKeyId;
+}
+
+module.exports = {
+  parseKeyring,
+  generateKeyEntry,
+  encryptTokens,
+  decryptTokens,
+  needsReencryption,
+};
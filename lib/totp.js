@@ -0,0 +1,152 @@
+/**
+ * TOTP (RFC 6238)
+ *
+ * Time-based one-time passwords for two-factor login, compatible with Google Authenticator,
+ * 1Password, Authy and friends: HMAC-SHA1, 6 digits, 30 second steps, base32 secrets.
+ * Also generates the one-off recovery codes handed out when 2FA is turned on.
+ *
+ * Pure functions only (plus crypto): the server stores secrets and recovery code hashes.
+ */
+
+const crypto = require('crypto');
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Steps either side of now that are still accepted (clock drift)
+const DRIFT_STEPS = 1;
+const SECRET_BYTES = 20;
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = String(text)
+    .toUpperCase()
+    .replace(/[\s=-]/g, '');
+  let bits = '';
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 secret');
+    bits += value.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+}
+
+/**
+ * New random secret
+ * @returns {string} Base32 secret (what authenticator apps ask for when entered by hand)
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/**
+ * Time step a moment falls in
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {number} Step counter
+ */
+function stepAt(time = Date.now()) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Code for a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Step counter
+ * @returns {string} Zero-padded code
+ */
+function codeForStep(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Check a code, allowing one step of clock drift either way
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code the user typed (spaces ignored)
+ * @param {Object} options - { time: now in ms, afterStep: reject this step and earlier, so a
+ *   code can't be replayed }
+ * @returns {number|null} The matching step (store it as afterStep next time), or null
+ */
+function verifyCode(secret, code, { time = Date.now(), afterStep = null } = {}) {
+  const typed = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(typed)) return null;
+
+  const current = stepAt(time);
+  for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+    if (afterStep !== null && step <= afterStep) continue;
+    const expected = codeForStep(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(typed))) return step;
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI for enrolment (authenticator apps open it, QR generators encode it)
+ * @param {Object} options - { secret, account (e.g. username), issuer }
+ * @returns {string} URI
+ */
+function otpauthUri({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * One-off recovery codes, e.g. "k3f9a-02m7c"
+ * @param {number} count - How many
+ * @returns {Array<string>} Codes (show once, store hashes)
+ */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+/**
+ * Normalize a typed recovery code for comparison
+ * @param {string} code - As typed
+ * @returns {string} Lowercase with the dash restored
+ */
+function normalizeRecoveryCode(code) {
+  const raw = String(code || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+  return raw.length === 10 ? `${raw.slice(0, 5)}-${raw.slice(5)}` : raw;
+}
+
+module.exports = {
+  STEP_SECONDS,
+  DIGITS,
+  RECOVERY_CODE_COUNT,
+  generateSecret,
+  stepAt,
+  codeForStep,
+  verifyCode,
+  otpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+};
@@ -0,0 +1,145 @@
+/**
+ * XP Engine
+ *
+ * The only place XP rules live. A driver's XP is the sum of their XpTransaction ledger;
+ * level, progress and skill tier are derived from that total, and the server caches the
+ * result on Driver (xpTotal, xpLevel, xpToNext, skillTier) for lists and leaderboards.
+ *
+ * Ledger sources:
+ * - welcome: one-off bonus when the driver is created
+ * - race_start / race_win: earned from official league results (reference "session:<id>")
+ * - achievement: an achievement's xpReward (reference "achievement:<id>")
+ * - admin_adjustment: manual correction by an admin (may be negative)
+ * - opening_balance: XP a driver had before the ledger existed
+ *
+ * Pure functions only: the server reads and writes the ledger.
+ */
+
+const XP_RULES = {
+  welcome: 200,
+  raceStart: 50,
+  raceWin: 150,
+};
+
+const XP_PER_LEVEL = 500;
+
+const XP_SOURCES = {
+  welcome: 'Welcome bonus',
+  race_start: 'Race start',
+  race_win: 'Race win',
+  achievement: 'Achievement',
+  admin_adjustment: 'Admin adjustment',
+  opening_balance: 'Opening balance',
+};
+
+// Sources the server writes from results; they are reconciled, never entered by hand
+const SYSTEM_SOURCES = ['welcome', 'race_start', 'race_win'];
+
+// Highest tier first; a driver needs both the level and the win rate (percent)
+const SKILL_TIERS = [
+  { name: 'Alien', minLevel: 7, minWinRate: 50 },
+  { name: 'Hotlap Hero', minLevel: 5, minWinRate: 35 },
+  { name: 'Club Racer', minLevel: 3, minWinRate: 20 },
+  { name: 'Beginner', minLevel: 1, minWinRate: 0 },
+];
+
+/**
+ * Skill tier for a level and win rate
+ * @param {number} level - Driver level
+ * @param {number} winRate - Win rate in percent
+ * @returns {string} Tier name
+ */
+function skillTierFor(level, winRate) {
+  const rate = winRate || 0;
+  return SKILL_TIERS.find((tier) => level >= tier.minLevel && rate >= tier.minWinRate).name;
+}
+
+/**
+ * Derive level and progress from a total
+ * @param {number} total - Sum of the driver's ledger (negative totals count as 0)
+ * @param {number} winRate - Driver win rate in percent (for the skill tier)
+ * @returns {Object} { xpTotal, level, xpPerLevel, xpIntoLevel, xpToNext, progressPct, skillTier }
+ *   where xpToNext is the XP still needed to reach the next level
+ */
+function computeProgress(total, winRate = 0) {
+  const xpTotal = Math.max(0, Math.round(total || 0));
+  const level = Math.floor(xpTotal / XP_PER_LEVEL) + 1;
+  const xpIntoLevel = xpTotal % XP_PER_LEVEL;
+
+  return {
+    xpTotal,
+    level,
+    xpPerLevel: XP_PER_LEVEL,
+    xpIntoLevel,
+    xpToNext: XP_PER_LEVEL - xpIntoLevel,
+    progressPct: Math.round((xpIntoLevel / XP_PER_LEVEL) * 100),
+    skillTier: skillTierFor(level, winRate),
+  };
+}
+
+/**
+ * Ledger entries a driver should have from the system sources
+ * @param {Object|undefined} record - The driver's league standings row (pointsEngine
+ *   computeStandings, with results[]), or undefined if they have no league races
+ * @returns {Array} [{ source, amount, reason, reference }]
+ */
+function systemTransactions(record) {
+  const entries = [
+    {
+      source: 'welcome',
+      amount: XP_RULES.welcome,
+      reason: XP_SOURCES.welcome,
+      reference: 'driver',
+    },
+  ];
+
+  for (const result of (record && record.results) || []) {
+    const reference = `session:${result.sessionId}`;
+    const race = `${result.trackName} (${new Date(result.startTime).toISOString().slice(0, 10)})`;
+    entries.push({
+      source: 'race_start',
+      amount: XP_RULES.raceStart,
+      reason: `Started ${race}`,
+      reference,
+    });
+    if (result.finishPosition === 1 && !result.dnf && !result.disqualified) {
+      entries.push({
+        source: 'race_win',
+        amount: XP_RULES.raceWin,
+        reason: `Won ${race}`,
+        reference,
+      });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Validate a manual XP adjustment
+ * @param {*} amount - Whole number of XP, non-zero (negative removes XP)
+ * @param {*} reason - Why the adjustment was made
+ * @returns {Object} { amount, reason } or { error }
+ */
+function normalizeAdjustment(amount, reason) {
+  const number = Number(amount);
+  if (!Number.isInteger(number) || number === 0) {
+    return { error: 'Amount must be a non-zero whole number.' };
+  }
+  const text = typeof reason === 'string' ? reason.trim() : '';
+  if (!text) {
+    return { error: 'A reason is required.' };
+  }
+  return { amount: number, reason: text.slice(0, 500) };
+}
+
+module.exports = {
+  XP_RULES,
+  XP_PER_LEVEL,
+  XP_SOURCES,
+  SYSTEM_SOURCES,
+  SKILL_TIERS,
+  computeProgress,
+  systemTransactions,
+  normalizeAdjustment,
+};
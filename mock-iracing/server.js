@@ -0,0 +1,620 @@
+/**
+ * Mock iRacing Data API
+ *
+ * Local stand-in for members-ng.iracing.com so sync, league schedule, results import and
+ * the OAuth connect flow can be exercised without real iRacing credentials.
+ *
+ * Implements:
+ * - OAuth: GET /auth (approval page), POST /oauth/token (authorization_code, refresh_token),
+ *   with PKCE (S256) enforced whenever the authorization request sent a code_challenge
+ * - Data API: /data/member/info, /data/member/recent_races, /data/results/get,
+ *   /data/results/lap_chart_data, /data/league/get, /data/league/seasons,
+ *   /data/league/season_sessions
+ * - The S3 "link" indirection: every Data API call answers { link, expires } and the payload
+ *   is served from /s3/:id until the link expires
+ * - 401 for missing/expired tokens, 429 with x-ratelimit-* headers, and injectable failures
+ *   via POST /_mock/fail { path, status, count }
+ *
+ * Fixtures live in ./fixtures (override with MOCK_IRACING_FIXTURES). recent_races and the lap
+ * chart are derived from the results fixtures, so adding a results/<subsession_id>.json file
+ * is enough.
+ *
+ * Run with `npm run mock:iracing`, then start the app with:
+ *   IRACING_OAUTH_BASE_URL=http://localhost:4001
+ *   IRACING_API_BASE_URL=http://localhost:4001/data
+ *   IRACING_CLIENT_ID=mock-client IRACING_CLIENT_SECRET=mock-secret
+ *   TOKEN_ENCRYPTION_KEYS=<output of node rotate-token-keys.js --generate-key>
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const PORT = parseInt(process.env.MOCK_IRACING_PORT || '4001', 10);
+const BASE_URL = (process.env.MOCK_IRACING_BASE_URL || `http://localhost:${PORT}`).replace(
+  /\/+$/,
+  ''
+);
+const FIXTURES_DIR = process.env.MOCK_IRACING_FIXTURES || path.join(__dirname, 'fixtures');
+const CLIENT_ID = process.env.MOCK_IRACING_CLIENT_ID || '';
+const CLIENT_SECRET = process.env.MOCK_IRACING_CLIENT_SECRET || '';
+const TOKEN_TTL_SECONDS = parseInt(process.env.MOCK_IRACING_TOKEN_TTL || '600', 10);
+const LINK_TTL_SECONDS = 60;
+const RATE_LIMIT = parseInt(process.env.MOCK_IRACING_RATE_LIMIT || '240', 10); // Requests per minute per token
+const AUTO_APPROVE = process.env.MOCK_IRACING_AUTO_APPROVE === 'true';
+
+// ---------------------- Fixtures ----------------------
+function readFixture(name, fallback) {
+  const file = path.join(FIXTURES_DIR, name);
+  if (!fs.existsSync(file)) return fallback;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Load every fixture from disk (re-read on POST /_mock/reset so fixtures can be edited live)
+ */
+function loadFixtures() {
+  const resultsDir = path.join(FIXTURES_DIR, 'results');
+  const results = new Map();
+  if (fs.existsSync(resultsDir)) {
+    for (const file of fs.readdirSync(resultsDir).filter((f) => f.endsWith('.json'))) {
+      const subsession = JSON.parse(fs.readFileSync(path.join(resultsDir, file), 'utf8'));
+      results.set(String(subsession.subsession_id), subsession);
+    }
+  }
+
+  return {
+    members: readFixture('members.json', []),
+    league: readFixture('league.json', null),
+    seasons: readFixture('league-seasons.json', []),
+    seasonSessions: readFixture('season-sessions.json', {}),
+    results,
+  };
+}
+
+let fixtures = loadFixtures();
+
+// ---------------------- State ----------------------
+const state = {
+  codes: new Map(), // code -> { clientId, redirectUri, custId, codeChallenge, expiresAt }
+  accessTokens: new Map(), // token -> { custId, expiresAt }
+  refreshTokens: new Map(), // token -> { clientId, custId }
+  links: new Map(), // id -> { payload, expiresAt }
+  rateWindows: new Map(), // token -> { windowStart, count }
+  failures: [], // { path, status, remaining }
+};
+
+function resetState() {
+  state.codes.clear();
+  state.accessTokens.clear();
+  state.refreshTokens.clear();
+  state.links.clear();
+  state.rateWindows.clear();
+  state.failures = [];
+}
+
+function randomToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function findMember(custId) {
+  return fixtures.members.find((m) => String(m.cust_id) === String(custId)) || null;
+}
+
+function issueTokens(clientId, custId) {
+  const accessToken = randomToken();
+  const refreshToken = randomToken();
+  state.accessTokens.set(accessToken, { custId, expiresAt: Date.now() + TOKEN_TTL_SECONDS * 1000 });
+  state.refreshTokens.set(refreshToken, { clientId, custId });
+
+  return {
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: TOKEN_TTL_SECONDS,
+    refresh_token: refreshToken,
+    scope: 'openid',
+  };
+}
+
+/**
+ * Check client credentials (only enforced when MOCK_IRACING_CLIENT_ID / _SECRET are set)
+ */
+function validClient(clientId, clientSecret) {
+  if (CLIENT_ID && clientId !== CLIENT_ID) return false;
+  if (CLIENT_SECRET && clientSecret !== CLIENT_SECRET) return false;
+  return !!clientId;
+}
+
+function escapeHtml(value) {
+  return String(value).replace(
+    /[&<>"']/g,
+    (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]
+  );
+}
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+app.use(express.json());
+
+app.use((req, res, next) => {
+  console.log(`[mock-iracing] ${req.method} ${req.originalUrl}`);
+  next();
+});
+
+// ---------------------- OAuth ----------------------
+// Authorization page: pick which fixture member to log in as
+app.get('/auth', (req, res) => {
+  const { client_id: clientId, redirect_uri: redirectUri, response_type: responseType } = req.query;
+  const stateParam = req.query.state || '';
+  const codeChallenge = req.query.code_challenge || '';
+
+  if (!clientId || (CLIENT_ID && clientId !== CLIENT_ID)) {
+    return res.status(400).send('Unknown client_id.');
+  }
+  if (responseType !== 'code' || !redirectUri) {
+    return res.status(400).send('response_type=code and redirect_uri are required.');
+  }
+  if (codeChallenge && req.query.code_challenge_method !== 'S256') {
+    return res.status(400).send('Only code_challenge_method=S256 is supported.');
+  }
+
+  if (AUTO_APPROVE && fixtures.members.length > 0) {
+    return approve(res, {
+      clientId,
+      redirectUri,
+      state: stateParam,
+      codeChallenge,
+      custId: fixtures.members[0].cust_id,
+    });
+  }
+
+  const hidden = {
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    state: stateParam,
+    code_challenge: codeChallenge,
+  };
+  const hiddenInputs = Object.entries(hidden)
+    .map(([k, v]) => `<input type="hidden" name="${k}" value="${escapeHtml(v)}" />`)
+    .join('');
+
+  return res.send(`<!DOCTYPE html>
+<html>
+  <head><title>Mock iRacing Login</title></head>
+  <body style="font-family: sans-serif; background: #0a0f1a; color: #e5e7eb; padding: 40px;">
+    <h1>Mock iRacing Login</h1>
+    <p>Client <code>${escapeHtml(clientId)}</code> wants to access your iRacing data.</p>
+    <form method="POST" action="/auth/approve">
+      ${hiddenInputs}
+      ${fixtures.members
+        .map(
+          (m) => `<p><button type="submit" name="cust_id" value="${m.cust_id}">
+            Sign in as ${escapeHtml(m.display_name)} (${m.cust_id})</button></p>`
+        )
+        .join('')}
+      <p><button type="submit" name="deny" value="1">Deny</button></p>
+    </form>
+  </body>
+</html>`);
+});
+
+app.post('/auth/approve', (req, res) => {
+  const { client_id: clientId, redirect_uri: redirectUri, cust_id: custId } = req.body;
+  const stateParam = req.body.state || '';
+  const codeChallenge = req.body.code_challenge || '';
+
+  if (!clientId || !redirectUri) {
+    return res.status(400).send('client_id and redirect_uri are required.');
+  }
+
+  if (req.body.deny || !findMember(custId)) {
+    const url = new URL(redirectUri);
+    url.searchParams.set('error', 'access_denied');
+    if (stateParam) url.searchParams.set('state', stateParam);
+    return res.redirect(url.toString());
+  }
+
+  return approve(res, {
+    clientId,
+    redirectUri,
+    state: stateParam,
+    codeChallenge,
+    custId: Number(custId),
+  });
+});
+
+/**
+ * Issue a single-use authorization code and redirect back to the client
+ */
+function approve(res, { clientId, redirectUri, state: stateParam, codeChallenge, custId }) {
+  const code = randomToken();
+  state.codes.set(code, {
+    clientId,
+    redirectUri,
+    custId,
+    codeChallenge,
+    expiresAt: Date.now() + 60 * 1000,
+  });
+
+  const url = new URL(redirectUri);
+  url.searchParams.set('code', code);
+  if (stateParam) url.searchParams.set('state', stateParam);
+  return res.redirect(url.toString());
+}
+
+app.post('/oauth/token', (req, res) => {
+  const { grant_type: grantType, client_id: clientId, client_secret: clientSecret } = req.body;
+
+  if (!validClient(clientId, clientSecret)) {
+    return res
+      .status(401)
+      .json({ error: 'invalid_client', error_description: 'Unknown client or bad secret.' });
+  }
+
+  if (grantType === 'authorization_code') {
+    const grant = state.codes.get(req.body.code);
+    state.codes.delete(req.body.code); // Single use, even on failure
+
+    if (!grant || grant.expiresAt < Date.now() || grant.clientId !== clientId) {
+      return res.status(400).json({
+        error: 'invalid_grant',
+        error_description: 'Authorization code is invalid, expired or already used.',
+      });
+    }
+    if (grant.redirectUri !== req.body.redirect_uri) {
+      return res
+        .status(400)
+        .json({ error: 'invalid_grant', error_description: 'redirect_uri does not match.' });
+    }
+    if (grant.codeChallenge) {
+      const verifier = req.body.code_verifier || '';
+      const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+      if (challenge !== grant.codeChallenge) {
+        return res
+          .status(400)
+          .json({ error: 'invalid_grant', error_description: 'code_verifier does not match.' });
+      }
+    }
+
+    return res.json(issueTokens(clientId, grant.custId));
+  }
+
+  if (grantType === 'refresh_token') {
+    const grant = state.refreshTokens.get(req.body.refresh_token);
+    if (!grant || grant.clientId !== clientId) {
+      return res
+        .status(400)
+        .json({ error: 'invalid_grant', error_description: 'Refresh token is invalid.' });
+    }
+
+    // Refresh tokens rotate like iRacing's: the old one stops working
+    state.refreshTokens.delete(req.body.refresh_token);
+    return res.json(issueTokens(clientId, grant.custId));
+  }
+
+  return res.status(400).json({ error: 'unsupported_grant_type' });
+});
+
+// ---------------------- Data API ----------------------
+/**
+ * Require a valid bearer token, apply the per-token rate limit and any injected failures
+ */
+function dataApiGuard(req, res, next) {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+  const session = token && state.accessTokens.get(token);
+
+  if (!session || session.expiresAt < Date.now()) {
+    return res
+      .status(401)
+      .json({ error: 'Unauthorized', message: 'Access token missing or expired.' });
+  }
+  req.custId = session.custId;
+
+  const now = Date.now();
+  let window = state.rateWindows.get(token);
+  if (!window || now - window.windowStart >= 60 * 1000) {
+    window = { windowStart: now, count: 0 };
+    state.rateWindows.set(token, window);
+  }
+  window.count++;
+
+  const reset = Math.ceil((window.windowStart + 60 * 1000) / 1000);
+  res.set({
+    'x-ratelimit-limit': String(RATE_LIMIT),
+    'x-ratelimit-remaining': String(Math.max(0, RATE_LIMIT - window.count)),
+    'x-ratelimit-reset': String(reset),
+  });
+  if (window.count > RATE_LIMIT) {
+    return res.status(429).json({ error: 'Rate limit exceeded', message: 'Too many requests.' });
+  }
+
+  const failure = state.failures.find((f) => f.remaining > 0 && req.path.startsWith(f.path));
+  if (failure) {
+    failure.remaining--;
+    if (failure.status === 429) {
+      res.set({ 'x-ratelimit-remaining': '0', 'retry-after': '5' });
+    }
+    return res
+      .status(failure.status)
+      .json({ error: failure.status === 503 ? 'Site Maintenance' : 'Injected failure' });
+  }
+
+  return next();
+}
+
+/**
+ * Put a payload on "S3" for LINK_TTL_SECONDS
+ * @returns {Object} { id, expiresAt }
+ */
+function storePayload(payload) {
+  const id = randomToken();
+  const expiresAt = Date.now() + LINK_TTL_SECONDS * 1000;
+  state.links.set(id, { payload, expiresAt });
+  return { id, expiresAt };
+}
+
+/**
+ * Answer the way the real Data API does: a short-lived link to the payload on "S3"
+ */
+function sendLink(res, payload) {
+  const { id, expiresAt } = storePayload(payload);
+  return res.json({ link: `${BASE_URL}/s3/${id}`, expires: new Date(expiresAt).toISOString() });
+}
+
+function raceSimsession(subsession) {
+  return (subsession.session_results || []).find((s) => s.simsession_number === 0) || null;
+}
+
+/**
+ * Deterministic lap chart rows for a results fixture's race
+ * Lap times scatter around each driver's best lap, the running order is recomputed every lap,
+ * lead-lap finishers cross the line at their recorded interval, incidents are spread over the
+ * race and retirements end in the pits. Times are in ten-thousandths of a second.
+ */
+function buildLapChart(subsession) {
+  const race = raceSimsession(subsession);
+  if (!race) return [];
+
+  const jitter = (custId, lap) => ((custId * 31 + lap * 17) % 97) / 97;
+  const drivers = race.results.map((result) => {
+    const best = result.best_lap_time > 0 ? result.best_lap_time : 900000;
+    const times = [];
+    for (let lap = 1; lap <= result.laps_complete; lap++) {
+      times.push(best + Math.round(jitter(result.cust_id, lap) * 8000));
+    }
+    if (times.length > 1) times[Math.floor(times.length / 2)] = best;
+    return { result, times };
+  });
+
+  const winner = drivers.find((d) => d.result.finish_position === 0);
+  const winnerTotal = winner ? winner.times.reduce((sum, t) => sum + t, 0) : 0;
+  drivers.forEach((d) => {
+    const onLeadLap = winner && d !== winner && d.times.length === winner.times.length;
+    if (onLeadLap && d.result.interval >= 0 && d.times.length > 1) {
+      const others = d.times.slice(0, -1).reduce((sum, t) => sum + t, 0);
+      d.times[d.times.length - 1] = winnerTotal + d.result.interval - others;
+    }
+    d.cumulative = d.times.reduce((acc, t) => acc.concat((acc[acc.length - 1] || 0) + t), []);
+
+    const incidentLaps = Math.min(Math.ceil((d.result.incidents || 0) / 2), d.times.length);
+    d.incidentLaps = new Set();
+    for (let k = 0; d.incidentLaps.size < incidentLaps; k++) {
+      d.incidentLaps.add(1 + ((d.result.cust_id + k * 7) % d.times.length));
+    }
+    d.retired = d.result.reason_out && d.result.reason_out !== 'Running';
+  });
+
+  const rows = [];
+  const lapCount = Math.max(0, ...drivers.map((d) => d.times.length));
+  for (let lap = 0; lap <= lapCount; lap++) {
+    const running = drivers
+      .filter((d) => d.times.length >= lap)
+      .sort((a, b) =>
+        lap === 0
+          ? a.result.starting_position - b.result.starting_position
+          : a.cumulative[lap - 1] - b.cumulative[lap - 1]
+      );
+
+    running.forEach((d, index) => {
+      const events = [];
+      if (lap > 0 && d.incidentLaps.has(lap)) {
+        events.push(d.result.incidents >= 4 && lap % 2 === 0 ? 'contact' : 'off track');
+      }
+      if (lap > 0 && d.retired && lap === d.times.length) events.push('pitted');
+
+      rows.push({
+        group_id: d.result.cust_id,
+        name: d.result.display_name,
+        cust_id: d.result.cust_id,
+        display_name: d.result.display_name,
+        lap_number: lap,
+        flags: 0,
+        incident: events.some((e) => e !== 'pitted'),
+        session_time: lap === 0 ? 0 : d.cumulative[lap - 1],
+        lap_time: lap === 0 ? -1 : d.times[lap - 1],
+        lap_position: index + 1,
+        lap_events: events,
+        car_number: String(index + 1),
+        fastest_lap: false,
+      });
+    });
+  }
+  return rows;
+}
+
+const data = express.Router();
+data.use(dataApiGuard);
+
+data.get('/member/info', (req, res) => {
+  const member = findMember(req.custId);
+  if (!member) return res.status(404).json({ error: 'Member not found' });
+  return sendLink(res, member);
+});
+
+data.get('/member/recent_races', (req, res) => {
+  const custId = Number(req.query.cust_id || req.custId);
+  const races = [];
+
+  for (const subsession of fixtures.results.values()) {
+    const race = raceSimsession(subsession);
+    const result = race && race.results.find((r) => r.cust_id === custId);
+    if (!result) continue;
+
+    races.push({
+      subsession_id: subsession.subsession_id,
+      session_id: subsession.session_id,
+      session_start_time: subsession.start_time,
+      event_type_name: subsession.event_type_name,
+      series_name: subsession.league_name,
+      league_id: subsession.league_id,
+      league_name: subsession.league_name,
+      track: subsession.track,
+      car_id: result.car_id,
+      car_name: result.car_name,
+      start_position: result.starting_position + 1,
+      finish_position: result.finish_position + 1,
+      laps: result.laps_complete,
+      laps_led: result.laps_lead,
+      incidents: result.incidents,
+    });
+  }
+
+  races.sort((a, b) => new Date(b.session_start_time) - new Date(a.session_start_time));
+  return sendLink(res, { cust_id: custId, races: races.slice(0, 10) });
+});
+
+data.get('/results/get', (req, res) => {
+  const subsession = fixtures.results.get(String(req.query.subsession_id));
+  if (!subsession) return res.status(404).json({ error: 'Subsession not found' });
+  return sendLink(res, subsession);
+});
+
+// Chunked like the real endpoint: the payload lists chunk files, each a JSON array of laps
+data.get('/results/lap_chart_data', (req, res) => {
+  const subsession = fixtures.results.get(String(req.query.subsession_id));
+  if (!subsession) return res.status(404).json({ error: 'Subsession not found' });
+
+  const simsessionNumber = Number(req.query.simsession_number || 0);
+  const rows = simsessionNumber === 0 ? buildLapChart(subsession) : [];
+  const chunkSize = 50;
+  const chunkFileNames = [];
+  for (let i = 0; i < rows.length; i += chunkSize) {
+    chunkFileNames.push(storePayload(rows.slice(i, i + chunkSize)).id);
+  }
+
+  return sendLink(res, {
+    success: true,
+    session_info: {
+      subsession_id: subsession.subsession_id,
+      session_id: subsession.session_id,
+      simsession_number: simsessionNumber,
+      start_time: subsession.start_time,
+      track: subsession.track,
+    },
+    chunk_info: {
+      chunk_size: chunkSize,
+      num_chunks: chunkFileNames.length,
+      rows: rows.length,
+      base_download_url: `${BASE_URL}/s3/`,
+      chunk_file_names: chunkFileNames,
+    },
+    last_updated: subsession.end_time || subsession.start_time,
+  });
+});
+
+data.get('/league/get', (req, res) => {
+  const league = fixtures.league;
+  if (!league || String(league.league_id) !== String(req.query.league_id)) {
+    return res.status(404).json({ error: 'League not found' });
+  }
+  return sendLink(res, league);
+});
+
+data.get('/league/seasons', (req, res) => {
+  const retired = req.query.retired === '1' || req.query.retired === 'true';
+  const seasons = fixtures.seasons.filter(
+    (s) => String(s.league_id) === String(req.query.league_id) && (retired || s.active)
+  );
+  return sendLink(res, {
+    success: true,
+    retired,
+    league_id: Number(req.query.league_id),
+    seasons,
+  });
+});
+
+data.get('/league/season_sessions', (req, res) => {
+  let sessions = (fixtures.seasonSessions[String(req.query.season_id)] || []).filter(
+    (s) => String(s.league_id) === String(req.query.league_id)
+  );
+  if (req.query.results_only === '1' || req.query.results_only === 'true') {
+    sessions = sessions.filter((s) => s.subsession_id);
+  }
+  return sendLink(res, {
+    success: true,
+    league_id: Number(req.query.league_id),
+    season_id: Number(req.query.season_id),
+    sessions,
+  });
+});
+
+data.use((req, res) =>
+  res.status(404).json({ error: 'Not Found', message: `No mock for ${req.path}` })
+);
+
+app.use('/data', data);
+
+// Payloads behind the "S3" links (no auth, like pre-signed URLs)
+app.get('/s3/:id', (req, res) => {
+  const link = state.links.get(req.params.id);
+  if (!link || link.expiresAt < Date.now()) {
+    state.links.delete(req.params.id);
+    return res
+      .status(403)
+      .type('application/xml')
+      .send('<Error><Code>AccessDenied</Code><Message>Request has expired</Message></Error>');
+  }
+  return res.json(link.payload);
+});
+
+// ---------------------- Test controls ----------------------
+// Make the next `count` Data API calls under `path` fail with `status` (e.g. 429, 500, 503)
+app.post('/_mock/fail', (req, res) => {
+  const status = parseInt(req.body.status, 10);
+  if (!req.body.path || !status) {
+    return res.status(400).json({ message: 'path and status are required.' });
+  }
+  const failure = {
+    path: req.body.path,
+    status,
+    remaining: parseInt(req.body.count || '1', 10) || 1,
+  };
+  state.failures.push(failure);
+  return res.json(failure);
+});
+
+// Expire an access token immediately (to exercise refresh handling)
+app.post('/_mock/expire-token', (req, res) => {
+  const session = state.accessTokens.get(req.body.access_token);
+  if (!session) return res.status(404).json({ message: 'Unknown access token.' });
+  session.expiresAt = 0;
+  return res.json({ message: 'Token expired.' });
+});
+
+// Forget all tokens, links and injected failures, and reload fixtures from disk
+app.post('/_mock/reset', (req, res) => {
+  resetState();
+  fixtures = loadFixtures();
+  return res.json({ message: 'Mock state reset.' });
+});
+
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Mock iRacing Data API listening on ${BASE_URL}`);
+    console.log(`Fixtures: ${FIXTURES_DIR}`);
+  });
+}
+
+module.exports = app;
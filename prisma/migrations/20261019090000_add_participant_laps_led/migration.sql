@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "IracingSessionParticipant" ADD COLUMN "lapsLed" INTEGER NOT NULL DEFAULT 0;
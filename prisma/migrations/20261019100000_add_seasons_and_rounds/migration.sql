@@ -0,0 +1,67 @@
+-- CreateTable
+CREATE TABLE "Season" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "name" TEXT NOT NULL,
+    "startDate" DATETIME,
+    "endDate" DATETIME,
+    "carClass" TEXT,
+    "pointsSystem" TEXT,
+    "dropRounds" INTEGER NOT NULL DEFAULT 0,
+    "status" TEXT NOT NULL DEFAULT 'upcoming',
+    "iracingLeagueId" INTEGER,
+    "iracingSeasonId" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "Round" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "seasonId" INTEGER NOT NULL,
+    "roundNumber" INTEGER NOT NULL,
+    "name" TEXT,
+    "track" TEXT,
+    "raceDate" DATETIME,
+    "status" TEXT NOT NULL DEFAULT 'scheduled',
+    "calendarEventId" INTEGER,
+    "sessionId" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "Round_seasonId_fkey" FOREIGN KEY ("seasonId") REFERENCES "Season" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "Round_calendarEventId_fkey" FOREIGN KEY ("calendarEventId") REFERENCES "CalendarEvent" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Round_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "IracingSession" ("sessionId") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Season_iracingSeasonId_key" ON "Season"("iracingSeasonId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Round_calendarEventId_key" ON "Round"("calendarEventId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Round_sessionId_key" ON "Round"("sessionId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Round_seasonId_roundNumber_key" ON "Round"("seasonId", "roundNumber");
+
+-- Data migration: the existing "Season 1" becomes a real (still running) season,
+-- with its active race calendar events as rounds (numbered by date). Skipped when there are
+-- none, so a fresh database doesn't get an empty season.
+INSERT INTO "Season" ("name", "status", "startDate", "updatedAt")
+SELECT 'Season 1', 'active',
+    (SELECT MIN("eventDate") FROM "CalendarEvent" WHERE "eventType" = 'race' AND "isActive" = true),
+    CURRENT_TIMESTAMP
+WHERE EXISTS (SELECT 1 FROM "CalendarEvent" WHERE "eventType" = 'race' AND "isActive" = true);
+
+INSERT INTO "Round" ("seasonId", "roundNumber", "name", "track", "raceDate", "status", "calendarEventId", "updatedAt")
+SELECT
+    (SELECT "id" FROM "Season" WHERE "name" = 'Season 1' ORDER BY "id" LIMIT 1),
+    ROW_NUMBER() OVER (ORDER BY "eventDate", "id"),
+    "title",
+    "track",
+    "eventDate",
+    "status",
+    "id",
+    CURRENT_TIMESTAMP
+FROM "CalendarEvent"
+WHERE "eventType" = 'race' AND "isActive" = true;
@@ -0,0 +1,64 @@
+-- AlterTable
+ALTER TABLE "CalendarEvent" ADD COLUMN "iracingLeagueId" INTEGER;
+ALTER TABLE "CalendarEvent" ADD COLUMN "iracingSeasonId" INTEGER;
+ALTER TABLE "CalendarEvent" ADD COLUMN "iracingSessionId" INTEGER;
+ALTER TABLE "CalendarEvent" ADD COLUMN "iracingSubsessionId" INTEGER;
+ALTER TABLE "CalendarEvent" ADD COLUMN "raceWeekNum" INTEGER;
+
+-- Data migration: the league schedule sync used to append "[iRacing: {...}]" to the
+-- description. Lift that JSON into the new columns and strip it from the description.
+CREATE TABLE "_CalendarEventIracingMeta" AS
+SELECT
+    "id",
+    substr("description", 1, "start" - 1) AS "before",
+    substr("rest", 1, instr("rest", '}]')) AS "meta",
+    substr("rest", instr("rest", '}]') + 2) AS "after"
+FROM (
+    SELECT
+        "id",
+        "description",
+        instr("description", '[iRacing: ') AS "start",
+        substr("description", instr("description", '[iRacing: ') + 10) AS "rest"
+    FROM "CalendarEvent"
+    WHERE instr("description", '[iRacing: ') > 0
+)
+WHERE instr("rest", '}]') > 0 AND json_valid(substr("rest", 1, instr("rest", '}]')));
+
+-- A session synced more than once keeps its metadata on the oldest event only,
+-- so the unique indexes below can be created
+DELETE FROM "_CalendarEventIracingMeta"
+WHERE json_extract("meta", '$.sessionId') IS NOT NULL
+  AND "id" NOT IN (
+    SELECT MIN("id") FROM "_CalendarEventIracingMeta"
+    WHERE json_extract("meta", '$.sessionId') IS NOT NULL
+    GROUP BY CAST(json_extract("meta", '$.sessionId') AS INTEGER)
+  );
+
+DELETE FROM "_CalendarEventIracingMeta"
+WHERE json_extract("meta", '$.subsessionId') IS NOT NULL
+  AND "id" NOT IN (
+    SELECT MIN("id") FROM "_CalendarEventIracingMeta"
+    WHERE json_extract("meta", '$.subsessionId') IS NOT NULL
+    GROUP BY CAST(json_extract("meta", '$.subsessionId') AS INTEGER)
+  );
+
+UPDATE "CalendarEvent"
+SET
+    "iracingLeagueId" = (SELECT CAST(json_extract("meta", '$.leagueId') AS INTEGER) FROM "_CalendarEventIracingMeta" m WHERE m."id" = "CalendarEvent"."id"),
+    "iracingSeasonId" = (SELECT CAST(json_extract("meta", '$.seasonId') AS INTEGER) FROM "_CalendarEventIracingMeta" m WHERE m."id" = "CalendarEvent"."id"),
+    "iracingSessionId" = (SELECT CAST(json_extract("meta", '$.sessionId') AS INTEGER) FROM "_CalendarEventIracingMeta" m WHERE m."id" = "CalendarEvent"."id"),
+    "iracingSubsessionId" = (SELECT CAST(json_extract("meta", '$.subsessionId') AS INTEGER) FROM "_CalendarEventIracingMeta" m WHERE m."id" = "CalendarEvent"."id"),
+    "raceWeekNum" = (SELECT CAST(json_extract("meta", '$.raceWeekNum') AS INTEGER) FROM "_CalendarEventIracingMeta" m WHERE m."id" = "CalendarEvent"."id"),
+    "description" = (SELECT NULLIF(trim("before" || "after", char(10, 13, 32)), '') FROM "_CalendarEventIracingMeta" m WHERE m."id" = "CalendarEvent"."id")
+WHERE "id" IN (SELECT "id" FROM "_CalendarEventIracingMeta");
+
+DROP TABLE "_CalendarEventIracingMeta";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CalendarEvent_iracingSessionId_key" ON "CalendarEvent"("iracingSessionId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CalendarEvent_iracingSubsessionId_key" ON "CalendarEvent"("iracingSubsessionId");
+
+-- CreateIndex
+CREATE INDEX "CalendarEvent_iracingLeagueId_iracingSeasonId_idx" ON "CalendarEvent"("iracingLeagueId", "iracingSeasonId");
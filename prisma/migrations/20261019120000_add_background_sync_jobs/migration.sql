@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "IracingAccount" ADD COLUMN "syncFailures" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "IracingAccount" ADD COLUMN "lastSyncError" TEXT;
+ALTER TABLE "IracingAccount" ADD COLUMN "nextSyncAt" DATETIME;
+
+-- CreateTable
+CREATE TABLE "SyncJobRun" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "trigger" TEXT NOT NULL DEFAULT 'schedule',
+    "triggeredBy" INTEGER,
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "startedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" DATETIME,
+    "accountsTotal" INTEGER NOT NULL DEFAULT 0,
+    "accountsSynced" INTEGER NOT NULL DEFAULT 0,
+    "accountsFailed" INTEGER NOT NULL DEFAULT 0,
+    "accountsSkipped" INTEGER NOT NULL DEFAULT 0,
+    "sessionsSynced" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "details" TEXT
+);
+
+-- CreateIndex
+CREATE INDEX "SyncJobRun_startedAt_idx" ON "SyncJobRun"("startedAt");
@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "IracingSessionParticipant" ADD COLUMN "interval" REAL;
+
+-- CreateTable
+CREATE TABLE "ResultAdjustment" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "sessionId" TEXT NOT NULL,
+    "custId" INTEGER NOT NULL,
+    "type" TEXT NOT NULL,
+    "value" INTEGER NOT NULL DEFAULT 0,
+    "reason" TEXT NOT NULL,
+    "evidenceUrl" TEXT,
+    "appliesToRoundId" INTEGER,
+    "createdBy" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "ResultAdjustment_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "IracingSession" ("sessionId") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "ResultAdjustment_appliesToRoundId_fkey" FOREIGN KEY ("appliesToRoundId") REFERENCES "Round" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "ResultAdjustment_sessionId_idx" ON "ResultAdjustment"("sessionId");
+
+-- CreateIndex
+CREATE INDEX "ResultAdjustment_custId_idx" ON "ResultAdjustment"("custId");
+
+-- CreateIndex
+CREATE INDEX "ResultAdjustment_appliesToRoundId_idx" ON "ResultAdjustment"("appliesToRoundId");
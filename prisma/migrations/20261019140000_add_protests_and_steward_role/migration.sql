@@ -0,0 +1,68 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "isSteward" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "Protest" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "sessionId" TEXT NOT NULL,
+    "filedById" INTEGER NOT NULL,
+    "filerCustId" INTEGER NOT NULL,
+    "accusedId" INTEGER NOT NULL,
+    "accusedCustId" INTEGER NOT NULL,
+    "lap" INTEGER,
+    "replayTime" TEXT,
+    "description" TEXT NOT NULL,
+    "accusedStatement" TEXT,
+    "statementAt" DATETIME,
+    "status" TEXT NOT NULL DEFAULT 'open',
+    "decision" TEXT,
+    "decidedBy" INTEGER,
+    "decidedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "Protest_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "IracingSession" ("sessionId") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "Protest_filedById_fkey" FOREIGN KEY ("filedById") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "Protest_accusedId_fkey" FOREIGN KEY ("accusedId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_ResultAdjustment" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "sessionId" TEXT NOT NULL,
+    "custId" INTEGER NOT NULL,
+    "type" TEXT NOT NULL,
+    "value" INTEGER NOT NULL DEFAULT 0,
+    "reason" TEXT NOT NULL,
+    "evidenceUrl" TEXT,
+    "appliesToRoundId" INTEGER,
+    "protestId" INTEGER,
+    "createdBy" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "ResultAdjustment_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "IracingSession" ("sessionId") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "ResultAdjustment_appliesToRoundId_fkey" FOREIGN KEY ("appliesToRoundId") REFERENCES "Round" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "ResultAdjustment_protestId_fkey" FOREIGN KEY ("protestId") REFERENCES "Protest" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_ResultAdjustment" ("appliesToRoundId", "createdAt", "createdBy", "custId", "evidenceUrl", "id", "reason", "sessionId", "type", "updatedAt", "value") SELECT "appliesToRoundId", "createdAt", "createdBy", "custId", "evidenceUrl", "id", "reason", "sessionId", "type", "updatedAt", "value" FROM "ResultAdjustment";
+DROP TABLE "ResultAdjustment";
+ALTER TABLE "new_ResultAdjustment" RENAME TO "ResultAdjustment";
+CREATE INDEX "ResultAdjustment_sessionId_idx" ON "ResultAdjustment"("sessionId");
+CREATE INDEX "ResultAdjustment_custId_idx" ON "ResultAdjustment"("custId");
+CREATE INDEX "ResultAdjustment_appliesToRoundId_idx" ON "ResultAdjustment"("appliesToRoundId");
+CREATE INDEX "ResultAdjustment_protestId_idx" ON "ResultAdjustment"("protestId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- CreateIndex
+CREATE INDEX "Protest_sessionId_idx" ON "Protest"("sessionId");
+
+-- CreateIndex
+CREATE INDEX "Protest_filedById_idx" ON "Protest"("filedById");
+
+-- CreateIndex
+CREATE INDEX "Protest_accusedId_idx" ON "Protest"("accusedId");
+
+-- CreateIndex
+CREATE INDEX "Protest_status_idx" ON "Protest"("status");
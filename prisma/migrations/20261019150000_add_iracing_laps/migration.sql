@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "IracingLap" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "sessionId" TEXT NOT NULL,
+    "custId" INTEGER NOT NULL,
+    "lapNumber" INTEGER NOT NULL,
+    "lapTime" REAL,
+    "position" INTEGER,
+    "incident" BOOLEAN NOT NULL DEFAULT false,
+    "pitted" BOOLEAN NOT NULL DEFAULT false,
+    "events" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "IracingLap_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "IracingSession" ("sessionId") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "IracingLap_sessionId_idx" ON "IracingLap"("sessionId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "IracingLap_sessionId_custId_lapNumber_key" ON "IracingLap"("sessionId", "custId", "lapNumber");
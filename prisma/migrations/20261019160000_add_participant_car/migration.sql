@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "IracingSessionParticipant" ADD COLUMN "carName" TEXT;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Driver" ADD COLUMN "statsDerivedAt" DATETIME;
+ALTER TABLE "Driver" ADD COLUMN "ratingDerivedAt" DATETIME;
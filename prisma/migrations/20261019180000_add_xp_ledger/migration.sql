@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "XpTransaction" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "driverId" INTEGER NOT NULL,
+    "source" TEXT NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "reason" TEXT,
+    "reference" TEXT,
+    "createdBy" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "XpTransaction_driverId_fkey" FOREIGN KEY ("driverId") REFERENCES "Driver" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "XpTransaction_driverId_idx" ON "XpTransaction"("driverId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "XpTransaction_driverId_source_reference_key" ON "XpTransaction"("driverId", "source", "reference");
+
+-- Carry existing XP (admin edits and achievement rewards) into the ledger
+INSERT INTO "XpTransaction" ("driverId", "source", "amount", "reason")
+SELECT "id", 'opening_balance', "xpTotal", 'XP before the ledger'
+FROM "Driver"
+WHERE "xpTotal" <> 0;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Achievement" ADD COLUMN "criteria" TEXT;
@@ -0,0 +1,60 @@
+-- CreateTable
+CREATE TABLE "DriverAchievement" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "driverId" INTEGER NOT NULL,
+    "achievementId" INTEGER NOT NULL,
+    "unlockedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "context" TEXT,
+    "awardedBy" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "DriverAchievement_driverId_fkey" FOREIGN KEY ("driverId") REFERENCES "Driver" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "DriverAchievement_achievementId_fkey" FOREIGN KEY ("achievementId") REFERENCES "Achievement" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DriverAchievement_driverId_achievementId_key" ON "DriverAchievement"("driverId", "achievementId");
+
+-- CreateIndex
+CREATE INDEX "DriverAchievement_achievementId_idx" ON "DriverAchievement"("achievementId");
+
+-- Unlocked copies whose template was deleted or renamed get an inactive template of their own
+INSERT INTO "Achievement" ("name", "description", "icon", "xpReward", "rarity", "category", "isActive", "createdAt", "updatedAt")
+SELECT c."name", c."description", c."icon", c."xpReward", c."rarity", c."category", false, MIN(c."createdAt"), CURRENT_TIMESTAMP
+FROM "Achievement" c
+WHERE c."driverId" IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM "Achievement" t WHERE t."driverId" IS NULL AND t."name" = c."name")
+GROUP BY c."name";
+
+-- Move unlocked copies to DriverAchievement, matched to their template by name (earliest unlock wins)
+INSERT OR IGNORE INTO "DriverAchievement" ("driverId", "achievementId", "unlockedAt", "createdAt")
+SELECT c."driverId",
+       (SELECT MIN(t."id") FROM "Achievement" t WHERE t."driverId" IS NULL AND t."name" = c."name"),
+       COALESCE(c."unlockedAt", c."createdAt"),
+       c."createdAt"
+FROM "Achievement" c
+WHERE c."driverId" IS NOT NULL
+ORDER BY COALESCE(c."unlockedAt", c."createdAt");
+
+DELETE FROM "Achievement" WHERE "driverId" IS NOT NULL;
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Achievement" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "name" TEXT NOT NULL,
+    "description" TEXT NOT NULL,
+    "icon" TEXT,
+    "xpReward" INTEGER NOT NULL DEFAULT 0,
+    "rarity" TEXT NOT NULL DEFAULT 'Common',
+    "category" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "criteria" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+INSERT INTO "new_Achievement" ("category", "createdAt", "criteria", "description", "icon", "id", "isActive", "name", "rarity", "updatedAt", "xpReward") SELECT "category", "createdAt", "criteria", "description", "icon", "id", "isActive", "name", "rarity", "updatedAt", "xpReward" FROM "Achievement";
+DROP TABLE "Achievement";
+ALTER TABLE "new_Achievement" RENAME TO "Achievement";
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
@@ -0,0 +1,46 @@
+-- CreateTable
+CREATE TABLE "UserRole" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "userId" INTEGER NOT NULL,
+    "role" TEXT NOT NULL,
+    "assignedBy" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "UserRole_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UserRole_userId_role_key" ON "UserRole"("userId", "role");
+
+-- CreateIndex
+CREATE INDEX "UserRole_role_idx" ON "UserRole"("role");
+
+-- Carry the old flags over: admins keep full access, stewards keep the protest queue
+INSERT INTO "UserRole" ("userId", "role") SELECT "id", 'admin' FROM "User" WHERE "isAdmin" = true;
+INSERT INTO "UserRole" ("userId", "role") SELECT "id", 'steward' FROM "User" WHERE "isSteward" = true AND "isAdmin" = false;
+
+-- The longest-standing admin becomes the owner, so someone can hand out the owner role
+INSERT INTO "UserRole" ("userId", "role") SELECT "id", 'owner' FROM "User" WHERE "isAdmin" = true ORDER BY "id" LIMIT 1;
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_User" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "username" TEXT NOT NULL,
+    "passwordHash" TEXT NOT NULL,
+    "email" TEXT,
+    "emailVerified" BOOLEAN NOT NULL DEFAULT false,
+    "emailVerifiedAt" DATETIME,
+    "totpSecret" TEXT,
+    "totpEnabled" BOOLEAN NOT NULL DEFAULT false,
+    "totpEnabledAt" DATETIME,
+    "totpLastStep" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+INSERT INTO "new_User" ("createdAt", "email", "emailVerified", "emailVerifiedAt", "id", "passwordHash", "totpEnabled", "totpEnabledAt", "totpLastStep", "totpSecret", "username") SELECT "createdAt", "email", "emailVerified", "emailVerifiedAt", "id", "passwordHash", "totpEnabled", "totpEnabledAt", "totpLastStep", "totpSecret", "username" FROM "User";
+DROP TABLE "User";
+ALTER TABLE "new_User" RENAME TO "User";
+CREATE UNIQUE INDEX "User_username_key" ON "User"("username");
+CREATE UNIQUE INDEX "User_email_key" ON "User"("email");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "IracingOAuthState" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "stateHash" TEXT NOT NULL,
+    "sessionId" INTEGER NOT NULL,
+    "codeVerifier" TEXT NOT NULL,
+    "expiresAt" DATETIME NOT NULL,
+    "usedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "IracingOAuthState_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "AuthSession" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "IracingOAuthState_stateHash_key" ON "IracingOAuthState"("stateHash");
+
+-- CreateIndex
+CREATE INDEX "IracingOAuthState_sessionId_idx" ON "IracingOAuthState"("sessionId");
+
+-- CreateIndex
+CREATE INDEX "IracingOAuthState_expiresAt_idx" ON "IracingOAuthState"("expiresAt");
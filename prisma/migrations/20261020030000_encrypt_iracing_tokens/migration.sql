@@ -0,0 +1,5 @@
+-- AlterTable
+-- Existing rows keep their plaintext tokens (tokenKeyId NULL) until `npm run rotate-token-keys`
+-- encrypts them; the server reads both.
+ALTER TABLE "IracingAccount" ADD COLUMN "tokenKeyId" TEXT;
+ALTER TABLE "IracingAccount" ADD COLUMN "tokenDataKey" TEXT;
@@ -0,0 +1,24 @@
+-- Pending states from before this change have no browser nonce; they expire within minutes anyway
+DELETE FROM "IracingOAuthState";
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_IracingOAuthState" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "stateHash" TEXT NOT NULL,
+    "sessionId" INTEGER NOT NULL,
+    "browserNonceHash" TEXT NOT NULL,
+    "codeVerifier" TEXT NOT NULL,
+    "expiresAt" DATETIME NOT NULL,
+    "usedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "IracingOAuthState_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "AuthSession" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+DROP TABLE "IracingOAuthState";
+ALTER TABLE "new_IracingOAuthState" RENAME TO "IracingOAuthState";
+CREATE UNIQUE INDEX "IracingOAuthState_stateHash_key" ON "IracingOAuthState"("stateHash");
+CREATE INDEX "IracingOAuthState_sessionId_idx" ON "IracingOAuthState"("sessionId");
+CREATE INDEX "IracingOAuthState_expiresAt_idx" ON "IracingOAuthState"("expiresAt");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
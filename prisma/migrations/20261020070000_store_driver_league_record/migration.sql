@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Driver" ADD COLUMN "wins" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "Driver" ADD COLUMN "podiums" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "Driver" ADD COLUMN "dnfs" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "Driver" ADD COLUMN "championships" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,92 @@
+// Encrypt stored iRacing OAuth tokens with the current TOKEN_ENCRYPTION_KEYS key
+// Run this in Render Shell: npm run rotate-token-keys
+//
+// - First time: encrypts tokens stored before encryption existed (plaintext rows)
+// - Rotating: put the new key first in TOKEN_ENCRYPTION_KEYS and keep the old one after it,
+//   restart, run this, then remove the old key once it reports nothing left under it
+// - `--all` re-encrypts every row with a fresh data key, even ones already on the current key
+// - `--generate-key` prints a new <id>:<key> entry and exits
+
+const { PrismaClient } = require('@prisma/client');
+const tokenEncryption = require('./lib/token-encryption');
+
+async function rotateTokenKeys({ all }) {
+  const keyring = tokenEncryption.parseKeyring(process.env.TOKEN_ENCRYPTION_KEYS);
+  if (!keyring.currentKeyId) {
+    console.error('❌ TOKEN_ENCRYPTION_KEYS is not set.');
+    console.error('   Generate a key with: node rotate-token-keys.js --generate-key');
+    process.exit(1);
+  }
+
+  const prisma = new PrismaClient();
+  console.log(`🔐 Encrypting iRacing tokens with key "${keyring.currentKeyId}"...\n`);
+
+  try {
+    const accounts = await prisma.iracingAccount.findMany({
+      select: {
+        id: true,
+        userId: true,
+        accessToken: true,
+        refreshToken: true,
+        tokenKeyId: true,
+        tokenDataKey: true,
+      },
+    });
+
+    let updated = 0;
+    const failed = [];
+    for (const account of accounts) {
+      if (!all && !tokenEncryption.needsReencryption(account, keyring)) continue;
+
+      try {
+        const tokens = tokenEncryption.decryptTokens(account, keyring);
+        // Only rewrite the row if nobody (e.g. a token refresh) changed it in the meantime
+        const { count } = await prisma.iracingAccount.updateMany({
+          where: {
+            id: account.id,
+            tokenKeyId: account.tokenKeyId,
+            accessToken: account.accessToken,
+          },
+          data: tokenEncryption.encryptTokens(tokens, keyring),
+        });
+        if (count > 0) updated++;
+        else failed.push({ account, error: 'changed while rotating, run again' });
+      } catch (err) {
+        failed.push({ account, error: err.message });
+      }
+    }
+
+    console.log(`   ✅ ${updated} of ${accounts.length} account(s) re-encrypted`);
+    for (const { account, error } of failed) {
+      console.error(`   ❌ Account ${account.id} (user ${account.userId}): ${error}`);
+    }
+    if (failed.length > 0) {
+      process.exitCode = 1;
+      return;
+    }
+
+    const remaining = await prisma.iracingAccount.groupBy({
+      by: ['tokenKeyId'],
+      _count: { _all: true },
+    });
+    for (const group of remaining) {
+      if (group.tokenKeyId === keyring.currentKeyId) continue;
+      console.log(
+        `   ⚠️  ${group._count._all} account(s) still under ${group.tokenKeyId || 'plaintext'}`
+      );
+    }
+    console.log('\n✅ Done.');
+  } catch (err) {
+    console.error('\n❌ Error:', err.message);
+    console.error('Code:', err.code || 'N/A');
+    process.exit(1);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+if (process.argv.includes('--generate-key')) {
+  console.log(tokenEncryption.generateKeyEntry());
+} else {
+  rotateTokenKeys({ all: process.argv.includes('--all') });
+}
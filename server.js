@@ -8,6 +8,21 @@ const { PrismaClient } = require('@prisma/client');
 const iracingOAuth = require('./lib/iracing-oauth');
 const iracingSync = require('./lib/iracing-sync');
 const iracingLeagueSchedule = require('./lib/iracing-league-schedule');
+const pointsEngine = require('./lib/points-engine');
+const resultsImport = require('./lib/results-import');
+const resultAdjustments = require('./lib/result-adjustments');
+const lapAnalysis = require('./lib/lap-analysis');
+const driverStats = require('./lib/driver-stats');
+const xpEngine = require('./lib/xp-engine');
+const achievementRules = require('./lib/achievement-rules');
+const passwords = require('./lib/passwords');
+const totp = require('./lib/totp');
+const permissions = require('./lib/permissions');
+const auditLog = require('./lib/audit-log');
+const tokenEncryption = require('./lib/token-encryption');
+const accountExport = require('./lib/account-export');
+const zip = require('./lib/zip');
+const qrCode = require('./lib/qr-code');
 
 const prisma = new PrismaClient();
 
@@ -17,27 +32,31 @@ const PORT = process.env.PORT || 3000;
 // Email configuration
 // For production, set these environment variables:
 // SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_FROM, BASE_URL
-// For development/testing, uses a test account (emails won't actually send)
+// For development/testing, uses a test account (emails won't actually send).
+// To follow the links locally, run an SMTP catcher such as Mailpit and set
+// SMTP_HOST=localhost SMTP_PORT=1025.
 const emailTransporter = nodemailer.createTransport({
   host: process.env.SMTP_HOST || 'smtp.ethereal.email',
   port: parseInt(process.env.SMTP_PORT || '587'),
-  secure: false, // true for 465, false for other ports
+  secure: process.env.SMTP_SECURE === 'true', // true for 465, false for other ports
   auth: process.env.SMTP_USER && process.env.SMTP_PASS ? {
     user: process.env.SMTP_USER,
     pass: process.env.SMTP_PASS,
   } : undefined,
 });
 
-// Email sending function
-async function sendVerificationEmail(email, username, verificationToken) {
+/**
+ * Send an account email built around a single link
+ * @param {Object} options - { to, subject, heading, username, intro, actionLabel, actionUrl,
+ *   expiry (e.g. "7 days"), ignoreNote }
+ * @returns {Promise<boolean>} Whether it was sent (failures are logged, not thrown)
+ */
+async function sendAccountEmail({ to, subject, heading, username, intro, actionLabel, actionUrl, expiry, ignoreNote }) {
   try {
-    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
-    const verificationUrl = `${baseUrl}/verify-email?token=${verificationToken}`;
-    
     const mailOptions = {
       from: process.env.SMTP_FROM || 'noreply@solanagp.com',
-      to: email,
-      subject: 'Verify your Solana Grand Prix account',
+      to,
+      subject,
       html: `
         <!DOCTYPE html>
         <html>
@@ -58,16 +77,16 @@ async function sendVerificationEmail(email, username, verificationToken) {
               <h1>Solana Grand Prix</h1>
             </div>
             <div class="content">
-              <h2>Verify your email address</h2>
+              <h2>${escapeHtmlForEmail(heading)}</h2>
               <p>Hi ${escapeHtmlForEmail(username)},</p>
-              <p>Thank you for signing up for Solana Grand Prix! Please verify your email address by clicking the button below:</p>
+              <p>${escapeHtmlForEmail(intro)}</p>
               <div style="text-align: center;">
-                <a href="${verificationUrl}" class="button">Verify Email</a>
+                <a href="${actionUrl}" class="button">${escapeHtmlForEmail(actionLabel)}</a>
               </div>
               <p>Or copy and paste this link into your browser:</p>
-              <p style="word-break: break-all; color: #6b7280; font-size: 12px;">${verificationUrl}</p>
-              <p>This link will expire in 7 days.</p>
-              <p>If you didn't create an account, you can safely ignore this email.</p>
+              <p style="word-break: break-all; color: #6b7280; font-size: 12px;">${actionUrl}</p>
+              <p>This link will expire in ${expiry} and can only be used once.</p>
+              <p>${escapeHtmlForEmail(ignoreNote)}</p>
             </div>
             <div class="footer">
               <p>Solana Grand Prix - iRacing League</p>
@@ -77,30 +96,61 @@ async function sendVerificationEmail(email, username, verificationToken) {
         </html>
       `,
       text: `
-        Verify your Solana Grand Prix account
+        ${subject}
         
         Hi ${username},
         
-        Thank you for signing up! Please verify your email address by visiting this link:
+        ${intro}
         
-        ${verificationUrl}
+        ${actionUrl}
         
-        This link will expire in 7 days.
+        This link will expire in ${expiry} and can only be used once.
         
-        If you didn't create an account, you can safely ignore this email.
+        ${ignoreNote}
       `,
     };
 
     const info = await emailTransporter.sendMail(mailOptions);
-    console.log('Verification email sent:', info.messageId);
+    console.log(`Email sent (${subject}):`, info.messageId);
     return true;
   } catch (error) {
-    console.error('Error sending verification email:', error);
-    // Don't throw - allow signup to continue even if email fails
+    console.error(`Error sending email (${subject}):`, error);
+    // Don't throw - signup and account changes go ahead even if email fails
     return false;
   }
 }
 
+// Email sending function
+async function sendVerificationEmail(email, username, verificationToken) {
+  const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+  return sendAccountEmail({
+    to: email,
+    subject: 'Verify your Solana Grand Prix account',
+    heading: 'Verify your email address',
+    username,
+    intro: 'Please confirm this is your email address by clicking the button below:',
+    actionLabel: 'Verify Email',
+    actionUrl: `${baseUrl}/verify-email?token=${verificationToken}`,
+    expiry: '7 days',
+    ignoreNote: "If you didn't create an account or change your email, you can safely ignore this email.",
+  });
+}
+
+async function sendPasswordResetEmail(email, username, resetToken) {
+  const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+  return sendAccountEmail({
+    to: email,
+    subject: 'Reset your Solana Grand Prix password',
+    heading: 'Reset your password',
+    username,
+    intro: 'Someone asked to reset the password for your account. Choose a new one with the button below:',
+    actionLabel: 'Reset Password',
+    actionUrl: `${baseUrl}/reset-password?token=${resetToken}`,
+    expiry: '1 hour',
+    ignoreNote: "If you didn't ask for this, you can ignore this email; your password won't change.",
+  });
+}
+
 function escapeHtmlForEmail(text) {
   if (!text) return '';
   return String(text)
@@ -168,30 +218,45 @@ app.use(express.json({ limit: '10mb' })); // Limit JSON payload size
 app.use(express.urlencoded({ extended: true, limit: '10mb' })); // Limit form data size
 
 // ---------------------- Auth/session helpers ----------------------
-const sessions = new Map(); // token -> { userId, createdAt, lastAccess }
+// Sessions live in the AuthSession table (keyed by a hash of the token), so they survive
+// restarts and are shared between processes.
 
-// Session expiration time: 30 days
+// Sessions expire after 30 days without use (sliding expiry on lastAccess)
 const SESSION_EXPIRY_MS = 30 * 24 * 60 * 60 * 1000;
-
-// Rate limiting for authentication endpoints (login rate limiting disabled)
+// lastAccess is only written when it is older than this, not on every request
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+// Two-factor login: how long the second step may take and how many codes it may try
+const LOGIN_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const LOGIN_CHALLENGE_MAX_ATTEMPTS = 5;
+// Wrong codes allowed per user across challenges (a correct password issues a fresh challenge)
+// before second-factor logins are locked for TWO_FACTOR_LOCKOUT_MS
+const TWO_FACTOR_MAX_FAILURES = 10;
+const TWO_FACTOR_LOCKOUT_MS = 15 * 60 * 1000;
+// ADMIN_REQUIRE_2FA=true keeps owners and admins out of privileged routes until they turn 2FA on
+const ADMIN_REQUIRE_2FA = process.env.ADMIN_REQUIRE_2FA === 'true';
+
+// Rate limiting for authentication endpoints; login has its own, looser limit
 const rateLimitMap = new Map(); // ip -> { count, resetTime }
+const loginRateLimitMap = new Map(); // ip -> { count, resetTime }, both login steps
 const RATE_LIMIT_WINDOW_MS = 15 * 60 * 1000; // 15 minutes
 const RATE_LIMIT_MAX_ATTEMPTS = 5; // Max 5 attempts per window
+const LOGIN_RATE_LIMIT_MAX_ATTEMPTS = 20; // Password and 2FA code posts per window
 
 // Clear all rate limits on server startup
 rateLimitMap.clear();
-console.log('✅ Rate limiting cleared - login cooldown disabled');
+console.log('✅ Rate limiting cleared');
 
-function checkRateLimit(ip) {
+function checkRateLimit(ip, { map = rateLimitMap, maxAttempts = RATE_LIMIT_MAX_ATTEMPTS } = {}) {
   const now = Date.now();
-  const limit = rateLimitMap.get(ip);
+  const limit = map.get(ip);
   
   if (!limit || now > limit.resetTime) {
-    rateLimitMap.set(ip, { count: 1, resetTime: now + RATE_LIMIT_WINDOW_MS });
+    map.set(ip, { count: 1, resetTime: now + RATE_LIMIT_WINDOW_MS });
     return true;
   }
   
-  if (limit.count >= RATE_LIMIT_MAX_ATTEMPTS) {
+  if (limit.count >= maxAttempts) {
     return false;
   }
   
@@ -205,42 +270,152 @@ rateLimitMap.clear();
 // Cleanup old rate limit entries
 setInterval(() => {
   const now = Date.now();
-  for (const [ip, limit] of rateLimitMap.entries()) {
-    if (now > limit.resetTime) {
-      rateLimitMap.delete(ip);
+  for (const map of [rateLimitMap, loginRateLimitMap]) {
+    for (const [ip, limit] of map.entries()) {
+      if (now > limit.resetTime) {
+        map.delete(ip);
+      }
     }
   }
 }, 60 * 60 * 1000); // Every hour
 
 const normalizeUsername = (username = '') => username.trim().toLowerCase();
 
-// Security: SHA-256 is weak for passwords, but we'll improve validation
-// For production, consider migrating to bcrypt (requires password reset)
-const hashPassword = (password = '') =>
-  crypto.createHash('sha256').update(password).digest('hex');
+// Session and email-link tokens are stored as SHA-256 hashes, never as issued
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
-function createSession(userId) {
-  const token = crypto.randomBytes(32).toString('hex'); // Increased from 24 to 32 bytes
-  const now = Date.now();
-  sessions.set(token, { userId, createdAt: now, lastAccess: now });
-  
-  // Cleanup old sessions periodically
-  cleanupExpiredSessions();
-  
+/**
+ * Start a session for a user
+ * @param {number} userId - User ID
+ * @param {Object} req - Request that signed in (records its user agent and IP)
+ * @returns {Promise<string>} Bearer token (only its hash is stored)
+ */
+async function createSession(userId, req) {
+  const token = crypto.randomBytes(32).toString('hex');
+  await prisma.authSession.create({
+    data: {
+      tokenHash: hashToken(token),
+      userId,
+      userAgent: (req.headers['user-agent'] || '').slice(0, 500) || null,
+      ip: req.ip || req.socket?.remoteAddress || null,
+    },
+  });
   return token;
 }
 
-function cleanupExpiredSessions() {
-  const now = Date.now();
-  for (const [token, session] of sessions.entries()) {
-    if (now - session.createdAt > SESSION_EXPIRY_MS) {
-      sessions.delete(token);
-    }
+/**
+ * Look up the session for a request's bearer token
+ * Expired sessions are deleted; live ones have lastAccess moved forward.
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { token, session } or { error }
+ */
+async function loadSession(req) {
+  const token = readToken(req);
+  if (!token) return { error: 'Not authenticated.' };
+
+  const session = await prisma.authSession.findUnique({
+    where: { tokenHash: hashToken(token) },
+  });
+  if (!session) return { error: 'Not authenticated.' };
+
+  const idleMs = Date.now() - session.lastAccess.getTime();
+  if (idleMs > SESSION_EXPIRY_MS) {
+    await prisma.authSession.deleteMany({ where: { id: session.id } });
+    return { error: 'Session expired. Please log in again.' };
+  }
+  if (idleMs > SESSION_TOUCH_INTERVAL_MS) {
+    await prisma.authSession.update({
+      where: { id: session.id },
+      data: { lastAccess: new Date() },
+    });
   }
+
+  return { token, session };
+}
+
+/**
+ * Sign a user out of their sessions
+ * @param {number} userId - User ID
+ * @param {Object} options - { exceptId: keep this session (e.g. the one making the change) }
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeUserSessions(userId, { exceptId = null } = {}) {
+  const { count } = await prisma.authSession.deleteMany({
+    where: { userId, ...(exceptId && { id: { not: exceptId } }) },
+  });
+  return count;
+}
+
+async function cleanupExpiredSessions() {
+  const { count } = await prisma.authSession.deleteMany({
+    where: { lastAccess: { lt: new Date(Date.now() - SESSION_EXPIRY_MS) } },
+  });
+  if (count > 0) console.log(`Removed ${count} expired session(s)`);
+  await prisma.loginChallenge.deleteMany({ where: { expiresAt: { lt: new Date() } } });
+  await prisma.iracingOAuthState.deleteMany({ where: { expiresAt: { lt: new Date() } } });
+}
+
+// -------- Two-factor login --------
+/**
+ * Start the second login step for a user with 2FA on
+ * @param {number} userId - User whose password was accepted
+ * @returns {Promise<string>} Challenge token the client sends back with the code
+ */
+async function issueLoginChallenge(userId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  await prisma.loginChallenge.create({
+    data: {
+      tokenHash: hashToken(token),
+      userId,
+      expiresAt: new Date(Date.now() + LOGIN_CHALLENGE_TTL_MS),
+    },
+  });
+  return token;
+}
+
+/**
+ * Check a TOTP code or an unused recovery code, using it up
+ * @param {Object} user - User with 2FA on (totpSecret, totpLastStep)
+ * @param {string} code - What the user typed
+ * @returns {Promise<string|null>} 'totp' or 'recovery', or null if it doesn't match
+ */
+async function useSecondFactor(user, code) {
+  const step = totp.verifyCode(user.totpSecret, code, { afterStep: user.totpLastStep });
+  if (step !== null) {
+    // Claim the step so the same code can't be used twice
+    const { count } = await prisma.user.updateMany({
+      where: { id: user.id, OR: [{ totpLastStep: null }, { totpLastStep: { lt: step } }] },
+      data: { totpLastStep: step },
+    });
+    return count > 0 ? 'totp' : null;
+  }
+
+  const { count } = await prisma.recoveryCode.updateMany({
+    where: { userId: user.id, codeHash: hashToken(totp.normalizeRecoveryCode(code)), usedAt: null },
+    data: { usedAt: new Date() },
+  });
+  return count > 0 ? 'recovery' : null;
+}
+
+/**
+ * Replace a user's recovery codes
+ * @returns {Promise<Array<string>>} The new codes (only shown this once)
+ */
+async function resetRecoveryCodes(userId) {
+  const codes = totp.generateRecoveryCodes();
+  await prisma.$transaction([
+    prisma.recoveryCode.deleteMany({ where: { userId } }),
+    prisma.recoveryCode.createMany({
+      data: codes.map((code) => ({ userId, codeHash: hashToken(code) })),
+    }),
+  ]);
+  return codes;
 }
 
 // Cleanup expired sessions every hour
-setInterval(cleanupExpiredSessions, 60 * 60 * 1000);
+setInterval(() => {
+  cleanupExpiredSessions().catch((err) => console.warn('Session cleanup failed:', err.message));
+}, 60 * 60 * 1000);
 
 function readToken(req) {
   // Security: Only accept tokens from Authorization header, not query strings
@@ -252,58 +427,218 @@ function readToken(req) {
   return null; // Removed query string support for security
 }
 
-// Middleware: sets req.auth = { token, userId }
-function requireAuth(req, res, next) {
-  const token = readToken(req);
-  if (!token || !sessions.has(token)) {
-    return res.status(401).json({ message: 'Not authenticated.' });
-  }
-  
-  const session = sessions.get(token);
-  
-  // Check session expiration
-  if (Date.now() - session.createdAt > SESSION_EXPIRY_MS) {
-    sessions.delete(token);
-    return res.status(401).json({ message: 'Session expired. Please log in again.' });
+// -------- Email tokens --------
+// How long each kind of emailed link stays valid
+const EMAIL_TOKEN_TTL_MS = {
+  verify_email: 7 * 24 * 60 * 60 * 1000,
+  password_reset: 60 * 60 * 1000,
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Normalize and validate an email address
+ * @param {*} raw - Address from a request body
+ * @returns {Object} { email } or { error }
+ */
+function parseEmail(raw) {
+  const email = typeof raw === 'string' ? raw.trim().toLowerCase() : '';
+  if (!email || email.length > 254 || !EMAIL_PATTERN.test(email)) {
+    return { error: 'Enter a valid email address.' };
   }
-  
-  // Update last access time
-  session.lastAccess = Date.now();
-  
-  req.auth = { token, userId: session.userId };
-  next();
+  return { email };
 }
 
-// Middleware: requires admin privileges
-async function requireAdmin(req, res, next) {
-  const token = readToken(req);
-  if (!token || !sessions.has(token)) {
-    return res.status(401).json({ message: 'Not authenticated.' });
+/**
+ * Issue a single-use emailed token, replacing any unused one for the same purpose
+ * @param {number} userId - User ID
+ * @param {string} purpose - verify_email or password_reset
+ * @param {string|null} email - Address being verified (verify_email only)
+ * @returns {Promise<string>} Token to put in the link (only its hash is stored)
+ */
+async function issueEmailToken(userId, purpose, email = null) {
+  const token = crypto.randomBytes(32).toString('hex');
+  await prisma.$transaction([
+    prisma.emailToken.deleteMany({ where: { userId, purpose, usedAt: null } }),
+    prisma.emailToken.create({
+      data: {
+        tokenHash: hashToken(token),
+        userId,
+        purpose,
+        email,
+        expiresAt: new Date(Date.now() + EMAIL_TOKEN_TTL_MS[purpose]),
+      },
+    }),
+  ]);
+  return token;
+}
+
+/**
+ * Use up an emailed token
+ * @param {*} token - Token from the link
+ * @param {string} purpose - Expected purpose
+ * @returns {Promise<Object>} { record } or { error }
+ */
+async function consumeEmailToken(token, purpose) {
+  if (!token || typeof token !== 'string') {
+    return { error: 'No token provided.' };
   }
-  
-  try {
-    const session = sessions.get(token);
-    const user = await prisma.user.findUnique({
-      where: { id: session.userId },
-      select: { id: true, username: true, isAdmin: true },
-    });
 
-    if (!user) {
-      return res.status(401).json({ message: 'User not found.' });
-    }
+  const record = await prisma.emailToken.findUnique({ where: { tokenHash: hashToken(token) } });
+  if (!record || record.purpose !== purpose) {
+    return { error: 'This link is not valid.' };
+  }
+  if (record.usedAt) {
+    return { error: 'This link has already been used.' };
+  }
+  if (record.expiresAt < new Date()) {
+    return { error: 'This link has expired. Please request a new one.' };
+  }
+
+  // Claim it atomically so the same link can't be used twice
+  const { count } = await prisma.emailToken.updateMany({
+    where: { id: record.id, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+  if (count === 0) {
+    return { error: 'This link has already been used.' };
+  }
+  return { record };
+}
 
-    if (!user.isAdmin) {
-      return res.status(403).json({ message: 'Admin access required.' });
+/**
+ * Email a verification link for an address (the address is only set once it's confirmed,
+ * except at signup)
+ * @returns {Promise<boolean>} Whether the email was sent
+ */
+async function startEmailVerification(userId, username, email) {
+  const token = await issueEmailToken(userId, 'verify_email', email);
+  return sendVerificationEmail(email, username, token);
+}
+
+/**
+ * Address a user asked to change to and hasn't confirmed yet
+ * @returns {Promise<string|null>}
+ */
+async function findPendingEmail(user) {
+  const pending = await prisma.emailToken.findFirst({
+    where: {
+      userId: user.id,
+      purpose: 'verify_email',
+      usedAt: null,
+      expiresAt: { gt: new Date() },
+    },
+    orderBy: { createdAt: 'desc' },
+  });
+  if (!pending || (pending.email === user.email && user.emailVerified)) return null;
+  return pending.email;
+}
+
+// Middleware: sets req.auth = { token, userId, sessionId }
+async function requireAuth(req, res, next) {
+  try {
+    const { token, session, error } = await loadSession(req);
+    if (error) {
+      return res.status(401).json({ message: error });
     }
 
-    req.auth = { token, userId: session.userId, user };
+    req.auth = { token, userId: session.userId, sessionId: session.id };
     next();
   } catch (err) {
-    console.error('Admin check error:', err);
+    console.error('Session check error:', err);
     return res.status(500).json({ message: 'Server error.' });
   }
 }
 
+// Role names from a user loaded with roles: { select: { role: true } }
+function roleNames(user) {
+  return (user.roles || []).map((r) => r.role);
+}
+
+/**
+ * Middleware factory: requires a permission (see lib/permissions.js)
+ * Sets req.auth = { token, userId, sessionId, user: { id, username, roles, permissions } }
+ * @param {string} permission - e.g. 'results:publish'
+ */
+function requirePermission(permission) {
+  return async function (req, res, next) {
+    try {
+      const { token, session, error } = await loadSession(req);
+      if (error) {
+        return res.status(401).json({ message: error });
+      }
+
+      const user = await prisma.user.findUnique({
+        where: { id: session.userId },
+        select: { id: true, username: true, totpEnabled: true, roles: { select: { role: true } } },
+      });
+
+      if (!user) {
+        return res.status(401).json({ message: 'User not found.' });
+      }
+
+      const roles = roleNames(user);
+      if (!permissions.hasPermission(roles, permission)) {
+        return res
+          .status(403)
+          .json({ message: "You don't have permission to do that.", permission });
+      }
+
+      if (ADMIN_REQUIRE_2FA && permissions.isAdmin(roles) && !user.totpEnabled) {
+        return res.status(403).json({
+          message: 'Admin access requires two-factor authentication. Turn it on from your account page.',
+          twoFactorSetupRequired: true,
+        });
+      }
+
+      req.auth = {
+        token,
+        userId: session.userId,
+        sessionId: session.id,
+        user: {
+          id: user.id,
+          username: user.username,
+          roles,
+          permissions: permissions.permissionsFor(roles),
+        },
+      };
+      next();
+    } catch (err) {
+      console.error('Permission check error:', err);
+      return res.status(500).json({ message: 'Server error.' });
+    }
+  };
+}
+
+/**
+ * Record a privileged action in the audit log (a failed write is logged, not thrown, so it
+ * never undoes an action that already happened)
+ * @param {Object} req - Request that passed requirePermission (actor and IP come from it)
+ * @param {Object} entry - { action, targetType, targetId, before, after } where before/after
+ *   are the record's versions (null when created/deleted); only differing fields are kept
+ */
+async function recordAudit(
+  req,
+  { action, targetType = null, targetId = null, before = null, after = null }
+) {
+  try {
+    const changes = auditLog.diffChanges(before, after);
+    await prisma.auditLog.create({
+      data: {
+        actorId: req.auth.userId,
+        actorName: req.auth.user?.username || null,
+        action,
+        targetType,
+        targetId: targetId === null || targetId === undefined ? null : String(targetId),
+        changes: changes ? JSON.stringify(changes) : null,
+        ip: req.ip || req.socket?.remoteAddress || null,
+      },
+    });
+  } catch (err) {
+    console.warn(`Audit log write failed (${action}):`, err.message);
+  }
+}
+
 // ---------------------- API ----------------------
 app.get('/hello', (req, res) => {
   res.send('Backend is working! 🏁');
@@ -314,8 +649,7 @@ app.post('/api/signup', rateLimitAuth, async (req, res) => {
   try {
     const usernameRaw = (req.body.username || '').trim();
     const password = req.body.password || '';
-    // Email verification temporarily disabled
-    // const email = (req.body.email || '').trim().toLowerCase();
+    const { email, error: emailError } = parseEmail(req.body.email);
 
     // Enhanced validation
     if (!usernameRaw || usernameRaw.length < 3) {
@@ -324,6 +658,9 @@ app.post('/api/signup', rateLimitAuth, async (req, res) => {
     if (usernameRaw.length > 30) {
       return res.status(400).json({ message: 'Username must be less than 30 characters.' });
     }
+    if (emailError) {
+      return res.status(400).json({ message: emailError });
+    }
     if (!password || password.length < 6) {
       return res.status(400).json({ message: 'Password must be at least 6 characters.' });
     }
@@ -336,7 +673,7 @@ app.post('/api/signup', rateLimitAuth, async (req, res) => {
     }
 
     const username = normalizeUsername(usernameRaw);
-    const passwordHash = hashPassword(password);
+    const passwordHash = await passwords.hashPassword(password);
 
     // Check for existing username
     const existingUsername = await prisma.user.findUnique({ where: { username } });
@@ -344,22 +681,19 @@ app.post('/api/signup', rateLimitAuth, async (req, res) => {
       return res.status(409).json({ message: 'That username is already registered.' });
     }
 
-    // Email verification temporarily disabled
-    // // Check for existing email
-    // const existingEmail = await prisma.user.findUnique({ where: { email } });
-    // if (existingEmail) {
-    //   return res.status(409).json({ message: 'That email address is already registered.' });
-    // }
+    // Check for existing email
+    const existingEmail = await prisma.user.findUnique({ where: { email } });
+    if (existingEmail) {
+      return res.status(409).json({ message: 'That email address is already registered.' });
+    }
 
+    const welcomeXp = xpEngine.computeProgress(xpEngine.XP_RULES.welcome);
     const created = await prisma.user.create({
       data: {
         username,
         passwordHash: passwordHash,
-        // Email verification temporarily disabled
-        // email: email,
-        // emailVerified: false,
-        // verificationToken: verificationToken,
-        // verificationSentAt: new Date(),
+        email,
+        emailVerified: false,
         driver: {
           create: {
             driverKey: username,
@@ -373,26 +707,26 @@ app.post('/api/signup', rateLimitAuth, async (req, res) => {
             starts: 0,
             freeAgent: true,
 
-            xpTotal: 0,
-            xpLevel: 1,
-            xpToNext: 500,
-            skillTier: 'Beginner',
+            xpTotal: welcomeXp.xpTotal,
+            xpLevel: welcomeXp.level,
+            xpToNext: welcomeXp.xpToNext,
+            skillTier: welcomeXp.skillTier,
             bestFinish: 0,
             winRate: 0,
             totalPurse: 0,
+            xpTransactions: { create: xpEngine.systemTransactions() },
           },
         },
       },
       include: { driver: true },
     });
 
-    // Email verification temporarily disabled
-    // // Send verification email (don't block signup if it fails)
-    // sendVerificationEmail(email, usernameRaw, verificationToken).catch(err => {
-    //   console.error('Failed to send verification email:', err);
-    // });
+    // Send verification email (don't block signup if it fails)
+    startEmailVerification(created.id, usernameRaw, email).catch(err => {
+      console.error('Failed to send verification email:', err);
+    });
 
-    const token = createSession(created.id);
+    const token = await createSession(created.id, req);
 
     return res.status(201).json({
       message: 'Account created successfully.',
@@ -434,9 +768,25 @@ function rateLimitAuth(req, res, next) {
   next();
 }
 
+// Rate limiting for both login steps (password, then 2FA code)
+function rateLimitLogin(req, res, next) {
+  const ip = req.ip || req.connection.remoteAddress || 'unknown';
+  if (!checkRateLimit(ip, { map: loginRateLimitMap, maxAttempts: LOGIN_RATE_LIMIT_MAX_ATTEMPTS })) {
+    return res.status(429).json({
+      message: 'Too many login attempts. Please try again in 15 minutes.',
+    });
+  }
+  next();
+}
+
 // -------- Login (DB) --------
-app.post('/api/login', async (req, res) => {
+app.post('/api/login', rateLimitLogin, async (req, res) => {
   try {
+    // Second step for accounts with 2FA: { challenge, code }
+    if (req.body.challenge) {
+      return await completeTwoFactorLogin(req, res);
+    }
+
     const usernameRaw = (req.body.username || '').trim();
     const password = req.body.password || '';
 
@@ -446,7 +796,7 @@ app.post('/api/login', async (req, res) => {
 
     const username = normalizeUsername(usernameRaw);
 
-    // Explicitly select only fields that exist in database (email verification disabled)
+    // Explicitly select only the fields login needs
     // Note: updatedAt doesn't exist in User table in current database
     const user = await prisma.user.findUnique({
       where: { username },
@@ -454,8 +804,10 @@ app.post('/api/login', async (req, res) => {
         id: true,
         username: true,
         passwordHash: true,
-        isAdmin: true,
+        totpEnabled: true,
+        totpLockedUntil: true,
         createdAt: true,
+        roles: { select: { role: true } },
         driver: {
           select: {
             id: true,
@@ -493,25 +845,38 @@ app.post('/api/login', async (req, res) => {
     });
 
     // Security: Don't reveal if username exists to prevent enumeration attacks
-    // Always hash and compare to prevent timing attacks
-    const passwordHash = hashPassword(password);
+    // verifyPassword hashes even without a user so the response time is the same
+    const { valid, needsRehash } = await passwords.verifyPassword(password, user?.passwordHash);
 
-    if (!user || passwordHash !== user.passwordHash) {
+    if (!valid) {
       // Use same error message and response time to prevent enumeration
       return res.status(401).json({ message: 'Invalid username or password.' });
 }
-    const token = createSession(user.id);
 
-    return res.json({
-      message: 'Logged in successfully.',
-      user: {
-        username: user.username,
-        driverKey: user.driver?.driverKey || user.username,
-        displayName: user.driver?.displayName || user.username,
-        isAdmin: user.isAdmin || false,
-      },
-      token,
-    });
+    // Upgrade legacy SHA-256 (or outdated scrypt) hashes now that we have the password
+    if (needsRehash) {
+      await prisma.user
+        .update({
+          where: { id: user.id },
+          data: { passwordHash: await passwords.hashPassword(password) },
+        })
+        .catch((err) => console.warn('Password rehash failed:', err.message));
+    }
+
+    // Password is right, but the session waits for the authenticator code
+    if (user.totpEnabled) {
+      if (twoFactorLocked(user)) {
+        return res.status(429).json(twoFactorLockedResponse(user.totpLockedUntil));
+      }
+      return res.json({
+        message: 'Enter the code from your authenticator app.',
+        twoFactorRequired: true,
+        challenge: await issueLoginChallenge(user.id),
+      });
+    }
+
+    const token = await createSession(user.id, req);
+    return res.json(formatLoginResponse(user, token));
   } catch (err) {
     console.error('LOGIN ERROR:', err);
     console.error('Error message:', err.message);
@@ -558,13 +923,121 @@ app.post('/api/login', async (req, res) => {
   }
 });
 
+// Body returned once a login has produced a session
+function formatLoginResponse(user, token) {
+  return {
+    message: 'Logged in successfully.',
+    user: {
+      username: user.username,
+      driverKey: user.driver?.driverKey || user.username,
+      displayName: user.driver?.displayName || user.username,
+      isAdmin: permissions.isAdmin(roleNames(user)),
+    },
+    token,
+  };
+}
+
+function twoFactorLocked(user) {
+  return !!user.totpLockedUntil && user.totpLockedUntil > new Date();
+}
+
+function twoFactorLockedResponse(lockedUntil) {
+  const minutes = Math.ceil((lockedUntil.getTime() - Date.now()) / 60000);
+  return {
+    message: `Too many wrong codes. Two-factor sign-in is locked for ${minutes} more minute(s).`,
+  };
+}
+
+/**
+ * Count a wrong second-factor code against the user (across all their challenges)
+ * @param {number} userId - User ID
+ * @returns {Promise<Date|null>} When the lock ends, if this failure locked second-factor logins
+ */
+async function recordTwoFactorFailure(userId) {
+  const { totpFailedAttempts } = await prisma.user.update({
+    where: { id: userId },
+    data: { totpFailedAttempts: { increment: 1 } },
+    select: { totpFailedAttempts: true },
+  });
+  if (totpFailedAttempts < TWO_FACTOR_MAX_FAILURES) return null;
+
+  const lockedUntil = new Date(Date.now() + TWO_FACTOR_LOCKOUT_MS);
+  await prisma.user.update({
+    where: { id: userId },
+    data: { totpFailedAttempts: 0, totpLockedUntil: lockedUntil },
+  });
+  return lockedUntil;
+}
+
+// Second login step: trade a challenge and a TOTP or recovery code for a session
+async function completeTwoFactorLogin(req, res) {
+  const challenge = await prisma.loginChallenge.findUnique({
+    where: { tokenHash: hashToken(String(req.body.challenge)) },
+  });
+  if (
+    !challenge ||
+    challenge.expiresAt < new Date() ||
+    challenge.attempts >= LOGIN_CHALLENGE_MAX_ATTEMPTS
+  ) {
+    if (challenge) await prisma.loginChallenge.deleteMany({ where: { id: challenge.id } });
+    return res.status(401).json({
+      message: 'This sign-in attempt has expired. Please log in again.',
+      challengeExpired: true,
+    });
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: challenge.userId },
+    include: {
+      driver: { select: { driverKey: true, displayName: true } },
+      roles: { select: { role: true } },
+    },
+  });
+  if (user && twoFactorLocked(user)) {
+    await prisma.loginChallenge.deleteMany({ where: { id: challenge.id } });
+    return res
+      .status(429)
+      .json({ ...twoFactorLockedResponse(user.totpLockedUntil), challengeExpired: true });
+  }
+
+  const factor = user && user.totpEnabled ? await useSecondFactor(user, req.body.code) : null;
+  if (!factor) {
+    await prisma.loginChallenge.update({
+      where: { id: challenge.id },
+      data: { attempts: { increment: 1 } },
+    });
+    const lockedUntil = user ? await recordTwoFactorFailure(user.id) : null;
+    if (lockedUntil) {
+      await prisma.loginChallenge.deleteMany({ where: { userId: user.id } });
+      return res
+        .status(429)
+        .json({ ...twoFactorLockedResponse(lockedUntil), challengeExpired: true });
+    }
+    return res.status(401).json({ message: 'That code is not valid.' });
+  }
+
+  await prisma.loginChallenge.delete({ where: { id: challenge.id } });
+  if (user.totpFailedAttempts > 0 || user.totpLockedUntil) {
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { totpFailedAttempts: 0, totpLockedUntil: null },
+    });
+  }
+  const token = await createSession(user.id, req);
+  return res.json({
+    ...formatLoginResponse(user, token),
+    ...(factor === 'recovery' && {
+      recoveryCodesLeft: await prisma.recoveryCode.count({
+        where: { userId: user.id, usedAt: null },
+      }),
+    }),
+  });
+}
+
 // -------- Logout --------
 app.post('/api/logout', requireAuth, async (req, res) => {
   try {
-    const token = readToken(req);
-    if (token && sessions.has(token)) {
-      sessions.delete(token);
-    }
+    await prisma.authSession.deleteMany({ where: { id: req.auth.sessionId } });
     return res.json({ message: 'Logged out successfully.' });
   } catch (err) {
     console.error(err);
@@ -577,20 +1050,27 @@ app.get('/api/me', requireAuth, async (req, res) => {
   try {
     const user = await prisma.user.findUnique({
       where: { id: req.auth.userId },
-      include: { driver: true },
+      include: { driver: true, roles: { select: { role: true } } },
     });
 
     if (!user) return res.status(401).json({ message: 'Session invalid.' });
 
+    const roles = roleNames(user);
     return res.json({
       user: {
         username: user.username,
         driverKey: user.driver?.driverKey || user.username,
         displayName: user.driver?.displayName || user.username,
-        isAdmin: user.isAdmin || false,
-        // Email verification temporarily disabled
-        // email: user.email || null,
-        // emailVerified: user.emailVerified || false,
+        isAdmin: permissions.isAdmin(roles),
+        isSteward: permissions.hasPermission(roles, 'protests:decide'),
+        roles,
+        permissions: permissions.permissionsFor(roles),
+        email: user.email || null,
+        emailVerified: user.emailVerified || false,
+        pendingEmail: await findPendingEmail(user),
+        twoFactorEnabled: user.totpEnabled,
+        twoFactorSetupRequired:
+          ADMIN_REQUIRE_2FA && permissions.isAdmin(roles) && !user.totpEnabled,
       },
     });
   } catch (err) {
@@ -599,6 +1079,108 @@ app.get('/api/me', requireAuth, async (req, res) => {
   }
 });
 
+// -------- Email verification --------
+// Confirm an address from the emailed link (called by /verify-email)
+app.get('/api/verify-email', async (req, res) => {
+  try {
+    const { record, error } = await consumeEmailToken(req.query.token, 'verify_email');
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    await prisma.user.update({
+      where: { id: record.userId },
+      data: { email: record.email, emailVerified: true, emailVerifiedAt: new Date() },
+    });
+
+    return res.json({ message: 'Email verified successfully!', email: record.email });
+  } catch (err) {
+    console.error('Verify email error:', err);
+    if (err.code === 'P2002') {
+      return res.status(409).json({ message: 'That email address is already used by another account.' });
+    }
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// Send the verification link again (for the pending or unverified address)
+app.post('/api/account/resend-verification', requireAuth, rateLimitAuth, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.auth.userId } });
+    if (!user) return res.status(401).json({ message: 'Session invalid.' });
+
+    const email = (await findPendingEmail(user)) || (!user.emailVerified && user.email);
+    if (!email) {
+      return res.status(400).json({ message: 'There is no email address waiting to be verified.' });
+    }
+
+    const sent = await startEmailVerification(user.id, user.username, email);
+    if (!sent) {
+      return res.status(502).json({ message: 'Could not send the verification email. Please try again later.' });
+    }
+    return res.json({ message: `Verification email sent to ${email}.` });
+  } catch (err) {
+    console.error('Resend verification error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// -------- Password reset --------
+// Email a reset link; the response is the same whether or not the address has an account
+app.post('/api/password-reset/request', rateLimitAuth, async (req, res) => {
+  try {
+    const { email, error } = parseEmail(req.body.email);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const user = await prisma.user.findUnique({ where: { email } });
+    if (user) {
+      // Not awaited, so a registered address answers as fast as any other and mail errors
+      // don't show in the response
+      issueEmailToken(user.id, 'password_reset')
+        .then((token) => sendPasswordResetEmail(email, user.username, token))
+        .catch((err) => console.error('Password reset email error:', err));
+    }
+
+    return res.json({
+      message: 'If an account uses that address, a reset link is on its way. It expires in 1 hour.',
+    });
+  } catch (err) {
+    console.error('Password reset request error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// Set a new password from the emailed link; signs the account out everywhere
+app.post('/api/password-reset/confirm', async (req, res) => {
+  try {
+    const password = req.body.password || '';
+    if (password.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters.' });
+    }
+    if (password.length > 128) {
+      return res.status(400).json({ message: 'Password is too long.' });
+    }
+
+    const { record, error } = await consumeEmailToken(req.body.token, 'password_reset');
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    await prisma.user.update({
+      where: { id: record.userId },
+      data: { passwordHash: await passwords.hashPassword(password) },
+    });
+    await revokeUserSessions(record.userId);
+
+    return res.json({ message: 'Your password has been reset. Please log in with the new password.' });
+  } catch (err) {
+    console.error('Password reset confirm error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
 // -------- Avatar upload endpoint --------
 app.post('/api/driver/avatar', requireAuth, upload.single('avatar'), async (req, res) => {
   try {
@@ -745,7 +1327,15 @@ app.post('/api/driver/profile', requireAuth, async (req, res) => {
       return res.status(404).json({ message: 'Driver profile not found.' });
     }
 
-    // IMPORTANT: these field names match schema.prisma
+    // Stats derived from synced results and iRacing member info can't be set by hand
+    const derivedFields = driverStats.DERIVED_FIELDS.filter((field) => field in req.body);
+    if (derivedFields.length > 0) {
+      return res.status(400).json({
+        message: `These fields are derived from your iRacing results and can't be edited: ${derivedFields.join(', ')}.`,
+      });
+    }
+
+    // IMPORTANT: these field names match schema.prisma
     const data = {};
     const userUpdateData = {};
 
@@ -994,12 +1584,10 @@ app.get('/api/driver/:key', async (req, res) => {
 app.get('/api/stats', async (req, res) => {
   try {
     const key = normalizeUsername(req.query.driver || 'lemon');
-    const token = readToken(req);
-    
     // Check if this is the authenticated user's own profile
     let isOwnProfile = false;
-    if (token && sessions.has(token)) {
-      const session = sessions.get(token);
+    const { session } = await loadSession(req).catch(() => ({}));
+    if (session) {
       try {
         const user = await prisma.user.findUnique({
           where: { id: session.userId },
@@ -1028,6 +1616,10 @@ app.get('/api/stats', async (req, res) => {
         irating: true,
         license: true,
         starts: true,
+        wins: true,
+        podiums: true,
+        dnfs: true,
+        championships: true,
         freeAgent: true,
         xpTotal: true,
         xpLevel: true,
@@ -1036,6 +1628,8 @@ app.get('/api/stats', async (req, res) => {
         bestFinish: true,
         winRate: true,
         totalPurse: true,
+        statsDerivedAt: true,
+        ratingDerivedAt: true,
         preferredClasses: true,
         country: true,
         timezone: true,
@@ -1069,6 +1663,7 @@ app.get('/api/stats', async (req, res) => {
         xpLevel: 1,
         xpToNext: 500,
         skillTier: 'Beginner',
+        xp: xpEngine.computeProgress(0),
         bestFinish: 0,
         winRate: 0,
         totalPurse: 0,
@@ -1110,14 +1705,17 @@ app.get('/api/stats', async (req, res) => {
       xpLevel: d.xpLevel ?? 1,
       xpToNext: d.xpToNext ?? 500,
       skillTier: d.skillTier || 'Beginner',
+      xp: formatDriverXp(d),
       bestFinish: d.bestFinish ?? 0,
       winRate: d.winRate ?? 0,
       totalPurse: d.totalPurse ?? 0,
-      // Default values for fields not yet in schema
-      championships: 0,
-      wins: 0,
-      podiums: 0,
-      dnfs: 0,
+      // When the result stats and irating/license were last derived (null = never)
+      statsDerivedAt: d.statsDerivedAt,
+      ratingDerivedAt: d.ratingDerivedAt,
+      championships: d.championships ?? 0,
+      wins: d.wins ?? 0,
+      podiums: d.podiums ?? 0,
+      dnfs: d.dnfs ?? 0,
       earnings: d.totalPurse ?? 0,
       
       // Include card customization for all users (it's visual styling)
@@ -1175,6 +1773,10 @@ app.get('/api/drivers', async (req, res) => {
         irating: true,
         license: true,
         starts: true,
+        wins: true,
+        podiums: true,
+        dnfs: true,
+        championships: true,
         freeAgent: true,
         xpTotal: true,
         xpLevel: true,
@@ -1207,7 +1809,7 @@ app.get('/api/drivers', async (req, res) => {
         displayName: 'asc',
       },
     });
-    
+
     // All drivers have accounts since userId is required in schema
     // But filter out any that somehow don't have user loaded (shouldn't happen)
     const validDrivers = drivers.filter(d => {
@@ -1263,11 +1865,10 @@ app.get('/api/drivers', async (req, res) => {
         // Always explicitly set to true or false
         hasAccount: hasAccount,
         accountCreated: d.user?.createdAt || null,
-        // Default values for fields not yet in schema
-        championships: 0,
-        wins: 0,
-        podiums: 0,
-        dnfs: 0,
+        championships: d.championships ?? 0,
+        wins: d.wins ?? 0,
+        podiums: d.podiums ?? 0,
+        dnfs: d.dnfs ?? 0,
         earnings: d.totalPurse ?? 0,
       };
     });
@@ -1297,11 +1898,12 @@ app.get('/api/drivers', async (req, res) => {
 
 // -------- Admin API Endpoints --------
 // Get all users (admin only)
-app.get('/api/admin/users', requireAdmin, async (req, res) => {
+app.get('/api/admin/users', requirePermission('users:view'), async (req, res) => {
   try {
     const users = await prisma.user.findMany({
       include: {
         driver: true,
+        roles: { select: { role: true } },
       },
       orderBy: { createdAt: 'desc' },
     });
@@ -1310,11 +1912,10 @@ app.get('/api/admin/users', requireAdmin, async (req, res) => {
       users: users.map((u) => ({
         id: u.id,
         username: u.username,
-        // Email verification temporarily disabled
-        // email: u.email || null,
-        // emailVerified: u.emailVerified || false,
-        // verifiedAt: u.verifiedAt || null,
-        isAdmin: u.isAdmin,
+        email: u.email || null,
+        emailVerified: u.emailVerified || false,
+        verifiedAt: u.emailVerifiedAt || null,
+        roles: roleNames(u),
         createdAt: u.createdAt,
         driver: u.driver
           ? {
@@ -1338,7 +1939,7 @@ app.get('/api/admin/users', requireAdmin, async (req, res) => {
 });
 
 // Get user details (admin only)
-app.get('/api/admin/users/:id', requireAdmin, async (req, res) => {
+app.get('/api/admin/users/:id', requirePermission('users:view'), async (req, res) => {
   try {
     const userId = parseInt(req.params.id, 10);
     if (isNaN(userId)) {
@@ -1347,7 +1948,7 @@ app.get('/api/admin/users/:id', requireAdmin, async (req, res) => {
 
     const user = await prisma.user.findUnique({
       where: { id: userId },
-      include: { driver: true },
+      include: { driver: true, roles: { select: { role: true } } },
     });
 
     if (!user) {
@@ -1359,7 +1960,8 @@ app.get('/api/admin/users/:id', requireAdmin, async (req, res) => {
       user: {
         id: user.id,
         username: user.username,
-        isAdmin: user.isAdmin,
+        roles: roleNames(user),
+        permissions: permissions.permissionsFor(roleNames(user)),
         createdAt: user.createdAt,
         driver: user.driver ? {
           id: user.driver.id,
@@ -1396,55 +1998,87 @@ app.get('/api/admin/users/:id', requireAdmin, async (req, res) => {
   }
 });
 
-// Update user (admin only) - for making users admin, etc.
-app.post('/api/admin/users/:id', requireAdmin, async (req, res) => {
+// Roles and what they allow (for the role picker)
+app.get('/api/admin/roles', requirePermission('users:view'), (req, res) => {
+  return res.json({
+    roles: Object.entries(permissions.ROLES).map(([name, role]) => ({
+      name,
+      label: role.label,
+      description: role.description,
+      permissions: role.permissions,
+    })),
+    permissions: permissions.PERMISSIONS,
+  });
+});
+
+// Set a user's roles - body: { roles: ['steward', ...] }
+app.put('/api/admin/users/:id/roles', requirePermission('roles:assign'), async (req, res) => {
   try {
     const userId = parseInt(req.params.id, 10);
     if (isNaN(userId)) {
       return res.status(400).json({ message: 'Invalid user ID.' });
     }
 
-    // Prevent modifying yourself (safety measure)
+    // Prevent changing your own roles (safety measure)
     if (userId === req.auth.userId) {
-      return res.status(400).json({ message: 'Cannot modify your own admin status.' });
+      return res.status(400).json({ message: 'You cannot change your own roles.' });
     }
 
-    const updateData = {};
-    if (req.body.isAdmin !== undefined) {
-      updateData.isAdmin = !!req.body.isAdmin;
+    const { roles, error } = permissions.parseRoles(req.body.roles);
+    if (error) {
+      return res.status(400).json({ message: error });
     }
 
-    if (Object.keys(updateData).length === 0) {
-      return res.status(400).json({ message: 'No fields to update.' });
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, roles: { select: { role: true } } },
+    });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found.' });
     }
 
-    const updated = await prisma.user.update({
-      where: { id: userId },
-      data: updateData,
-      select: {
-        id: true,
-        username: true,
-        isAdmin: true,
-        createdAt: true,
-      },
+    const current = roleNames(user);
+    const added = roles.filter((role) => !current.includes(role));
+    const removed = current.filter((role) => !roles.includes(role));
+
+    // Only owners can appoint or remove owners
+    if (
+      (added.includes('owner') || removed.includes('owner')) &&
+      !req.auth.user.permissions.includes('roles:owner')
+    ) {
+      return res.status(403).json({ message: 'Only an owner can give or remove the owner role.' });
+    }
+
+    await prisma.$transaction([
+      prisma.userRole.deleteMany({ where: { userId, role: { in: removed } } }),
+      prisma.userRole.createMany({
+        data: added.map((role) => ({ userId, role, assignedBy: req.auth.userId })),
+      }),
+    ]);
+    await recordAudit(req, {
+      action: 'user.roles',
+      targetType: 'user',
+      targetId: userId,
+      before: { roles: current.join(', ') },
+      after: { roles: roles.join(', ') },
     });
 
     return res.json({
-      message: 'User updated successfully.',
-      user: updated,
+      message: 'Roles updated.',
+      user: { id: userId, roles, permissions: permissions.permissionsFor(roles) },
     });
   } catch (err) {
-    console.error('Admin update user error:', err);
+    console.error('Admin update roles error:', err);
     return res.status(500).json({ message: 'Server error.' });
   }
 });
 
 // Get admin stats (admin only)
-app.get('/api/admin/stats', requireAdmin, async (req, res) => {
+app.get('/api/admin/stats', requirePermission('users:view'), async (req, res) => {
   try {
     const [totalUsers, totalAdmins, totalDrivers, recentUsers, verifiedEmails] = await Promise.all([
       prisma.user.count(),
-      prisma.user.count({ where: { isAdmin: true } }),
+      prisma.user.count({ where: { roles: { some: { role: { in: permissions.ADMIN_ROLES } } } } }),
       prisma.driver.count(),
       prisma.user.count({
         where: {
@@ -1453,9 +2087,7 @@ app.get('/api/admin/stats', requireAdmin, async (req, res) => {
           },
         },
       }),
-      // Email verification temporarily disabled
-      // prisma.user.count({ where: { emailVerified: true } }),
-      0, // Placeholder for verified email count
+      prisma.user.count({ where: { emailVerified: true } }),
     ]);
 
     return res.json({
@@ -1464,7 +2096,7 @@ app.get('/api/admin/stats', requireAdmin, async (req, res) => {
         totalAdmins,
         totalDrivers,
         recentUsers,
-        // verifiedEmails, // Email verification temporarily disabled
+        verifiedEmails,
       },
     });
   } catch (err) {
@@ -1528,7 +2160,7 @@ app.get('/api/featured-driver', async (req, res) => {
 });
 
 // Set featured driver (admin only)
-app.post('/api/admin/featured-driver', requireAdmin, async (req, res) => {
+app.post('/api/admin/featured-driver', requirePermission('content:edit'), async (req, res) => {
   try {
     const { driverKey } = req.body;
     
@@ -1549,7 +2181,15 @@ app.post('/api/admin/featured-driver', requireAdmin, async (req, res) => {
       return res.status(404).json({ message: 'Driver not found.' });
     }
 
+    const previousKey = featuredDriverKey;
     featuredDriverKey = normalizeUsername(driverKey);
+    await recordAudit(req, {
+      action: 'featured_driver.update',
+      targetType: 'driver',
+      targetId: featuredDriverKey,
+      before: { driverKey: previousKey },
+      after: { driverKey: featuredDriverKey },
+    });
 
     return res.json({
       message: 'Featured driver updated successfully.',
@@ -1587,6 +2227,9 @@ app.get('/account', (req, res) => {
 app.get('/season', (req, res) =>
   res.sendFile(path.join(__dirname, 'public', 'season.html'))
 );
+app.get('/race/:id', (req, res) =>
+  res.sendFile(path.join(__dirname, 'public', 'race.html'))
+);
 app.get('/leaderboard', (req, res) =>
   res.sendFile(path.join(__dirname, 'public', 'leaderboard.html'))
 );
@@ -1617,6 +2260,10 @@ app.get('/verify-email', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'verify-email.html'));
 });
 
+app.get('/reset-password', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'reset-password.html'));
+});
+
 // -------- Connections API Endpoints --------
 // Get connections (returns current user's connections)
 app.get('/api/driver/connections', requireAuth, async (req, res) => {
@@ -1722,7 +2369,228 @@ app.post('/api/driver/connections', requireAuth, async (req, res) => {
   }
 });
 
+// ---------------------- Automatic Achievements ----------------------
+// Templates with criteria (lib/achievement-rules.js) unlock on their own: they are checked
+// after every stats recompute (so after every sync and results import), and against all
+// history when an admin adds or changes a template's rule.
+
+/**
+ * Official league standings rows (with per-race results) keyed by iRacing customer ID
+ * @returns {Promise<Map>} custId -> pointsEngine.computeStandings row
+ */
+async function loadLeagueRecords() {
+  const leagueId = parseInt(process.env.IRACING_LEAGUE_ID || '13015', 10);
+  const standings = pointsEngine.computeStandings(
+    await loadLeagueRaces(leagueId),
+    getLeaguePointsSystem()
+  );
+  return new Map(standings.map((row) => [row.custId, row]));
+}
+
+/**
+ * Completed seasons with the race sessions that count towards them
+ * @returns {Promise<Array>} [{ id, name, sessionIds }]
+ */
+async function loadCompletedSeasonSessions() {
+  const seasons = await prisma.season.findMany({
+    where: { status: 'completed' },
+    include: { rounds: true },
+  });
+
+  const result = [];
+  for (const season of seasons) {
+    const races = await loadSeasonRaces(season);
+    result.push({ id: season.id, name: season.name, sessionIds: races.map((r) => r.sessionId) });
+  }
+  return result;
+}
+
+/**
+ * Unlock an achievement for a driver and pay its XP reward through the ledger
+ * @param {Object} template - Achievement template
+ * @param {number} driverId - Driver ID
+ * @param {Object} options - { unlockedAt (defaults to now), context: what earned it,
+ *   awardedBy: admin user ID for manual awards }
+ * @returns {Promise<Object>} The DriverAchievement row (throws P2002 if already held)
+ */
+async function unlockAchievement(
+  template,
+  driverId,
+  { unlockedAt = new Date(), context = null, awardedBy = null } = {}
+) {
+  const unlocked = await prisma.driverAchievement.create({
+    data: {
+      driverId,
+      achievementId: template.id,
+      unlockedAt,
+      context: context ? JSON.stringify(context) : null,
+      awardedBy,
+    },
+  });
+
+  if (template.xpReward > 0) {
+    await recordXp(driverId, {
+      source: 'achievement',
+      amount: template.xpReward,
+      reason: template.name,
+      reference: `achievement:${template.id}`,
+    });
+  }
+  return unlocked;
+}
+
+/**
+ * Unlock every rule-based achievement that drivers have earned and don't hold yet
+ * @param {Object} options - { records: from loadLeagueRecords (loaded if omitted),
+ *   templateIds: only evaluate these templates }
+ * @returns {Promise<number>} Number of achievements unlocked
+ */
+async function evaluateAchievements({ records = null, templateIds = null } = {}) {
+  const templates = (
+    await prisma.achievement.findMany({
+      where: {
+        isActive: true,
+        criteria: { not: null },
+        ...(templateIds && { id: { in: templateIds } }),
+      },
+    })
+  )
+    .map((template) => ({ template, criteria: achievementRules.readCriteria(template.criteria) }))
+    .filter((t) => t.criteria);
+  if (templates.length === 0) return 0;
+
+  const [leagueRecords, seasons, drivers] = await Promise.all([
+    records || loadLeagueRecords(),
+    loadCompletedSeasonSessions(),
+    prisma.driver.findMany({
+      where: { user: { iracingAccount: { isNot: null } } },
+      select: {
+        id: true,
+        user: { select: { iracingAccount: { select: { custId: true } } } },
+        achievements: { select: { achievementId: true } },
+      },
+    }),
+  ]);
+
+  let unlocked = 0;
+  for (const driver of drivers) {
+    const record = leagueRecords.get(driver.user.iracingAccount.custId);
+    if (!record) continue;
+
+    const held = new Set(driver.achievements.map((a) => a.achievementId));
+    const history = { results: record.results, seasons };
+
+    for (const { template, criteria } of templates) {
+      if (held.has(template.id)) continue;
+
+      const outcome = achievementRules.evaluateCriteria(criteria, history);
+      if (!outcome.met) continue;
+
+      await unlockAchievement(template, driver.id, {
+        unlockedAt: outcome.achievedAt,
+        context: outcome.context,
+      });
+      held.add(template.id);
+      unlocked++;
+    }
+  }
+
+  if (unlocked > 0) console.log(`Unlocked ${unlocked} achievement(s) from race results`);
+  return unlocked;
+}
+
 // -------- Achievements API Endpoints --------
+/**
+ * How many drivers hold each achievement
+ * @returns {Promise<Object>} { totalDrivers, holders: Map achievementId -> count }
+ */
+async function loadAchievementHolders() {
+  const [totalDrivers, counts] = await Promise.all([
+    prisma.driver.count(),
+    prisma.driverAchievement.groupBy({ by: ['achievementId'], _count: { _all: true } }),
+  ]);
+  return {
+    totalDrivers,
+    holders: new Map(counts.map((c) => [c.achievementId, c._count._all])),
+  };
+}
+
+/**
+ * Public view of an achievement template with how many drivers hold it
+ * @param {Object} template - Achievement template
+ * @param {Object} stats - From loadAchievementHolders
+ * @returns {Object} Template fields plus criteriaLabel, holders and holderPct (percent of all
+ *   drivers, one decimal)
+ */
+function formatAchievement(template, { totalDrivers, holders }) {
+  const count = holders.get(template.id) || 0;
+  return {
+    id: template.id,
+    name: template.name,
+    description: template.description,
+    icon: template.icon,
+    xpReward: template.xpReward,
+    rarity: template.rarity,
+    category: template.category,
+    criteriaLabel: achievementRules.describeCriteria(achievementRules.readCriteria(template.criteria)),
+    holders: count,
+    holderPct: totalDrivers > 0 ? Math.round((count / totalDrivers) * 1000) / 10 : 0,
+  };
+}
+
+// All active achievements with holder counts and the percentage of drivers who earned each
+app.get('/api/achievements', async (req, res) => {
+  try {
+    const [templates, stats] = await Promise.all([
+      prisma.achievement.findMany({ where: { isActive: true }, orderBy: { createdAt: 'asc' } }),
+      loadAchievementHolders(),
+    ]);
+    return res.json({
+      totalDrivers: stats.totalDrivers,
+      achievements: templates.map((t) => formatAchievement(t, stats)),
+    });
+  } catch (err) {
+    console.error('Fetch achievement stats error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// One achievement with its holder stats and most recent holders
+app.get('/api/achievements/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({ message: 'Invalid achievement id.' });
+    }
+
+    const [template, stats, recent] = await Promise.all([
+      prisma.achievement.findUnique({ where: { id } }),
+      loadAchievementHolders(),
+      prisma.driverAchievement.findMany({
+        where: { achievementId: id },
+        orderBy: { unlockedAt: 'desc' },
+        take: 20,
+        select: {
+          unlockedAt: true,
+          driver: { select: { driverKey: true, displayName: true, number: true, avatar: true } },
+        },
+      }),
+    ]);
+    if (!template || !template.isActive) {
+      return res.status(404).json({ message: 'Achievement not found.' });
+    }
+
+    return res.json({
+      ...formatAchievement(template, stats),
+      totalDrivers: stats.totalDrivers,
+      recentHolders: recent.map((r) => ({ ...publicDriver(r.driver), unlockedAt: r.unlockedAt })),
+    });
+  } catch (err) {
+    console.error('Fetch achievement error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
 // Get achievements for a driver
 app.get('/api/driver/:driverKey/achievements', async (req, res) => {
   try {
@@ -1731,22 +2599,9 @@ app.get('/api/driver/:driverKey/achievements', async (req, res) => {
       where: { driverKey },
       select: {
         id: true,
-        driverKey: true,
-        displayName: true,
         achievements: {
-          where: { driverId: { not: null } }, // Only unlocked achievements
           orderBy: { unlockedAt: 'desc' },
-          select: {
-            id: true,
-            name: true,
-            description: true,
-            icon: true,
-            xpReward: true,
-            rarity: true,
-            category: true,
-            unlockedAt: true,
-            createdAt: true,
-          },
+          include: { achievement: true },
         },
       },
     });
@@ -1755,18 +2610,20 @@ app.get('/api/driver/:driverKey/achievements', async (req, res) => {
       return res.status(404).json({ message: 'Driver not found.' });
     }
 
-    // Also get global achievement templates (available achievements)
-    const globalAchievements = await prisma.achievement.findMany({
-      where: {
-        driverId: null,
-        isActive: true,
-      },
-      orderBy: { createdAt: 'asc' },
-    });
+    // Also get the achievements still available to unlock
+    const [templates, stats] = await Promise.all([
+      prisma.achievement.findMany({ where: { isActive: true }, orderBy: { createdAt: 'asc' } }),
+      loadAchievementHolders(),
+    ]);
+    const held = new Set(driver.achievements.map((a) => a.achievementId));
 
     return res.json({
-      unlocked: driver.achievements,
-      available: globalAchievements,
+      unlocked: driver.achievements.map((a) => ({
+        ...formatAchievement(a.achievement, stats),
+        unlockedAt: a.unlockedAt,
+        context: a.context ? JSON.parse(a.context) : null,
+      })),
+      available: templates.filter((t) => !held.has(t.id)).map((t) => formatAchievement(t, stats)),
     });
   } catch (err) {
     console.error('Fetch achievements error:', err);
@@ -1775,21 +2632,29 @@ app.get('/api/driver/:driverKey/achievements', async (req, res) => {
 });
 
 // -------- Admin Achievement Management --------
-// Get all achievements (templates and unlocked)
-app.get('/api/admin/achievements', requireAdmin, async (req, res) => {
+// Get all achievement templates with holder stats, and the most recent unlocks
+app.get('/api/admin/achievements', requirePermission('achievements:manage'), async (req, res) => {
   try {
-    const achievements = await prisma.achievement.findMany({
-      orderBy: [{ driverId: 'asc' }, { createdAt: 'desc' }],
-      include: {
-        driver: {
-          select: {
-            driverKey: true,
-            displayName: true,
-          },
+    const [achievements, stats, recentUnlocks] = await Promise.all([
+      prisma.achievement.findMany({ orderBy: { createdAt: 'desc' } }),
+      loadAchievementHolders(),
+      prisma.driverAchievement.findMany({
+        orderBy: { unlockedAt: 'desc' },
+        take: 50,
+        include: {
+          driver: { select: { driverKey: true, displayName: true } },
+          achievement: { select: { id: true, name: true, icon: true } },
         },
-      },
+      }),
+    ]);
+    return res.json({
+      totalDrivers: stats.totalDrivers,
+      achievements: achievements.map((a) => ({ ...a, ...formatAchievement(a, stats) })),
+      recentUnlocks: recentUnlocks.map((u) => ({
+        ...u,
+        context: u.context ? JSON.parse(u.context) : null,
+      })),
     });
-    return res.json(achievements);
   } catch (err) {
     console.error('Fetch all achievements error:', err);
     return res.status(500).json({ message: 'Server error.' });
@@ -1797,13 +2662,17 @@ app.get('/api/admin/achievements', requireAdmin, async (req, res) => {
 });
 
 // Create achievement template
-app.post('/api/admin/achievements', requireAdmin, async (req, res) => {
+app.post('/api/admin/achievements', requirePermission('achievements:manage'), async (req, res) => {
   try {
     const { name, description, icon, xpReward, rarity, category, isActive } = req.body;
 
     if (!name || !description) {
       return res.status(400).json({ message: 'Name and description are required.' });
     }
+    const { criteria, error } = achievementRules.parseCriteria(req.body.criteria);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
 
     const achievement = await prisma.achievement.create({
       data: {
@@ -1814,11 +2683,25 @@ app.post('/api/admin/achievements', requireAdmin, async (req, res) => {
         rarity: rarity || 'Common',
         category: category || null,
         isActive: isActive !== false,
-        driverId: null, // Template achievement
+        criteria: criteria ? JSON.stringify(criteria) : null,
       },
     });
+    await recordAudit(req, {
+      action: 'achievement.create',
+      targetType: 'achievement',
+      targetId: achievement.id,
+      after: achievement,
+    });
+
+    // Backfill from historical results (best effort; the next sync evaluates it again)
+    const backfilled = criteria
+      ? await evaluateAchievements({ templateIds: [achievement.id] }).catch((err) => {
+          console.warn('Achievement backfill failed:', err.message);
+          return 0;
+        })
+      : 0;
 
-    return res.json(achievement);
+    return res.json({ ...achievement, backfilled });
   } catch (err) {
     console.error('Create achievement error:', err);
     return res.status(500).json({ message: 'Server error.' });
@@ -1826,11 +2709,16 @@ app.post('/api/admin/achievements', requireAdmin, async (req, res) => {
 });
 
 // Update achievement
-app.put('/api/admin/achievements/:id', requireAdmin, async (req, res) => {
+app.put('/api/admin/achievements/:id', requirePermission('achievements:manage'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     const { name, description, icon, xpReward, rarity, category, isActive } = req.body;
+    const { criteria, error } = achievementRules.parseCriteria(req.body.criteria);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
 
+    const before = await prisma.achievement.findUnique({ where: { id } });
     const achievement = await prisma.achievement.update({
       where: { id },
       data: {
@@ -1841,10 +2729,28 @@ app.put('/api/admin/achievements/:id', requireAdmin, async (req, res) => {
         ...(rarity !== undefined && { rarity }),
         ...(category !== undefined && { category }),
         ...(isActive !== undefined && { isActive }),
+        ...(req.body.criteria !== undefined && {
+          criteria: criteria ? JSON.stringify(criteria) : null,
+        }),
       },
     });
+    await recordAudit(req, {
+      action: 'achievement.update',
+      targetType: 'achievement',
+      targetId: id,
+      before,
+      after: achievement,
+    });
+
+    // A new or changed rule is backfilled from historical results
+    const backfilled = criteria
+      ? await evaluateAchievements({ templateIds: [achievement.id] }).catch((err) => {
+          console.warn('Achievement backfill failed:', err.message);
+          return 0;
+        })
+      : 0;
 
-    return res.json(achievement);
+    return res.json({ ...achievement, backfilled });
   } catch (err) {
     console.error('Update achievement error:', err);
     if (err.code === 'P2025') {
@@ -1854,13 +2760,19 @@ app.put('/api/admin/achievements/:id', requireAdmin, async (req, res) => {
   }
 });
 
-// Delete achievement
-app.delete('/api/admin/achievements/:id', requireAdmin, async (req, res) => {
+// Delete achievement (drivers who hold it lose it; XP already paid stays in the ledger)
+app.delete('/api/admin/achievements/:id', requirePermission('achievements:manage'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
-    await prisma.achievement.delete({
+    const deleted = await prisma.achievement.delete({
       where: { id },
     });
+    await recordAudit(req, {
+      action: 'achievement.delete',
+      targetType: 'achievement',
+      targetId: id,
+      before: deleted,
+    });
     return res.json({ message: 'Achievement deleted successfully.' });
   } catch (err) {
     console.error('Delete achievement error:', err);
@@ -1889,11 +2801,28 @@ app.post('/api/account/credentials', requireAuth, async (req, res) => {
     }
 
     // Verify current password
-    const currentPasswordHash = hashPassword(currentPassword);
-    if (currentPasswordHash !== user.passwordHash) {
+    const { valid, needsRehash } = await passwords.verifyPassword(currentPassword, user.passwordHash);
+    if (!valid) {
       return res.status(401).json({ message: 'Current password is incorrect.' });
     }
 
+    // A new email only replaces the current one once the emailed link is followed
+    let newEmail = null;
+    if (req.body.newEmail) {
+      const { email, error } = parseEmail(req.body.newEmail);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      if (email === user.email && user.emailVerified) {
+        return res.status(400).json({ message: 'That is already your email address.' });
+      }
+      const owner = await prisma.user.findUnique({ where: { email } });
+      if (owner && owner.id !== user.id) {
+        return res.status(409).json({ message: 'That email address is already registered.' });
+      }
+      newEmail = email;
+    }
+
     const updateData = {};
 
     // Update username if provided
@@ -1934,27 +2863,46 @@ app.post('/api/account/credentials', requireAuth, async (req, res) => {
       if (newPassword.length < 6) {
         return res.status(400).json({ message: 'Password must be at least 6 characters.' });
       }
-      updateData.passwordHash = hashPassword(newPassword);
+      updateData.passwordHash = await passwords.hashPassword(newPassword);
     }
 
-    if (Object.keys(updateData).length === 0) {
+    if (Object.keys(updateData).length === 0 && !newEmail) {
       return res.status(400).json({ message: 'Nothing to update.' });
     }
 
+    // Keeping the same password still upgrades a legacy hash
+    const passwordChanged = Boolean(updateData.passwordHash);
+    if (needsRehash && !passwordChanged) {
+      updateData.passwordHash = await passwords.hashPassword(currentPassword);
+    }
+
     const updatedUser = await prisma.user.update({
       where: { id: user.id },
       data: updateData,
       select: {
         id: true,
         username: true,
-        email: true,
-        isAdmin: true,
       },
     });
 
+    // A new password signs out every other device
+    const revokedSessions = passwordChanged
+      ? await revokeUserSessions(user.id, { exceptId: req.auth.sessionId })
+      : 0;
+
+    const verificationSent = newEmail
+      ? await startEmailVerification(user.id, updatedUser.username, newEmail)
+      : false;
+
     return res.json({
-      message: 'Credentials updated successfully.',
+      message: newEmail
+        ? verificationSent
+          ? `Credentials updated. Check ${newEmail} for a link to confirm your new email.`
+          : 'Credentials updated, but the verification email could not be sent. Try resending it.'
+        : 'Credentials updated successfully.',
       user: updatedUser,
+      revokedSessions,
+      pendingEmail: newEmail,
     });
   } catch (err) {
     console.error('Credentials update error:', err);
@@ -1965,106 +2913,531 @@ app.post('/api/account/credentials', requireAuth, async (req, res) => {
   }
 });
 
-// -------- Request account deletion --------
-app.post('/api/account/request-deletion', requireAuth, async (req, res) => {
+// -------- Active sessions --------
+// Short device label from a user agent, e.g. "Firefox on Windows"
+function describeUserAgent(userAgent) {
+  if (!userAgent) return 'Unknown device';
+  const browser =
+    [
+      ['Edge', /Edg\//],
+      ['Opera', /OPR\//],
+      ['Chrome', /Chrome\//],
+      ['Firefox', /Firefox\//],
+      ['Safari', /Safari\//],
+    ].find(([, pattern]) => pattern.test(userAgent))?.[0] || 'Browser';
+  const os =
+    [
+      ['Android', /Android/],
+      ['iOS', /iPhone|iPad/],
+      ['Windows', /Windows/],
+      ['macOS', /Mac OS X/],
+      ['Linux', /Linux/],
+    ].find(([, pattern]) => pattern.test(userAgent))?.[0];
+  return os ? `${browser} on ${os}` : browser;
+}
+
+// List the signed-in user's active sessions
+app.get('/api/account/sessions', requireAuth, async (req, res) => {
   try {
-    const user = await prisma.user.findUnique({
-      where: { id: req.auth.userId },
-      include: { deletionRequest: true },
+    const sessions = await prisma.authSession.findMany({
+      where: {
+        userId: req.auth.userId,
+        lastAccess: { gte: new Date(Date.now() - SESSION_EXPIRY_MS) },
+      },
+      orderBy: { lastAccess: 'desc' },
     });
 
-    if (!user) {
-      return res.status(401).json({ message: 'Session invalid.' });
-    }
+    return res.json(
+      sessions.map((s) => ({
+        id: s.id,
+        device: describeUserAgent(s.userAgent),
+        userAgent: s.userAgent,
+        ip: s.ip,
+        createdAt: s.createdAt,
+        lastAccess: s.lastAccess,
+        expiresAt: new Date(s.lastAccess.getTime() + SESSION_EXPIRY_MS),
+        current: s.id === req.auth.sessionId,
+      }))
+    );
+  } catch (err) {
+    console.error('List sessions error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
 
-    // Check if user already has a pending request
-    if (user.deletionRequest) {
-      if (user.deletionRequest.status === 'pending') {
-        return res.status(409).json({ message: 'You already have a pending deletion request.' });
-      }
-      // If previous request was denied, allow new request
-      if (user.deletionRequest.status === 'denied') {
-        await prisma.deletionRequest.delete({
-          where: { userId: user.id },
-        });
-      }
+// Sign out one device
+app.delete('/api/account/sessions/:id', requireAuth, async (req, res) => {
+  try {
+    const { count } = await prisma.authSession.deleteMany({
+      where: { id: parseInt(req.params.id) || 0, userId: req.auth.userId },
+    });
+    if (count === 0) {
+      return res.status(404).json({ message: 'Session not found.' });
     }
+    return res.json({ message: 'Signed out of that device.' });
+  } catch (err) {
+    console.error('Revoke session error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
 
-    const { reason } = req.body;
+// Sign out everywhere (this device included)
+app.delete('/api/account/sessions', requireAuth, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.auth.userId);
+    return res.json({ message: 'Signed out everywhere.', revoked });
+  } catch (err) {
+    console.error('Revoke all sessions error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
 
-    await prisma.deletionRequest.create({
-      data: {
-        userId: user.id,
-        reason: reason || null,
-        status: 'pending',
-      },
+// -------- Two-factor authentication --------
+// 2FA status for the account page
+app.get('/api/account/2fa', requireAuth, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.auth.userId },
+      select: { totpEnabled: true, totpEnabledAt: true, roles: { select: { role: true } } },
     });
+    if (!user) return res.status(401).json({ message: 'Session invalid.' });
 
     return res.json({
-      message: 'Deletion request submitted successfully. An admin will review your request.',
+      enabled: user.totpEnabled,
+      enabledAt: user.totpEnabledAt,
+      recoveryCodesLeft: user.totpEnabled
+        ? await prisma.recoveryCode.count({ where: { userId: req.auth.userId, usedAt: null } })
+        : 0,
+      requiredForAdmin: ADMIN_REQUIRE_2FA && permissions.isAdmin(roleNames(user)),
     });
   } catch (err) {
-    console.error('Deletion request error:', err);
+    console.error('2FA status error:', err);
     return res.status(500).json({ message: 'Server error.' });
   }
 });
 
-// -------- Get deletion request status (for user) --------
-app.get('/api/account/deletion-status', requireAuth, async (req, res) => {
+// Start enrolment: a new secret for the authenticator app (not active until confirmed)
+app.post('/api/account/2fa/setup', requireAuth, async (req, res) => {
   try {
     const user = await prisma.user.findUnique({
       where: { id: req.auth.userId },
-      include: { deletionRequest: true },
+      select: { username: true, totpEnabled: true },
     });
-
-    if (!user) {
-      return res.status(401).json({ message: 'Session invalid.' });
+    if (!user) return res.status(401).json({ message: 'Session invalid.' });
+    if (user.totpEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already on.' });
     }
 
-    if (!user.deletionRequest) {
-      return res.json({ hasRequest: false });
-    }
+    const secret = totp.generateSecret();
+    await prisma.user.update({
+      where: { id: req.auth.userId },
+      data: { totpSecret: secret, totpLastStep: null },
+    });
 
+    const otpauthUrl = totp.otpauthUri({
+      secret,
+      account: user.username,
+      issuer: 'Solana Grand Prix',
+    });
     return res.json({
-      hasRequest: true,
-      status: user.deletionRequest.status,
-      reason: user.deletionRequest.reason,
-      createdAt: user.deletionRequest.createdAt,
-      reviewedAt: user.deletionRequest.reviewedAt,
-      notes: user.deletionRequest.notes,
+      secret,
+      otpauthUrl,
+      // Drawn here rather than by a QR service, which would see the secret
+      qrSvg: qrCode.toSvg(otpauthUrl),
     });
   } catch (err) {
-    console.error('Deletion status error:', err);
+    console.error('2FA setup error:', err);
     return res.status(500).json({ message: 'Server error.' });
   }
 });
 
-// -------- Admin: Get all deletion requests --------
-app.get('/api/admin/deletion-requests', requireAdmin, async (req, res) => {
+// Finish enrolment with a code from the app; returns the recovery codes (shown once)
+app.post('/api/account/2fa/enable', requireAuth, rateLimitAuth, async (req, res) => {
   try {
-    const requests = await prisma.deletionRequest.findMany({
-      include: {
-        user: {
-          select: {
-            id: true,
-            username: true,
-            email: true,
-            createdAt: true,
-            driver: {
-              select: {
-                driverKey: true,
-                displayName: true,
-              },
-            },
-          },
-        },
-      },
-      orderBy: {
-        createdAt: 'desc',
-      },
+    const user = await prisma.user.findUnique({
+      where: { id: req.auth.userId },
+      select: { totpSecret: true, totpEnabled: true },
     });
+    if (!user) return res.status(401).json({ message: 'Session invalid.' });
+    if (user.totpEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already on.' });
+    }
+    if (!user.totpSecret) {
+      return res.status(400).json({ message: 'Start setup first.' });
+    }
 
-    return res.json(requests);
+    const step = totp.verifyCode(user.totpSecret, req.body.code);
+    if (step === null) {
+      return res
+        .status(400)
+        .json({ message: 'That code is not valid. Check your device clock and try again.' });
+    }
+
+    await prisma.user.update({
+      where: { id: req.auth.userId },
+      data: { totpEnabled: true, totpEnabledAt: new Date(), totpLastStep: step },
+    });
+    const recoveryCodes = await resetRecoveryCodes(req.auth.userId);
+
+    return res.json({ message: 'Two-factor authentication is on.', recoveryCodes });
+  } catch (err) {
+    console.error('2FA enable error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// Replace the recovery codes (password required)
+app.post('/api/account/2fa/recovery-codes', requireAuth, rateLimitAuth, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.auth.userId },
+      select: { passwordHash: true, totpEnabled: true },
+    });
+    if (!user) return res.status(401).json({ message: 'Session invalid.' });
+    if (!user.totpEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not on.' });
+    }
+
+    const { valid } = await passwords.verifyPassword(req.body.password || '', user.passwordHash);
+    if (!valid) {
+      return res.status(401).json({ message: 'Password is incorrect.' });
+    }
+
+    const recoveryCodes = await resetRecoveryCodes(req.auth.userId);
+    return res.json({
+      message: 'New recovery codes created. The old ones no longer work.',
+      recoveryCodes,
+    });
+  } catch (err) {
+    console.error('2FA recovery codes error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// Turn 2FA off (password required)
+app.post('/api/account/2fa/disable', requireAuth, rateLimitAuth, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.auth.userId },
+      select: { passwordHash: true, totpEnabled: true, roles: { select: { role: true } } },
+    });
+    if (!user) return res.status(401).json({ message: 'Session invalid.' });
+    if (!user.totpEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not on.' });
+    }
+
+    const { valid } = await passwords.verifyPassword(req.body.password || '', user.passwordHash);
+    if (!valid) {
+      return res.status(401).json({ message: 'Password is incorrect.' });
+    }
+    if (ADMIN_REQUIRE_2FA && permissions.isAdmin(roleNames(user))) {
+      return res.status(403).json({ message: 'Admins must keep two-factor authentication on.' });
+    }
+
+    await prisma.$transaction([
+      prisma.recoveryCode.deleteMany({ where: { userId: req.auth.userId } }),
+      prisma.loginChallenge.deleteMany({ where: { userId: req.auth.userId } }),
+      prisma.user.update({
+        where: { id: req.auth.userId },
+        data: { totpSecret: null, totpEnabled: false, totpEnabledAt: null, totpLastStep: null },
+      }),
+    ]);
+
+    return res.json({ message: 'Two-factor authentication is off.' });
+  } catch (err) {
+    console.error('2FA disable error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// -------- Request account deletion --------
+app.post('/api/account/request-deletion', requireAuth, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.auth.userId },
+      include: { deletionRequest: true },
+    });
+
+    if (!user) {
+      return res.status(401).json({ message: 'Session invalid.' });
+    }
+
+    // Check if user already has a pending request
+    if (user.deletionRequest) {
+      if (user.deletionRequest.status === 'pending') {
+        return res.status(409).json({ message: 'You already have a pending deletion request.' });
+      }
+      // If previous request was denied, allow new request
+      if (user.deletionRequest.status === 'denied') {
+        await prisma.deletionRequest.delete({
+          where: { userId: user.id },
+        });
+      }
+    }
+
+    const { reason } = req.body;
+
+    await prisma.deletionRequest.create({
+      data: {
+        userId: user.id,
+        reason: reason || null,
+        status: 'pending',
+      },
+    });
+
+    return res.json({
+      message: 'Deletion request submitted successfully. An admin will review your request.',
+    });
+  } catch (err) {
+    console.error('Deletion request error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// -------- Get deletion request status (for user) --------
+app.get('/api/account/deletion-status', requireAuth, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.auth.userId },
+      include: { deletionRequest: true },
+    });
+
+    if (!user) {
+      return res.status(401).json({ message: 'Session invalid.' });
+    }
+
+    if (!user.deletionRequest) {
+      return res.json({ hasRequest: false });
+    }
+
+    return res.json({
+      hasRequest: true,
+      status: user.deletionRequest.status,
+      reason: user.deletionRequest.reason,
+      createdAt: user.deletionRequest.createdAt,
+      reviewedAt: user.deletionRequest.reviewedAt,
+      notes: user.deletionRequest.notes,
+    });
+  } catch (err) {
+    console.error('Deletion status error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// -------- Export account data --------
+// Each user may download their data ACCOUNT_EXPORT_LIMIT times per day, one export at a time
+const ACCOUNT_EXPORT_LIMIT = 3;
+const ACCOUNT_EXPORT_WINDOW_MS = 24 * 60 * 60 * 1000;
+const accountExportsRunning = new Set(); // userIds with an export being built
+
+/**
+ * Everything stored about a user, for their data export (no password hash, 2FA secret or
+ * iRacing tokens)
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} Input for accountExport.buildExportFiles, or null if the user is gone
+ */
+async function loadAccountExportData(userId) {
+  const [user, driver, iracingAccount, protestsFiled, protestsAgainst, deletionRequest] =
+    await Promise.all([
+      prisma.user.findUnique({
+        where: { id: userId },
+        select: {
+          id: true,
+          username: true,
+          email: true,
+          emailVerified: true,
+          emailVerifiedAt: true,
+          totpEnabled: true,
+          totpEnabledAt: true,
+          createdAt: true,
+          roles: { select: { role: true, createdAt: true }, orderBy: { createdAt: 'asc' } },
+          authSessions: {
+            select: { userAgent: true, ip: true, createdAt: true, lastAccess: true },
+            orderBy: { lastAccess: 'desc' },
+          },
+        },
+      }),
+      prisma.driver.findUnique({ where: { userId } }),
+      prisma.iracingAccount.findUnique({
+        where: { userId },
+        select: { custId: true, displayName: true, lastSyncedAt: true, createdAt: true },
+      }),
+      prisma.protest.findMany({
+        where: { filedById: userId },
+        select: {
+          id: true,
+          sessionId: true,
+          lap: true,
+          replayTime: true,
+          description: true,
+          status: true,
+          decision: true,
+          decidedAt: true,
+          createdAt: true,
+        },
+        orderBy: { createdAt: 'asc' },
+      }),
+      prisma.protest.findMany({
+        where: { accusedId: userId },
+        select: {
+          id: true,
+          sessionId: true,
+          lap: true,
+          replayTime: true,
+          accusedStatement: true,
+          statementAt: true,
+          status: true,
+          decision: true,
+          decidedAt: true,
+          createdAt: true,
+        },
+        orderBy: { createdAt: 'asc' },
+      }),
+      prisma.deletionRequest.findUnique({
+        where: { userId },
+        select: { reason: true, status: true, reviewedAt: true, notes: true, createdAt: true },
+      }),
+    ]);
+  if (!user) return null;
+
+  const [achievements, xpHistory] = driver
+    ? await Promise.all([
+        prisma.driverAchievement.findMany({
+          where: { driverId: driver.id },
+          include: { achievement: true },
+          orderBy: { unlockedAt: 'asc' },
+        }),
+        prisma.xpTransaction.findMany({
+          where: { driverId: driver.id },
+          select: { source: true, amount: true, reason: true, reference: true, createdAt: true },
+          orderBy: { createdAt: 'asc' },
+        }),
+      ])
+    : [[], []];
+
+  const races = iracingAccount
+    ? await prisma.iracingSessionParticipant.findMany({
+        where: { custId: iracingAccount.custId },
+        select: {
+          displayName: true,
+          startingPosition: true,
+          finishPosition: true,
+          lapsCompleted: true,
+          totalLaps: true,
+          lapsLed: true,
+          bestLapTime: true,
+          interval: true,
+          incidents: true,
+          carName: true,
+          session: {
+            select: {
+              sessionId: true,
+              subSessionId: true,
+              sessionType: true,
+              leagueName: true,
+              trackName: true,
+              carName: true,
+              startTime: true,
+            },
+          },
+        },
+        orderBy: { session: { startTime: 'asc' } },
+      })
+    : [];
+
+  const { roles, authSessions, ...profile } = user;
+  return {
+    user: profile,
+    roles,
+    devices: authSessions.map((s) => ({ device: describeUserAgent(s.userAgent), ...s })),
+    driver,
+    achievements,
+    xpHistory,
+    iracingAccount,
+    races,
+    protestsFiled,
+    protestsAgainst,
+    deletionRequest,
+  };
+}
+
+// Download everything we hold about the signed-in user as a zip (JSON plus CSV)
+app.get('/api/account/export', requireAuth, async (req, res) => {
+  const userId = req.auth.userId;
+  if (accountExportsRunning.has(userId)) {
+    return res.status(429).json({ message: 'Your export is already being prepared.' });
+  }
+  accountExportsRunning.add(userId);
+
+  try {
+    const recent = await prisma.accountExport.findMany({
+      where: { userId, createdAt: { gte: new Date(Date.now() - ACCOUNT_EXPORT_WINDOW_MS) } },
+      orderBy: { createdAt: 'asc' },
+      select: { createdAt: true },
+    });
+    if (recent.length >= ACCOUNT_EXPORT_LIMIT) {
+      const retryAfterMs = recent[0].createdAt.getTime() + ACCOUNT_EXPORT_WINDOW_MS - Date.now();
+      res.setHeader('Retry-After', Math.ceil(retryAfterMs / 1000));
+      return res.status(429).json({
+        message: `You can export your data ${ACCOUNT_EXPORT_LIMIT} times a day. Try again in ${Math.ceil(retryAfterMs / (60 * 60 * 1000))} hour(s).`,
+      });
+    }
+
+    const data = await loadAccountExportData(userId);
+    if (!data) {
+      return res.status(401).json({ message: 'Session invalid.' });
+    }
+
+    const exportedAt = new Date();
+    const archive = zip.createZip(accountExport.buildExportFiles(data, { exportedAt }), {
+      date: exportedAt,
+    });
+    await prisma.accountExport.create({
+      data: { userId, ip: req.ip || req.socket?.remoteAddress || null, sizeBytes: archive.length },
+    });
+
+    const name = data.user.username.replace(/[^A-Za-z0-9_-]/g, '_');
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="sgp-data-${name}-${exportedAt.toISOString().slice(0, 10)}.zip"`
+    );
+    res.setHeader('Cache-Control', 'no-store');
+    return res.send(archive);
+  } catch (err) {
+    console.error('Account export error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  } finally {
+    accountExportsRunning.delete(userId);
+  }
+});
+
+// -------- Admin: Get all deletion requests --------
+app.get('/api/admin/deletion-requests', requirePermission('accounts:delete'), async (req, res) => {
+  try {
+    const requests = await prisma.deletionRequest.findMany({
+      include: {
+        user: {
+          select: {
+            id: true,
+            username: true,
+            email: true,
+            createdAt: true,
+            driver: {
+              select: {
+                driverKey: true,
+                displayName: true,
+              },
+            },
+          },
+        },
+      },
+      orderBy: {
+        createdAt: 'desc',
+      },
+    });
+
+    return res.json(requests);
   } catch (err) {
     console.error('Get deletion requests error:', err);
     return res.status(500).json({ message: 'Server error.' });
@@ -2072,7 +3445,7 @@ app.get('/api/admin/deletion-requests', requireAdmin, async (req, res) => {
 });
 
 // -------- Admin: Approve deletion request --------
-app.post('/api/admin/deletion-requests/:id/approve', requireAdmin, async (req, res) => {
+app.post('/api/admin/deletion-requests/:id/approve', requirePermission('accounts:delete'), async (req, res) => {
   try {
     const requestId = parseInt(req.params.id);
     const { notes } = req.body;
@@ -2083,6 +3456,7 @@ app.post('/api/admin/deletion-requests/:id/approve', requireAdmin, async (req, r
         user: {
           include: {
             driver: true,
+            roles: { select: { role: true } },
           },
         },
       },
@@ -2096,26 +3470,34 @@ app.post('/api/admin/deletion-requests/:id/approve', requireAdmin, async (req, r
       return res.status(400).json({ message: 'This request has already been processed.' });
     }
 
-    // Prevent admins from deleting themselves
-    if (deletionRequest.user.isAdmin) {
-      return res.status(403).json({ message: 'Cannot delete admin accounts.' });
+    // Accounts with roles have to be stood down first, so nobody deletes the last owner by accident
+    if (deletionRequest.user.roles.length > 0) {
+      return res
+        .status(403)
+        .json({ message: "Remove this user's roles before deleting the account." });
     }
 
     const userId = deletionRequest.userId;
 
+    // Sign the user out everywhere before the account goes
+    await revokeUserSessions(userId);
+
     // Delete the user (cascade will delete driver, achievements, and deletion request)
     await prisma.user.delete({
       where: { id: userId },
     });
-
-    // Invalidate any active sessions for this user
-    const tokensToDelete = [];
-    for (const [token, session] of sessions.entries()) {
-      if (session.userId === userId) {
-        tokensToDelete.push(token);
-      }
-    }
-    tokensToDelete.forEach(token => sessions.delete(token));
+    await recordAudit(req, {
+      action: 'deletion_request.approve',
+      targetType: 'user',
+      targetId: userId,
+      before: {
+        username: deletionRequest.user.username,
+        email: deletionRequest.user.email,
+        driverKey: deletionRequest.user.driver?.driverKey || null,
+        reason: deletionRequest.reason,
+      },
+      after: { notes: notes || null },
+    });
 
     return res.json({
       message: 'Account deleted successfully.',
@@ -2127,7 +3509,7 @@ app.post('/api/admin/deletion-requests/:id/approve', requireAdmin, async (req, r
 });
 
 // -------- Admin: Deny deletion request --------
-app.post('/api/admin/deletion-requests/:id/deny', requireAdmin, async (req, res) => {
+app.post('/api/admin/deletion-requests/:id/deny', requirePermission('accounts:delete'), async (req, res) => {
   try {
     const requestId = parseInt(req.params.id);
     const { notes } = req.body;
@@ -2144,7 +3526,7 @@ app.post('/api/admin/deletion-requests/:id/deny', requireAdmin, async (req, res)
       return res.status(400).json({ message: 'This request has already been processed.' });
     }
 
-    await prisma.deletionRequest.update({
+    const denied = await prisma.deletionRequest.update({
       where: { id: requestId },
       data: {
         status: 'denied',
@@ -2153,6 +3535,13 @@ app.post('/api/admin/deletion-requests/:id/deny', requireAdmin, async (req, res)
         notes: notes || null,
       },
     });
+    await recordAudit(req, {
+      action: 'deletion_request.deny',
+      targetType: 'user',
+      targetId: deletionRequest.userId,
+      before: deletionRequest,
+      after: denied,
+    });
 
     return res.json({
       message: 'Deletion request denied.',
@@ -2184,7 +3573,7 @@ app.get('/api/calendar', async (req, res) => {
 });
 
 // Get calendar events (admin - includes inactive)
-app.get('/api/admin/calendar', requireAdmin, async (req, res) => {
+app.get('/api/admin/calendar', requirePermission('calendar:edit'), async (req, res) => {
   try {
     const events = await prisma.calendarEvent.findMany({
       orderBy: {
@@ -2200,7 +3589,7 @@ app.get('/api/admin/calendar', requireAdmin, async (req, res) => {
 });
 
 // Create calendar event (admin only)
-app.post('/api/admin/calendar', requireAdmin, async (req, res) => {
+app.post('/api/admin/calendar', requirePermission('calendar:edit'), async (req, res) => {
   try {
     const { title, description, eventDate, eventType, track, carClass, status, isActive } = req.body;
 
@@ -2221,6 +3610,12 @@ app.post('/api/admin/calendar', requireAdmin, async (req, res) => {
         createdBy: req.auth.userId,
       },
     });
+    await recordAudit(req, {
+      action: 'calendar.create',
+      targetType: 'calendar_event',
+      targetId: event.id,
+      after: event,
+    });
 
     return res.json({
       message: 'Calendar event created successfully.',
@@ -2233,7 +3628,7 @@ app.post('/api/admin/calendar', requireAdmin, async (req, res) => {
 });
 
 // Update calendar event (admin only)
-app.put('/api/admin/calendar/:id', requireAdmin, async (req, res) => {
+app.put('/api/admin/calendar/:id', requirePermission('calendar:edit'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     const { title, description, eventDate, eventType, track, carClass, status, isActive } = req.body;
@@ -2248,10 +3643,18 @@ app.put('/api/admin/calendar/:id', requireAdmin, async (req, res) => {
     if (status !== undefined) updateData.status = status;
     if (isActive !== undefined) updateData.isActive = isActive;
 
+    const before = await prisma.calendarEvent.findUnique({ where: { id } });
     const event = await prisma.calendarEvent.update({
       where: { id },
       data: updateData,
     });
+    await recordAudit(req, {
+      action: 'calendar.update',
+      targetType: 'calendar_event',
+      targetId: id,
+      before,
+      after: event,
+    });
 
     return res.json({
       message: 'Calendar event updated successfully.',
@@ -2267,12 +3670,18 @@ app.put('/api/admin/calendar/:id', requireAdmin, async (req, res) => {
 });
 
 // Delete calendar event (admin only)
-app.delete('/api/admin/calendar/:id', requireAdmin, async (req, res) => {
+app.delete('/api/admin/calendar/:id', requirePermission('calendar:edit'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
-    await prisma.calendarEvent.delete({
+    const deleted = await prisma.calendarEvent.delete({
       where: { id },
     });
+    await recordAudit(req, {
+      action: 'calendar.delete',
+      targetType: 'calendar_event',
+      targetId: id,
+      before: deleted,
+    });
     return res.json({ message: 'Calendar event deleted successfully.' });
   } catch (err) {
     console.error('Delete calendar event error:', err);
@@ -2283,1123 +3692,4247 @@ app.delete('/api/admin/calendar/:id', requireAdmin, async (req, res) => {
   }
 });
 
-// Award achievement to a driver
-app.post('/api/admin/achievements/:id/award', requireAdmin, async (req, res) => {
-  try {
-    const achievementId = parseInt(req.params.id);
-    const { driverKey } = req.body;
+// -------- Seasons & Rounds (admin) --------
+const SEASON_STATUSES = ['upcoming', 'active', 'completed'];
+const ROUND_STATUSES = ['scheduled', 'completed', 'cancelled', 'postponed'];
 
-    if (!driverKey) {
-      return res.status(400).json({ message: 'Driver key is required.' });
-    }
+/**
+ * Build Prisma data for a season from a request body (only fields that were sent)
+ * @param {Object} body - Request body
+ * @returns {Object} { data } or { error }
+ */
+function parseSeasonInput(body) {
+  const data = {};
+  const optionalInt = (value) => (value === null || value === '' ? null : parseInt(value, 10));
 
-    const driver = await prisma.driver.findUnique({
-      where: { driverKey: normalizeUsername(driverKey) },
-      select: {
-        id: true,
-        driverKey: true,
-        displayName: true,
-        xpTotal: true,
-      },
-    });
+  if (body.name !== undefined) {
+    if (!body.name || !String(body.name).trim()) return { error: 'Season name is required.' };
+    data.name = String(body.name).trim();
+  }
+  if (body.startDate !== undefined) data.startDate = body.startDate ? new Date(body.startDate) : null;
+  if (body.endDate !== undefined) data.endDate = body.endDate ? new Date(body.endDate) : null;
+  if (body.carClass !== undefined) data.carClass = body.carClass || null;
 
-    if (!driver) {
-      return res.status(404).json({ message: 'Driver not found.' });
+  if (body.status !== undefined) {
+    if (!SEASON_STATUSES.includes(body.status)) {
+      return { error: `Status must be one of: ${SEASON_STATUSES.join(', ')}.` };
     }
+    data.status = body.status;
+  }
 
-    // Check if achievement is already unlocked
-    const existing = await prisma.achievement.findFirst({
-      where: {
-        id: achievementId,
-        driverId: driver.id,
-      },
-    });
-
-    if (existing) {
-      return res.status(400).json({ message: 'Achievement already unlocked for this driver.' });
+  if (body.dropRounds !== undefined) {
+    const dropRounds = parseInt(body.dropRounds || 0, 10);
+    if (isNaN(dropRounds) || dropRounds < 0) {
+      return { error: 'Drop rounds must be a non-negative number.' };
     }
+    data.dropRounds = dropRounds;
+  }
 
-    // Get the achievement template
-    const template = await prisma.achievement.findUnique({
-      where: { id: achievementId },
-    });
+  if (body.pointsSystem !== undefined) {
+    if (!body.pointsSystem) {
+      data.pointsSystem = null;
+    } else {
+      let custom = body.pointsSystem;
+      try {
+        if (typeof custom === 'string') custom = JSON.parse(custom);
+        pointsEngine.resolvePointsSystem(custom);
+      } catch (err) {
+        return { error: `Invalid points system: ${err.message}` };
+      }
+      data.pointsSystem = JSON.stringify(custom);
+    }
+  }
 
-    if (!template) {
-      return res.status(404).json({ message: 'Achievement template not found.' });
+  for (const key of ['iracingLeagueId', 'iracingSeasonId']) {
+    if (body[key] !== undefined) {
+      data[key] = optionalInt(body[key]);
+      if (data[key] !== null && isNaN(data[key])) return { error: `Invalid ${key}.` };
     }
+  }
 
-    // Create unlocked achievement instance
-    const unlockedAchievement = await prisma.achievement.create({
-      data: {
-        name: template.name,
-        description: template.description,
-        icon: template.icon,
-        xpReward: template.xpReward,
-        rarity: template.rarity,
-        category: template.category,
-        isActive: true,
-        driverId: driver.id,
-        unlockedAt: new Date(),
-      },
-    });
+  if ((data.startDate && isNaN(data.startDate)) || (data.endDate && isNaN(data.endDate))) {
+    return { error: 'Invalid season dates.' };
+  }
 
-    // Award XP to driver
-    if (template.xpReward > 0) {
-      await prisma.driver.update({
-        where: { id: driver.id },
-        data: {
-          xpTotal: {
-            increment: template.xpReward,
-          },
-        },
-      });
-    }
+  return { data };
+}
 
-    return res.json(unlockedAchievement);
-  } catch (err) {
-    console.error('Award achievement error:', err);
-    return res.status(500).json({ message: 'Server error.' });
-  }
-});
-
-// -------- Admin XP Management --------
-// Update driver XP
-app.post('/api/admin/driver/:driverKey/xp', requireAdmin, async (req, res) => {
-  try {
-    const driverKey = normalizeUsername(req.params.driverKey);
-    const { xpTotal, xpLevel, xpToNext, skillTier } = req.body;
+/**
+ * Build Prisma data for a round from a request body (only fields that were sent)
+ * @param {Object} body - Request body
+ * @returns {Object} { data } or { error }
+ */
+function parseRoundInput(body) {
+  const data = {};
 
-    const updateData = {};
-    if (xpTotal !== undefined) updateData.xpTotal = parseInt(xpTotal);
-    if (xpLevel !== undefined) updateData.xpLevel = parseInt(xpLevel);
-    if (xpToNext !== undefined) updateData.xpToNext = parseInt(xpToNext);
-    if (skillTier !== undefined) updateData.skillTier = skillTier;
+  if (body.roundNumber !== undefined) {
+    const roundNumber = parseInt(body.roundNumber, 10);
+    if (isNaN(roundNumber) || roundNumber < 1) {
+      return { error: 'Round number must be a positive number.' };
+    }
+    data.roundNumber = roundNumber;
+  }
+  if (body.name !== undefined) data.name = body.name || null;
+  if (body.track !== undefined) data.track = body.track || null;
+  if (body.raceDate !== undefined) {
+    data.raceDate = body.raceDate ? new Date(body.raceDate) : null;
+    if (data.raceDate && isNaN(data.raceDate)) return { error: 'Invalid race date.' };
+  }
 
-    const driver = await prisma.driver.update({
-      where: { driverKey },
-      data: updateData,
-    });
+  if (body.status !== undefined) {
+    if (!ROUND_STATUSES.includes(body.status)) {
+      return { error: `Status must be one of: ${ROUND_STATUSES.join(', ')}.` };
+    }
+    data.status = body.status;
+  }
 
-    return res.json({
-      message: 'XP updated successfully.',
-      driver: {
-        driverKey: driver.driverKey,
-        displayName: driver.displayName,
-        xpTotal: driver.xpTotal,
-        xpLevel: driver.xpLevel,
-        xpToNext: driver.xpToNext,
-        skillTier: driver.skillTier,
-      },
-    });
-  } catch (err) {
-    console.error('Update XP error:', err);
-    if (err.code === 'P2025') {
-      return res.status(404).json({ message: 'Driver not found.' });
+  if (body.calendarEventId !== undefined) {
+    data.calendarEventId = body.calendarEventId ? parseInt(body.calendarEventId, 10) : null;
+    if (data.calendarEventId !== null && isNaN(data.calendarEventId)) {
+      return { error: 'Invalid calendar event ID.' };
     }
-    return res.status(500).json({ message: 'Server error.' });
   }
-});
+  if (body.sessionId !== undefined) {
+    data.sessionId = body.sessionId ? String(body.sessionId).trim() : null;
+  }
 
-// ---------------------- iRacing OAuth Integration ----------------------
-// Get iRacing OAuth client configuration from environment variables
-const IRACING_CLIENT_ID = process.env.IRACING_CLIENT_ID || '';
-const IRACING_CLIENT_SECRET = process.env.IRACING_CLIENT_SECRET || '';
-const IRACING_REDIRECT_URI = process.env.IRACING_REDIRECT_URI || `${process.env.BASE_URL || 'http://localhost:3000'}/auth/iracing/callback`;
+  return { data };
+}
 
 /**
- * Helper function to refresh expired iRacing access tokens
- * @param {Object} iracingAccount - iRacing account from database
- * @returns {Promise<Object>} Updated account with refreshed tokens
+ * Map Prisma errors from season/round writes to API responses
+ * @returns {boolean} true if a response was sent
  */
-async function refreshIracingTokenIfNeeded(iracingAccount) {
-  if (!iracingAccount) {
-    throw new Error('iRacing account not found');
+function handleSeasonWriteError(err, res, notFoundMessage) {
+  if (err.code === 'P2025') {
+    res.status(404).json({ message: notFoundMessage });
+    return true;
+  }
+  if (err.code === 'P2002') {
+    const fields = (err.meta && err.meta.target) || [];
+    const target = Array.isArray(fields) ? fields.join(', ') : String(fields);
+    let message = 'A season or round with these details already exists.';
+    if (target.includes('roundNumber')) message = 'That round number already exists in this season.';
+    else if (target.includes('calendarEventId')) message = 'That calendar event is already linked to a round.';
+    else if (target.includes('sessionId')) message = 'That race session is already linked to a round.';
+    else if (target.includes('iracingSeasonId')) message = 'That iRacing season is already linked to a season.';
+    res.status(409).json({ message });
+    return true;
+  }
+  if (err.code === 'P2003') {
+    res.status(400).json({ message: 'Linked calendar event or race session not found.' });
+    return true;
   }
+  return false;
+}
 
-  // Check if token is expired or will expire in the next 5 minutes
-  const expiresAt = new Date(iracingAccount.expiresAt);
-  const now = new Date();
-  const bufferTime = 5 * 60 * 1000; // 5 minutes
+// Get all seasons with their rounds (admin)
+app.get('/api/admin/seasons', requirePermission('seasons:manage'), async (req, res) => {
+  try {
+    const seasons = await prisma.season.findMany({
+      orderBy: [{ startDate: 'desc' }, { id: 'desc' }],
+      include: {
+        rounds: {
+          orderBy: { roundNumber: 'asc' },
+          include: {
+            calendarEvent: { select: { id: true, title: true, eventDate: true } },
+          },
+        },
+      },
+    });
 
-  if (expiresAt.getTime() - now.getTime() > bufferTime) {
-    // Token is still valid
-    return iracingAccount;
+    return res.json(seasons);
+  } catch (err) {
+    console.error('Get seasons (admin) error:', err);
+    return res.status(500).json({ message: 'Server error.' });
   }
+});
 
+// Create season (admin only)
+app.post('/api/admin/seasons', requirePermission('seasons:manage'), async (req, res) => {
   try {
-    console.log(`Refreshing iRacing token for user ${iracingAccount.userId} (custId: ${iracingAccount.custId})`);
-    
-    // Refresh the token
-    const tokenResponse = await iracingOAuth.refreshAccessToken(
-      iracingAccount.refreshToken,
-      IRACING_CLIENT_ID,
-      IRACING_CLIENT_SECRET
-    );
+    if (!req.body.name) {
+      return res.status(400).json({ message: 'Season name is required.' });
+    }
 
-    // Calculate new expiration time
-    const expiresIn = tokenResponse.expires_in || 3600; // Default to 1 hour
-    const newExpiresAt = new Date(now.getTime() + expiresIn * 1000);
+    const { data, error } = parseSeasonInput(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
 
-    // Update account with new tokens
-    const updated = await prisma.iracingAccount.update({
-      where: { id: iracingAccount.id },
-      data: {
-        accessToken: tokenResponse.access_token,
-        refreshToken: tokenResponse.refresh_token || iracingAccount.refreshToken, // Keep old refresh token if not provided
-        expiresAt: newExpiresAt,
-        updatedAt: new Date(),
-      },
+    const season = await prisma.season.create({ data });
+    await recordAudit(req, {
+      action: 'season.create',
+      targetType: 'season',
+      targetId: season.id,
+      after: season,
     });
+    scheduleDriverStatsRecompute(); // Championships come from completed seasons' standings
 
-    console.log(`Token refreshed successfully for user ${iracingAccount.userId}`);
-    return updated;
-  } catch (error) {
-    console.error(`Failed to refresh iRacing token for user ${iracingAccount.userId}:`, error.message);
-    throw new Error(`Token refresh failed: ${error.message}`);
+    return res.json({
+      message: 'Season created successfully.',
+      season,
+    });
+  } catch (err) {
+    console.error('Create season error:', err);
+    if (handleSeasonWriteError(err, res, 'Season not found.')) return;
+    return res.status(500).json({ message: 'Server error.' });
   }
-}
+});
 
-/**
- * Get valid iRacing access token, refreshing if needed
- * @param {number} userId - User ID
- * @returns {Promise<string>} Valid access token
- */
-async function getValidIracingToken(userId) {
-  const account = await prisma.iracingAccount.findUnique({
-    where: { userId },
-  });
+// Update season (admin only)
+app.put('/api/admin/seasons/:id', requirePermission('seasons:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { data, error } = parseSeasonInput(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
 
-  if (!account) {
-    throw new Error('iRacing account not connected');
+    const before = await prisma.season.findUnique({ where: { id } });
+    const season = await prisma.season.update({
+      where: { id },
+      data,
+    });
+    await recordAudit(req, {
+      action: 'season.update',
+      targetType: 'season',
+      targetId: id,
+      before,
+      after: season,
+    });
+    scheduleDriverStatsRecompute();
+
+    return res.json({
+      message: 'Season updated successfully.',
+      season,
+    });
+  } catch (err) {
+    console.error('Update season error:', err);
+    if (handleSeasonWriteError(err, res, 'Season not found.')) return;
+    return res.status(500).json({ message: 'Server error.' });
   }
+});
 
-  const refreshed = await refreshIracingTokenIfNeeded(account);
-  return refreshed.accessToken;
-}
+// Delete season and its rounds (admin only) - calendar events and race sessions are kept
+app.delete('/api/admin/seasons/:id', requirePermission('seasons:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const deleted = await prisma.season.delete({
+      where: { id },
+    });
+    await recordAudit(req, {
+      action: 'season.delete',
+      targetType: 'season',
+      targetId: id,
+      before: deleted,
+    });
+    scheduleDriverStatsRecompute();
+    return res.json({ message: 'Season deleted successfully.' });
+  } catch (err) {
+    console.error('Delete season error:', err);
+    if (err.code === 'P2025') {
+      return res.status(404).json({ message: 'Season not found.' });
+    }
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
 
-// -------- iRacing OAuth Start --------
-// Redirect user to iRacing OAuth consent page
-// SECURITY: Requires authentication (requireAuth middleware)
-// Generates CSRF-protected state containing userId, random state, and timestamp
-app.get('/auth/iracing/start', requireAuth, async (req, res) => {
+// Add a round to a season (admin only) - round number defaults to the next free number
+app.post('/api/admin/seasons/:id/rounds', requirePermission('seasons:manage'), async (req, res) => {
   try {
-    // Verify authentication
-    if (!req.auth || !req.auth.userId) {
-      console.error('iRacing OAuth start: Missing auth data', { auth: req.auth });
-      return res.status(401).json({ 
-        message: 'Authentication required. Please log in again.' 
-      });
+    const seasonId = parseInt(req.params.id);
+    const { data, error } = parseRoundInput(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
     }
 
-    if (!IRACING_CLIENT_ID) {
-      return res.status(500).json({ 
-        message: 'iRacing OAuth not configured. Please set IRACING_CLIENT_ID environment variable.' 
-      });
+    const season = await prisma.season.findUnique({
+      where: { id: seasonId },
+      select: { id: true },
+    });
+    if (!season) {
+      return res.status(404).json({ message: 'Season not found.' });
     }
 
-    if (!IRACING_REDIRECT_URI) {
-      console.error('IRACING_REDIRECT_URI is not set');
-      return res.status(500).json({ 
-        message: 'iRacing OAuth redirect URI not configured.' 
+    if (data.roundNumber === undefined) {
+      const last = await prisma.round.findFirst({
+        where: { seasonId },
+        orderBy: { roundNumber: 'desc' },
+        select: { roundNumber: true },
       });
+      data.roundNumber = last ? last.roundNumber + 1 : 1;
     }
 
-    // Generate random state for CSRF protection
-    const randomState = crypto.randomBytes(32).toString('hex');
-    
-    // Encode userId and state together so we can identify user on callback
-    // Format: base64(JSON.stringify({userId, state, timestamp}))
-    const stateData = {
-      userId: req.auth.userId,
-      state: randomState,
-      timestamp: Date.now(),
-    };
-    
-    let encodedState;
-    try {
-      encodedState = Buffer.from(JSON.stringify(stateData)).toString('base64url');
-    } catch (err) {
-      console.error('Failed to encode state:', err);
-      return res.status(500).json({ message: 'Failed to generate OAuth state.' });
+    // Fill name/track/date from the linked calendar event when they were left blank
+    if (data.calendarEventId) {
+      const event = await prisma.calendarEvent.findUnique({
+        where: { id: data.calendarEventId },
+        select: { title: true, track: true, eventDate: true },
+      });
+      if (!event) {
+        return res.status(400).json({ message: 'Calendar event not found.' });
+      }
+      if (!data.name) data.name = event.title;
+      if (!data.track) data.track = event.track;
+      if (!data.raceDate) data.raceDate = event.eventDate;
     }
 
-    // Get authorization URL
-    let authUrl;
-    try {
-      authUrl = iracingOAuth.getAuthorizationUrl(
-        IRACING_CLIENT_ID,
-        IRACING_REDIRECT_URI,
-        encodedState
-      );
-    } catch (err) {
-      console.error('Failed to generate authorization URL:', err);
-      return res.status(500).json({ message: 'Failed to generate OAuth authorization URL.' });
-    }
+    const round = await prisma.round.create({
+      data: { ...data, seasonId },
+    });
+    await recordAudit(req, {
+      action: 'round.create',
+      targetType: 'round',
+      targetId: round.id,
+      after: round,
+    });
+    scheduleDriverStatsRecompute();
 
     return res.json({
-      authUrl,
-      message: 'Redirect to this URL to authorize iRacing connection',
+      message: 'Round created successfully.',
+      round,
     });
   } catch (err) {
-    console.error('iRacing OAuth start error:', err);
-    console.error('Error stack:', err.stack);
-    return res.status(500).json({ 
-      message: 'Server error starting OAuth flow.',
-      error: err.message 
-    });
+    console.error('Create round error:', err);
+    if (handleSeasonWriteError(err, res, 'Season not found.')) return;
+    return res.status(500).json({ message: 'Server error.' });
   }
 });
 
-// -------- iRacing OAuth Callback --------
-// Handle OAuth callback from iRacing
-// SECURITY: No auth middleware (user redirected from iRacing)
-// BUT: Validates state parameter containing userId, checks expiration (10 min max, 1 hour absolute),
-//      verifies user exists before saving tokens, ensuring only valid users can link accounts
-app.get('/auth/iracing/callback', async (req, res) => {
+// Update round (admin only)
+app.put('/api/admin/rounds/:id', requirePermission('seasons:manage'), async (req, res) => {
   try {
-    const { code, state, error } = req.query;
+    const id = parseInt(req.params.id);
+    const { data, error } = parseRoundInput(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
 
-    // Log callback parameters for debugging
-    console.log('iRacing OAuth callback received:', {
-      hasCode: !!code,
-      hasState: !!state,
-      hasError: !!error,
-      error: error,
-      queryKeys: Object.keys(req.query),
+    const before = await prisma.round.findUnique({ where: { id } });
+    const round = await prisma.round.update({
+      where: { id },
+      data,
+    });
+    await recordAudit(req, {
+      action: 'round.update',
+      targetType: 'round',
+      targetId: id,
+      before,
+      after: round,
     });
+    scheduleDriverStatsRecompute();
 
-    if (error) {
-      console.error('iRacing OAuth error:', error);
-      return res.redirect(`/iracing?error=${encodeURIComponent(error)}`);
-    }
+    return res.json({
+      message: 'Round updated successfully.',
+      round,
+    });
+  } catch (err) {
+    console.error('Update round error:', err);
+    if (handleSeasonWriteError(err, res, 'Round not found.')) return;
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
 
-    if (!code || !state) {
-      console.error('Missing OAuth parameters:', {
-        hasCode: !!code,
-        hasState: !!state,
-        allQueryParams: req.query,
-      });
-      return res.redirect('/iracing?error=missing_code_or_state');
+// Delete round (admin only)
+app.delete('/api/admin/rounds/:id', requirePermission('seasons:manage'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const deleted = await prisma.round.delete({
+      where: { id },
+    });
+    await recordAudit(req, {
+      action: 'round.delete',
+      targetType: 'round',
+      targetId: id,
+      before: deleted,
+    });
+    scheduleDriverStatsRecompute();
+    return res.json({ message: 'Round deleted successfully.' });
+  } catch (err) {
+    console.error('Delete round error:', err);
+    if (err.code === 'P2025') {
+      return res.status(404).json({ message: 'Round not found.' });
     }
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
 
-    // Decode state to get userId and verify CSRF protection
-    let stateData;
-    try {
-      const decoded = Buffer.from(state, 'base64url').toString('utf-8');
-      stateData = JSON.parse(decoded);
-    } catch (err) {
-      console.error('Invalid state format:', err);
-      return res.redirect('/iracing?error=invalid_state');
-    }
+// Award achievement to a driver
+app.post('/api/admin/achievements/:id/award', requirePermission('achievements:manage'), async (req, res) => {
+  try {
+    const achievementId = parseInt(req.params.id);
+    const { driverKey } = req.body;
 
-    // Verify state has required fields
-    if (!stateData.userId || !stateData.state || !stateData.timestamp) {
-      console.error('Invalid state data structure:', { hasUserId: !!stateData.userId, hasState: !!stateData.state, hasTimestamp: !!stateData.timestamp });
-      return res.redirect('/iracing?error=invalid_state');
+    if (!driverKey) {
+      return res.status(400).json({ message: 'Driver key is required.' });
     }
 
-    // Validate userId is a valid string/UUID (basic validation)
-    if (typeof stateData.userId !== 'string' || stateData.userId.length < 1) {
-      console.error('Invalid userId in state:', stateData.userId);
-      return res.redirect('/iracing?error=invalid_state');
-    }
+    const driver = await prisma.driver.findUnique({
+      where: { driverKey: normalizeUsername(driverKey) },
+      select: {
+        id: true,
+        driverKey: true,
+        displayName: true,
+        xpTotal: true,
+      },
+    });
 
-    // Check state expiration (10 minutes)
-    const stateAge = Date.now() - stateData.timestamp;
-    if (stateAge > 10 * 60 * 1000) {
-      console.error('State expired:', { age: stateAge, maxAge: 10 * 60 * 1000 });
-      return res.redirect('/iracing?error=state_expired');
+    if (!driver) {
+      return res.status(404).json({ message: 'Driver not found.' });
     }
 
-    // Additional security: reject states that are too old (negative timestamp or very old)
-    if (stateAge < 0 || stateAge > 60 * 60 * 1000) {
-      console.error('State timestamp invalid:', { timestamp: stateData.timestamp, age: stateAge });
-      return res.redirect('/iracing?error=invalid_state');
-    }
+    // Get the achievement template
+    const template = await prisma.achievement.findUnique({
+      where: { id: achievementId },
+    });
 
-    const userId = stateData.userId;
+    if (!template) {
+      return res.status(404).json({ message: 'Achievement template not found.' });
+    }
 
-    // Exchange code for tokens
-    let tokenResponse;
+    // Check if achievement is already unlocked
+    const existing = await prisma.driverAchievement.findUnique({
+      where: { driverId_achievementId: { driverId: driver.id, achievementId } },
+    });
+
+    if (existing) {
+      return res.status(400).json({ message: 'Achievement already unlocked for this driver.' });
+    }
+
+    const unlockedAchievement = await unlockAchievement(template, driver.id, {
+      awardedBy: req.auth.userId,
+    });
+    await recordAudit(req, {
+      action: 'achievement.award',
+      targetType: 'driver',
+      targetId: driver.driverKey,
+      after: { achievementId, achievement: template.name, xpReward: template.xpReward },
+    });
+    return res.json(unlockedAchievement);
+  } catch (err) {
+    console.error('Award achievement error:', err);
+    if (err.code === 'P2002') {
+      return res.status(400).json({ message: 'Achievement already unlocked for this driver.' });
+    }
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// ---------------------- XP Ledger ----------------------
+// XP only changes through XpTransaction rows; lib/xp-engine.js turns the ledger total into
+// level, progress and skill tier, cached on Driver after every change.
+
+/**
+ * Recompute the cached XP fields of drivers from their ledger
+ * @param {Array<number>} driverIds - Driver IDs
+ */
+async function refreshDriverXp(driverIds) {
+  if (driverIds.length === 0) return;
+
+  const [sums, drivers] = await Promise.all([
+    prisma.xpTransaction.groupBy({
+      by: ['driverId'],
+      where: { driverId: { in: driverIds } },
+      _sum: { amount: true },
+    }),
+    prisma.driver.findMany({
+      where: { id: { in: driverIds } },
+      select: { id: true, winRate: true },
+    }),
+  ]);
+  const totals = new Map(sums.map((row) => [row.driverId, row._sum.amount || 0]));
+
+  await prisma.$transaction(
+    drivers.map((d) => {
+      const progress = xpEngine.computeProgress(totals.get(d.id) || 0, d.winRate);
+      return prisma.driver.update({
+        where: { id: d.id },
+        data: {
+          xpTotal: progress.xpTotal,
+          xpLevel: progress.level,
+          xpToNext: progress.xpToNext,
+          skillTier: progress.skillTier,
+        },
+      });
+    })
+  );
+}
+
+/**
+ * Add one ledger entry and refresh the driver's cached XP
+ * @param {number} driverId - Driver ID
+ * @param {Object} entry - { source, amount, reason, reference, createdBy }
+ * @returns {Promise<Object>} The XpTransaction
+ */
+async function recordXp(driverId, { source, amount, reason = null, reference = null, createdBy = null }) {
+  const transaction = await prisma.xpTransaction.create({
+    data: { driverId, source, amount, reason, reference, createdBy },
+  });
+  await refreshDriverXp([driverId]);
+  return transaction;
+}
+
+/**
+ * Bring the system entries (welcome bonus, race starts and wins) in line with the results
+ * Race entries that no longer apply (e.g. a win lost to a steward penalty) are removed.
+ * @param {Map} recordsByDriverId - driverId -> league standings row (undefined without races)
+ * @returns {Promise<Array<number>>} IDs of drivers whose ledger changed
+ */
+async function reconcileSystemXp(recordsByDriverId) {
+  const driverIds = [...recordsByDriverId.keys()];
+  const existing = await prisma.xpTransaction.findMany({
+    where: { driverId: { in: driverIds }, source: { in: xpEngine.SYSTEM_SOURCES } },
+    select: { id: true, driverId: true, source: true, reference: true },
+  });
+
+  const key = (t) => `${t.driverId}|${t.source}|${t.reference}`;
+  const expected = [];
+  recordsByDriverId.forEach((record, driverId) => {
+    xpEngine.systemTransactions(record).forEach((t) => expected.push({ driverId, ...t }));
+  });
+
+  const existingKeys = new Set(existing.map(key));
+  const expectedKeys = new Set(expected.map(key));
+  const toCreate = expected.filter((t) => !existingKeys.has(key(t)));
+  const toDelete = existing.filter((t) => !expectedKeys.has(key(t)));
+  if (toCreate.length === 0 && toDelete.length === 0) return [];
+
+  await prisma.$transaction([
+    prisma.xpTransaction.deleteMany({ where: { id: { in: toDelete.map((t) => t.id) } } }),
+    prisma.xpTransaction.createMany({ data: toCreate }),
+  ]);
+  return [...new Set([...toCreate, ...toDelete].map((t) => t.driverId))];
+}
+
+/**
+ * XP summary for API responses, from a driver's cached XP fields
+ * @param {Object} driver - Driver row with xpTotal and winRate
+ * @returns {Object} Output of xpEngine.computeProgress
+ */
+function formatDriverXp(driver) {
+  return xpEngine.computeProgress(driver.xpTotal, driver.winRate);
+}
+
+// -------- Admin XP Management --------
+// Driver XP and recent ledger entries
+app.get('/api/admin/driver/:driverKey/xp', requirePermission('xp:adjust'), async (req, res) => {
+  try {
+    const driver = await prisma.driver.findUnique({
+      where: { driverKey: normalizeUsername(req.params.driverKey) },
+      select: {
+        id: true,
+        driverKey: true,
+        displayName: true,
+        xpTotal: true,
+        winRate: true,
+        xpTransactions: { orderBy: { createdAt: 'desc' }, take: 50 },
+      },
+    });
+    if (!driver) {
+      return res.status(404).json({ message: 'Driver not found.' });
+    }
+
+    return res.json({
+      driverKey: driver.driverKey,
+      displayName: driver.displayName,
+      xp: formatDriverXp(driver),
+      transactions: driver.xpTransactions.map((t) => ({
+        id: t.id,
+        source: t.source,
+        sourceLabel: xpEngine.XP_SOURCES[t.source] || t.source,
+        amount: t.amount,
+        reason: t.reason,
+        reference: t.reference,
+        createdBy: t.createdBy,
+        createdAt: t.createdAt,
+      })),
+    });
+  } catch (err) {
+    console.error('Get XP error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// Add or remove XP with a reason (level and tier follow from the new total)
+app.post('/api/admin/driver/:driverKey/xp', requirePermission('xp:adjust'), async (req, res) => {
+  try {
+    const { amount, reason, error } = xpEngine.normalizeAdjustment(req.body.amount, req.body.reason);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const driver = await prisma.driver.findUnique({
+      where: { driverKey: normalizeUsername(req.params.driverKey) },
+      select: { id: true, xpTotal: true },
+    });
+    if (!driver) {
+      return res.status(404).json({ message: 'Driver not found.' });
+    }
+
+    const transaction = await recordXp(driver.id, {
+      source: 'admin_adjustment',
+      amount,
+      reason,
+      createdBy: req.auth.userId,
+    });
+    const updated = await prisma.driver.findUnique({
+      where: { id: driver.id },
+      select: { driverKey: true, displayName: true, xpTotal: true, winRate: true },
+    });
+    await recordAudit(req, {
+      action: 'xp.adjust',
+      targetType: 'driver',
+      targetId: updated.driverKey,
+      before: { xpTotal: driver.xpTotal },
+      after: { xpTotal: updated.xpTotal, amount, reason },
+    });
+
+    return res.json({
+      message: `${amount > 0 ? 'Added' : 'Removed'} ${Math.abs(amount)} XP.`,
+      transaction,
+      driver: {
+        driverKey: updated.driverKey,
+        displayName: updated.displayName,
+        xp: formatDriverXp(updated),
+      },
+    });
+  } catch (err) {
+    console.error('Update XP error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// ---------------------- iRacing OAuth Integration ----------------------
+// Get iRacing OAuth client configuration from environment variables
+const IRACING_CLIENT_ID = process.env.IRACING_CLIENT_ID || '';
+const IRACING_CLIENT_SECRET = process.env.IRACING_CLIENT_SECRET || '';
+const IRACING_REDIRECT_URI = process.env.IRACING_REDIRECT_URI || `${process.env.BASE_URL || 'http://localhost:3000'}/auth/iracing/callback`;
+// How long the user has to approve the connection on iRacing
+const IRACING_OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+// Holds a nonce tying the callback to the browser that started the flow (hash stored on the state)
+const IRACING_OAUTH_COOKIE = 'sgp_iracing_oauth';
+const IRACING_OAUTH_COOKIE_OPTIONS = {
+  httpOnly: true,
+  sameSite: 'lax', // Still sent on the top-level redirect back from iRacing
+  secure: process.env.NODE_ENV === 'production',
+  path: '/auth/iracing',
+};
+
+/**
+ * Read one cookie from the request (there is no cookie parser middleware)
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null} The decoded value, or null if it isn't set
+ */
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const separator = part.indexOf('=');
+    if (separator > 0 && part.slice(0, separator).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(separator + 1).trim());
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+// Master keys for iRacing tokens at rest (see lib/token-encryption.js); a malformed value stops startup
+const TOKEN_KEYRING = tokenEncryption.parseKeyring(process.env.TOKEN_ENCRYPTION_KEYS);
+
+/**
+ * Token columns for writing to IracingAccount, encrypted with the current key
+ * @param {string} accessToken - Plaintext access token
+ * @param {string} refreshToken - Plaintext refresh token
+ * @returns {Object} { accessToken, refreshToken, tokenKeyId, tokenDataKey }
+ */
+function encryptIracingTokens(accessToken, refreshToken) {
+  return tokenEncryption.encryptTokens({ accessToken, refreshToken }, TOKEN_KEYRING);
+}
+
+/**
+ * Copy of an IracingAccount row with plaintext tokens (rows already in plaintext pass through)
+ * @param {Object} account - IracingAccount row
+ * @returns {Object} The row with accessToken/refreshToken decrypted and no key id
+ */
+function withDecryptedTokens(account) {
+  if (!account.tokenKeyId) return account;
+  return {
+    ...account,
+    ...tokenEncryption.decryptTokens(account, TOKEN_KEYRING),
+    tokenKeyId: null,
+    tokenDataKey: null,
+  };
+}
+
+/**
+ * Helper function to refresh expired iRacing access tokens
+ * @param {Object} storedAccount - iRacing account from database
+ * @returns {Promise<Object>} Account with valid, decrypted tokens
+ */
+async function refreshIracingTokenIfNeeded(storedAccount) {
+  if (!storedAccount) {
+    throw new Error('iRacing account not found');
+  }
+  const iracingAccount = withDecryptedTokens(storedAccount);
+
+  // Check if token is expired or will expire in the next 5 minutes
+  const expiresAt = new Date(iracingAccount.expiresAt);
+  const now = new Date();
+  const bufferTime = 5 * 60 * 1000; // 5 minutes
+
+  if (expiresAt.getTime() - now.getTime() > bufferTime) {
+    // Token is still valid
+    return iracingAccount;
+  }
+
+  try {
+    console.log(`Refreshing iRacing token for user ${iracingAccount.userId} (custId: ${iracingAccount.custId})`);
+    
+    // Refresh the token
+    const tokenResponse = await iracingOAuth.refreshAccessToken(
+      iracingAccount.refreshToken,
+      IRACING_CLIENT_ID,
+      IRACING_CLIENT_SECRET
+    );
+
+    // Calculate new expiration time
+    const expiresIn = tokenResponse.expires_in || 3600; // Default to 1 hour
+    const newExpiresAt = new Date(now.getTime() + expiresIn * 1000);
+
+    // Update account with new tokens
+    const updated = await prisma.iracingAccount.update({
+      where: { id: iracingAccount.id },
+      data: {
+        ...encryptIracingTokens(
+          tokenResponse.access_token,
+          tokenResponse.refresh_token || iracingAccount.refreshToken // Keep old refresh token if not provided
+        ),
+        expiresAt: newExpiresAt,
+        updatedAt: new Date(),
+      },
+    });
+
+    console.log(`Token refreshed successfully for user ${iracingAccount.userId}`);
+    return withDecryptedTokens(updated);
+  } catch (error) {
+    console.error(`Failed to refresh iRacing token for user ${iracingAccount.userId}:`, error.message);
+    throw new Error(`Token refresh failed: ${error.message}`);
+  }
+}
+
+/**
+ * Get valid iRacing access token, refreshing if needed
+ * @param {number} userId - User ID
+ * @returns {Promise<string>} Valid access token
+ */
+async function getValidIracingToken(userId) {
+  const account = await prisma.iracingAccount.findUnique({
+    where: { userId },
+  });
+
+  if (!account) {
+    throw new Error('iRacing account not connected');
+  }
+
+  const refreshed = await refreshIracingTokenIfNeeded(account);
+  return refreshed.accessToken;
+}
+
+// -------- iRacing OAuth Start --------
+// Redirect user to iRacing OAuth consent page
+// SECURITY: Requires authentication (requireAuth middleware)
+// The random state is stored server-side (hashed, single-use, expiring) against the login session
+// that started the flow, together with a PKCE code_verifier; only the state goes to iRacing.
+// A nonce cookie binds the flow to this browser, so a started authUrl is useless to anyone else.
+app.get('/auth/iracing/start', requireAuth, async (req, res) => {
+  try {
+    // Verify authentication
+    if (!req.auth || !req.auth.userId) {
+      console.error('iRacing OAuth start: Missing auth data', { auth: req.auth });
+      return res.status(401).json({ 
+        message: 'Authentication required. Please log in again.' 
+      });
+    }
+
+    if (!IRACING_CLIENT_ID) {
+      return res.status(500).json({ 
+        message: 'iRacing OAuth not configured. Please set IRACING_CLIENT_ID environment variable.' 
+      });
+    }
+
+    if (!IRACING_REDIRECT_URI) {
+      console.error('IRACING_REDIRECT_URI is not set');
+      return res.status(500).json({ 
+        message: 'iRacing OAuth redirect URI not configured.' 
+      });
+    }
+
+    if (!TOKEN_KEYRING.currentKeyId) {
+      return res.status(500).json({
+        message:
+          'iRacing token encryption not configured. Please set TOKEN_ENCRYPTION_KEYS environment variable.',
+      });
+    }
+
+    // Random state for CSRF protection, plus a PKCE pair so a stolen code is useless on its own
+    const state = crypto.randomBytes(32).toString('hex');
+    const { codeVerifier, codeChallenge } = iracingOAuth.generatePkce();
+    const browserNonce = crypto.randomBytes(32).toString('hex');
+
+    await prisma.iracingOAuthState.create({
+      data: {
+        stateHash: hashToken(state),
+        sessionId: req.auth.sessionId,
+        browserNonceHash: hashToken(browserNonce),
+        codeVerifier,
+        expiresAt: new Date(Date.now() + IRACING_OAUTH_STATE_TTL_MS),
+      },
+    });
+
+    // Get authorization URL
+    let authUrl;
     try {
-      tokenResponse = await iracingOAuth.exchangeCodeForToken(
-        code,
+      authUrl = iracingOAuth.getAuthorizationUrl(
         IRACING_CLIENT_ID,
-        IRACING_CLIENT_SECRET,
-        IRACING_REDIRECT_URI
+        IRACING_REDIRECT_URI,
+        state,
+        codeChallenge
       );
     } catch (err) {
-      console.error('Token exchange failed:', err);
-      return res.redirect(`/iracing?error=${encodeURIComponent('token_exchange_failed')}`);
+      console.error('Failed to generate authorization URL:', err);
+      return res.status(500).json({ message: 'Failed to generate OAuth authorization URL.' });
+    }
+
+    res.cookie(IRACING_OAUTH_COOKIE, browserNonce, {
+      ...IRACING_OAUTH_COOKIE_OPTIONS,
+      maxAge: IRACING_OAUTH_STATE_TTL_MS,
+    });
+    return res.json({
+      authUrl,
+      message: 'Redirect to this URL to authorize iRacing connection',
+    });
+  } catch (err) {
+    console.error('iRacing OAuth start error:', err);
+    console.error('Error stack:', err.stack);
+    return res.status(500).json({ 
+      message: 'Server error starting OAuth flow.',
+      error: err.message 
+    });
+  }
+});
+
+/**
+ * Use up an OAuth state returned by iRacing
+ * @param {string} state - state query parameter from the callback
+ * @param {string|null} browserNonce - Nonce cookie set by /auth/iracing/start in this browser
+ * @returns {Promise<Object>} { userId, codeVerifier } or { error } (an /iracing?error= code)
+ */
+async function consumeIracingOAuthState(state, browserNonce) {
+  const stored = await prisma.iracingOAuthState.findUnique({
+    where: { stateHash: hashToken(String(state)) },
+    include: { session: { select: { userId: true, lastAccess: true } } },
+  });
+
+  // Unknown states include ones whose login session was signed out (they cascade away)
+  if (!stored) return { error: 'invalid_state' };
+  if (stored.usedAt) return { error: 'state_used' };
+  if (stored.expiresAt < new Date()) return { error: 'state_expired' };
+  // A link started in someone else's browser would connect this iRacing account to their user
+  if (!browserNonce || hashToken(browserNonce) !== stored.browserNonceHash) {
+    return { error: 'browser_mismatch' };
+  }
+  if (Date.now() - stored.session.lastAccess.getTime() > SESSION_EXPIRY_MS) {
+    return { error: 'session_expired' };
+  }
+
+  // Claim it atomically so two callbacks racing with the same state can't both succeed
+  const { count } = await prisma.iracingOAuthState.updateMany({
+    where: { id: stored.id, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+  if (count === 0) return { error: 'state_used' };
+
+  return { userId: stored.session.userId, codeVerifier: stored.codeVerifier };
+}
+
+// -------- iRacing OAuth Callback --------
+// Handle OAuth callback from iRacing
+// SECURITY: No auth middleware (user redirected from iRacing)
+// BUT: The state must be one we issued, unused, unexpired, from a still-valid login session and
+//      returned to the browser holding its nonce cookie; the user is taken from that session, and
+//      the token exchange sends the PKCE code_verifier
+app.get('/auth/iracing/callback', async (req, res) => {
+  try {
+    const { code, state, error } = req.query;
+    const browserNonce = readCookie(req, IRACING_OAUTH_COOKIE);
+    res.clearCookie(IRACING_OAUTH_COOKIE, IRACING_OAUTH_COOKIE_OPTIONS);
+
+    // Log callback parameters for debugging
+    console.log('iRacing OAuth callback received:', {
+      hasCode: !!code,
+      hasState: !!state,
+      hasError: !!error,
+      error: error,
+      queryKeys: Object.keys(req.query),
+    });
+
+    if (error) {
+      console.error('iRacing OAuth error:', error);
+      return res.redirect(`/iracing?error=${encodeURIComponent(error)}`);
+    }
+
+    if (!code || !state) {
+      console.error('Missing OAuth parameters:', {
+        hasCode: !!code,
+        hasState: !!state,
+        allQueryParams: req.query,
+      });
+      return res.redirect('/iracing?error=missing_code_or_state');
+    }
+
+    const {
+      userId,
+      codeVerifier,
+      error: stateError,
+    } = await consumeIracingOAuthState(state, browserNonce);
+    if (stateError) {
+      console.error('Rejected iRacing OAuth state:', stateError);
+      return res.redirect(`/iracing?error=${stateError}`);
+    }
+
+    // Exchange code for tokens
+    let tokenResponse;
+    try {
+      tokenResponse = await iracingOAuth.exchangeCodeForToken(
+        code,
+        IRACING_CLIENT_ID,
+        IRACING_CLIENT_SECRET,
+        IRACING_REDIRECT_URI,
+        codeVerifier
+      );
+    } catch (err) {
+      console.error('Token exchange failed:', err);
+      return res.redirect(`/iracing?error=${encodeURIComponent('token_exchange_failed')}`);
+    }
+
+    // Get user info from iRacing API
+    // PRIVACY: Only fetches displayName (iRacing username), NOT email or real names
+    let userInfo;
+    try {
+      userInfo = await iracingOAuth.getUserInfo(tokenResponse.access_token);
+    } catch (err) {
+      console.error('Failed to get user info:', err);
+      return res.redirect(`/iracing?error=${encodeURIComponent('user_info_failed')}`);
+    }
+
+    // PRIVACY VERIFICATION: Ensure we're only storing displayName (iRacing username), not email or real names
+    // displayName is the iRacing username/display name that users choose themselves, not their real name
+    if (userInfo.email) {
+      console.warn('WARNING: iRacing API returned email field - this should not be stored or used');
+      // Explicitly remove email if present (shouldn't happen with our getUserInfo function)
+      delete userInfo.email;
+    }
+
+    // Calculate expiration time
+    const expiresIn = tokenResponse.expires_in || 3600; // Default to 1 hour
+    const expiresAt = new Date(Date.now() + expiresIn * 1000);
+
+    // Verify user exists
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      include: { driver: true },
+    });
+
+    if (!user) {
+      return res.redirect('/iracing?error=user_not_found');
+    }
+
+    // Store or update iRacing account (tokens encrypted at rest)
+    // PRIVACY: Only stores displayName (iRacing username), custId, and tokens - NO email or real names
+    const existing = await prisma.iracingAccount.findUnique({
+      where: { userId: userId },
+    });
+
+    if (existing) {
+      // Update existing account
+      await prisma.iracingAccount.update({
+        where: { id: existing.id },
+        data: {
+          custId: userInfo.custId,
+          ...encryptIracingTokens(tokenResponse.access_token, tokenResponse.refresh_token),
+          expiresAt,
+          displayName: userInfo.displayName, // iRacing username only, NOT real name
+          updatedAt: new Date(),
+        },
+      });
+    } else {
+      // Create new account
+      await prisma.iracingAccount.create({
+        data: {
+          userId: userId,
+          custId: userInfo.custId,
+          ...encryptIracingTokens(tokenResponse.access_token, tokenResponse.refresh_token),
+          expiresAt,
+          displayName: userInfo.displayName, // iRacing username only, NOT real name
+        },
+      });
+    }
+
+    // Update driver's iRacing field for backward compatibility
+
+    if (user && user.driver) {
+      await prisma.driver.update({
+        where: { id: user.driver.id },
+        data: {
+          iracing: String(userInfo.custId), // Store custId as string
+        },
+      });
+    }
+
+    return res.redirect('/iracing?success=iracing_connected');
+  } catch (err) {
+    console.error('iRacing OAuth callback error:', err);
+    return res.redirect(`/iracing?error=${encodeURIComponent('server_error')}`);
+  }
+});
+
+// -------- iRacing Session Sync --------
+/**
+ * Fetch an account's recent sessions from the iRacing API (retries once after a token refresh)
+ * @param {Object} account - IracingAccount row
+ * @param {string} accessToken - Valid access token
+ * @returns {Promise<Array>} Raw session list
+ */
+async function fetchSessionsForAccount(account, accessToken) {
+  try {
+    return await iracingSync.fetchUserSessions(accessToken, account.custId);
+  } catch (err) {
+    console.error('Failed to fetch sessions:', err);
+    // Refresh token and retry once
+    const refreshedAccount = await refreshIracingTokenIfNeeded(account);
+    return iracingSync.fetchUserSessions(refreshedAccount.accessToken, account.custId);
+  }
+}
+
+/**
+ * Upsert a session and all of its participants from getSessionResults output
+ * @param {Object} sessionResults - Output of iracingSync.getSessionResults (or the basic fallback)
+ * @param {Object} overrides - Session fields to force (e.g. { sessionType: 'race' } for imports)
+ * @returns {Promise<Object>} The IracingSession row
+ */
+async function upsertSessionResults(sessionResults, overrides = {}) {
+  const normalizedSession = { ...iracingSync.normalizeSession(sessionResults), ...overrides };
+  const sessionFields = {
+    sessionType: normalizedSession.sessionType,
+    leagueId: normalizedSession.leagueId,
+    leagueName: normalizedSession.leagueName,
+    trackName: normalizedSession.trackName,
+    carName: normalizedSession.carName,
+    startTime: normalizedSession.startTime,
+    subSessionId: normalizedSession.subSessionId,
+    seasonId: normalizedSession.seasonId,
+  };
+
+  const sessionRecord = await prisma.iracingSession.upsert({
+    where: { sessionId: normalizedSession.sessionId },
+    create: { sessionId: normalizedSession.sessionId, ...sessionFields },
+    update: { ...sessionFields, updatedAt: new Date() },
+  });
+
+  for (const participantData of sessionResults.participants || []) {
+    const normalizedParticipant = iracingSync.normalizeParticipant(participantData);
+    const participantFields = {
+      displayName: normalizedParticipant.displayName,
+      lapsCompleted: normalizedParticipant.lapsCompleted,
+      bestLapTime: normalizedParticipant.bestLapTime,
+      incidents: normalizedParticipant.incidents,
+      finishPosition: normalizedParticipant.finishPosition,
+      startingPosition: normalizedParticipant.startingPosition,
+      totalLaps: normalizedParticipant.totalLaps,
+      lapsLed: normalizedParticipant.lapsLed,
+      interval: normalizedParticipant.interval,
+      carName: normalizedParticipant.carName,
+    };
+
+    // Upsert participant (update if exists, create if not)
+    await prisma.iracingSessionParticipant.upsert({
+      where: {
+        sessionId_custId: {
+          sessionId: sessionRecord.sessionId,
+          custId: normalizedParticipant.custId,
+        },
+      },
+      create: {
+        sessionId: sessionRecord.sessionId,
+        custId: normalizedParticipant.custId,
+        ...participantFields,
+      },
+      update: { ...participantFields, updatedAt: new Date() },
+    });
+  }
+
+  return sessionRecord;
+}
+
+/**
+ * Replace a race's stored lap data
+ * @param {string} sessionId - IracingSession.sessionId
+ * @param {Array} laps - Output of iracingSync.getSessionLaps
+ * @returns {Promise<number>} Number of laps stored
+ */
+async function saveSessionLaps(sessionId, laps) {
+  const rows = new Map();
+  for (const lap of laps) {
+    if (!Number.isInteger(lap.custId) || !Number.isInteger(lap.lapNumber)) continue;
+    rows.set(`${lap.custId}:${lap.lapNumber}`, {
+      sessionId,
+      custId: lap.custId,
+      lapNumber: lap.lapNumber,
+      lapTime: lap.lapTime,
+      position: lap.position,
+      incident: lap.incident,
+      pitted: lap.pitted,
+      events: lap.events && lap.events.length ? lap.events.join(', ') : null,
+    });
+  }
+
+  await prisma.$transaction([
+    prisma.iracingLap.deleteMany({ where: { sessionId } }),
+    prisma.iracingLap.createMany({ data: [...rows.values()] }),
+  ]);
+  return rows.size;
+}
+
+/**
+ * Fetch and store lap data for a race session
+ * Lap data is extra detail: failures are logged and never fail the sync/import that called this.
+ * Laps don't change once a race is over, so races that already have laps are skipped unless forced.
+ * @param {string} accessToken - Valid access token
+ * @param {Object} sessionRecord - IracingSession row
+ * @param {Object} options - { force: refetch even if laps are stored }
+ * @returns {Promise<number>} Number of laps stored (0 if skipped or failed)
+ */
+async function syncSessionLaps(accessToken, sessionRecord, options = {}) {
+  if (sessionRecord.sessionType !== 'race' || !sessionRecord.subSessionId) return 0;
+
+  try {
+    if (!options.force) {
+      const stored = await prisma.iracingLap.count({ where: { sessionId: sessionRecord.sessionId } });
+      if (stored > 0) return 0;
+    }
+
+    const laps = await iracingSync.getSessionLaps(accessToken, sessionRecord.subSessionId);
+    return await saveSessionLaps(sessionRecord.sessionId, laps);
+  } catch (err) {
+    console.warn(`Failed to get lap data for ${sessionRecord.sessionId}:`, err.message);
+    return 0;
+  }
+}
+
+/**
+ * Store fetched sessions (with detailed results and participants) in the database
+ * @param {string} accessToken - Valid access token (used to fetch detailed results)
+ * @param {Array} sessions - Raw session list from fetchSessionsForAccount
+ * @returns {Promise<Object>} { synced, errors: [{ sessionId, error }] }
+ */
+async function saveSyncedSessions(accessToken, sessions) {
+  let syncedCount = 0;
+  const errors = [];
+
+  // Process each session
+  for (const sessionData of sessions) {
+    try {
+      // Get detailed session results
+      let sessionResults;
+      try {
+        sessionResults = await iracingSync.getSessionResults(
+          accessToken,
+          sessionData.subsession_id || sessionData.session_id,
+          sessionData.subsession_id
+        );
+      } catch (err) {
+        console.warn(`Failed to get session results for ${sessionData.subsession_id || sessionData.session_id}:`, err.message);
+        // Continue with basic session data if detailed results fail
+        sessionResults = {
+          sessionId: String(sessionData.subsession_id || sessionData.session_id),
+          sessionType: iracingSync.normalizeSession(sessionData).sessionType,
+          trackName: sessionData.track?.track_name || sessionData.track_name || 'Unknown Track',
+          carName: sessionData.car_name || 'Unknown Car',
+          startTime: sessionData.session_start_time || sessionData.start_time
+            ? new Date(sessionData.session_start_time || sessionData.start_time)
+            : new Date(),
+          leagueId: sessionData.league_id || null,
+          leagueName: sessionData.league_name || null,
+          participants: [],
+        };
+      }
+
+      const sessionRecord = await upsertSessionResults(sessionResults);
+      await syncSessionLaps(accessToken, sessionRecord);
+
+      syncedCount++;
+    } catch (sessionErr) {
+      errors.push({
+        sessionId: sessionData.subsession_id || sessionData.session_id,
+        error: sessionErr.message,
+      });
+      console.error(`Error syncing session ${sessionData.subsession_id || sessionData.session_id}:`, sessionErr);
+    }
+  }
+
+  return { synced: syncedCount, errors };
+}
+
+/**
+ * Record a successful sync on the account and clear any background sync backoff
+ * @param {Object} account - IracingAccount row
+ */
+async function markAccountSynced(account) {
+  await prisma.iracingAccount.update({
+    where: { id: account.id },
+    data: {
+      lastSyncedAt: new Date(),
+      syncFailures: 0,
+      lastSyncError: null,
+      nextSyncAt: null,
+      updatedAt: new Date(),
+    },
+  });
+}
+
+// ---------------------- Derived Driver Stats ----------------------
+// starts, bestFinish and winRate follow the official league results; irating and license
+// follow the driver's iRacing member record (IRACING_LICENSE_CATEGORY picks the license,
+// default sports_car). Recomputed after every sync and results import.
+const DRIVER_LICENSE_CATEGORIES = [
+  ...new Set([
+    ...(process.env.IRACING_LICENSE_CATEGORY ? [process.env.IRACING_LICENSE_CATEGORY] : []),
+    ...driverStats.DEFAULT_LICENSE_CATEGORIES,
+  ]),
+];
+
+/**
+ * Recompute the result stats (starts, wins, podiums, DNFs, championships, bestFinish, winRate)
+ * of every driver with a linked iRacing account, reconcile everyone's results XP (race starts,
+ * wins, welcome bonus) and cached level, then unlock any rule-based achievements the new
+ * results earned
+ * Penalties can move other drivers, so the whole grid is recomputed, not just one driver.
+ * @returns {Promise<number>} Number of drivers whose stats were updated
+ */
+async function recomputeDriverStats() {
+  const records = await loadLeagueRecords();
+  const championships = await loadChampionshipCounts();
+
+  const drivers = await prisma.driver.findMany({
+    select: { id: true, user: { select: { iracingAccount: { select: { custId: true } } } } },
+  });
+  const linked = drivers.filter((d) => d.user && d.user.iracingAccount);
+  const derivedAt = new Date();
+
+  await prisma.$transaction(
+    linked.map((d) =>
+      prisma.driver.update({
+        where: { id: d.id },
+        data: {
+          ...driverStats.deriveResultStats(
+            records.get(d.user.iracingAccount.custId),
+            championships.get(d.user.iracingAccount.custId)
+          ),
+          statsDerivedAt: derivedAt,
+        },
+      })
+    )
+  );
+
+  // Skill tier depends on winRate, so every linked driver's cached XP is refreshed too
+  const recordsByDriverId = new Map(
+    drivers.map((d) => [
+      d.id,
+      d.user && d.user.iracingAccount ? records.get(d.user.iracingAccount.custId) : undefined,
+    ])
+  );
+  const changed = await reconcileSystemXp(recordsByDriverId);
+  await refreshDriverXp([...new Set([...changed, ...linked.map((d) => d.id)])]);
+
+  await evaluateAchievements({ records });
+  return linked.length;
+}
+
+// Results changes (syncs, imports, steward decisions) only schedule a recompute: it rebuilds the
+// whole league, so it runs in the background once things go quiet instead of in each request
+const DRIVER_STATS_RECOMPUTE_DELAY_MS = 5000;
+let driverStatsRecomputeTimer = null;
+let driverStatsRecomputeQueue = Promise.resolve();
+
+/**
+ * Recompute driver stats after any run already in progress, never two at once (both would
+ * reconcile the same XP ledger)
+ * @returns {Promise<number>} See recomputeDriverStats
+ */
+function runDriverStatsRecompute() {
+  const run = driverStatsRecomputeQueue.then(() => recomputeDriverStats());
+  driverStatsRecomputeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Recompute driver stats in the background, shortly after the last results change
+ */
+function scheduleDriverStatsRecompute() {
+  clearTimeout(driverStatsRecomputeTimer);
+  driverStatsRecomputeTimer = setTimeout(() => {
+    runDriverStatsRecompute().catch((err) =>
+      console.warn('Driver stats recompute failed:', err.message)
+    );
+  }, DRIVER_STATS_RECOMPUTE_DELAY_MS);
+}
+
+/**
+ * Refresh a driver's iRating and license from their iRacing member record
+ * @param {number} userId - Site user ID
+ * @param {string} accessToken - The user's valid iRacing access token
+ * @returns {Promise<Object|null>} { irating, license, category }, or null if no license has a rating
+ */
+async function refreshDriverRating(userId, accessToken) {
+  const licenses = await iracingSync.getMemberLicenses(accessToken);
+  const rating = driverStats.deriveRating(licenses, DRIVER_LICENSE_CATEGORIES);
+  if (!rating) return null;
+
+  await prisma.driver.updateMany({
+    where: { userId },
+    data: { irating: rating.irating, license: rating.license, ratingDerivedAt: new Date() },
+  });
+  return rating;
+}
+
+// Recompute derived stats now (e.g. after steward penalties change the results)
+app.post('/api/admin/driver-stats/recompute', requirePermission('results:publish'), async (req, res) => {
+  try {
+    const updated = await runDriverStatsRecompute();
+    await recordAudit(req, {
+      action: 'driver_stats.recompute',
+      after: { driversUpdated: updated },
+    });
+    return res.json({ message: `Recomputed stats for ${updated} driver(s).`, updated });
+  } catch (err) {
+    console.error('Recompute driver stats error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// Sync league and hosted practice sessions from iRacing API
+// SECURITY: Requires authentication, filters by req.auth.userId to ensure users can only sync their own account
+app.post('/api/iracing/sync', requireAuth, async (req, res) => {
+  try {
+    // Get user's iRacing account
+    const account = await prisma.iracingAccount.findUnique({
+      where: { userId: req.auth.userId },
+    });
+
+    if (!account) {
+      return res.status(404).json({ 
+        message: 'iRacing account not connected. Please connect your iRacing account first.' 
+      });
+    }
+
+    // Get valid access token (refresh if needed)
+    let accessToken;
+    try {
+      accessToken = await getValidIracingToken(req.auth.userId);
+    } catch (err) {
+      return res.status(401).json({ 
+        message: 'Failed to get valid access token. Please reconnect your iRacing account.',
+        error: err.message,
+      });
+    }
+
+    // Fetch user sessions from iRacing API
+    let sessions;
+    try {
+      sessions = await fetchSessionsForAccount(account, accessToken);
+    } catch (err) {
+      return res.status(500).json({ 
+        message: 'Failed to fetch sessions from iRacing API.',
+        error: err.message,
+      });
+    }
+
+    const { synced: syncedCount, errors } = await saveSyncedSessions(accessToken, sessions);
+
+    // Update last synced timestamp
+    await markAccountSynced(account);
+
+    // Derived stats are best effort; the sync itself has already succeeded
+    await refreshDriverRating(req.auth.userId, accessToken).catch((err) =>
+      console.warn('Driver rating refresh skipped:', err.message)
+    );
+    scheduleDriverStatsRecompute();
+
+    return res.json({
+      message: `Synced ${syncedCount} session(s) successfully.`,
+      synced: syncedCount,
+      errors: errors.length,
+      errorDetails: errors.length > 0 ? errors : undefined,
+    });
+  } catch (err) {
+    console.error('iRacing sync error:', err);
+    return res.status(500).json({ 
+      message: 'Server error during sync.',
+      error: err.message,
+    });
+  }
+});
+
+// -------- Get iRacing Connection Status --------
+// Get current user's iRacing connection status
+// SECURITY: Requires authentication, filters by req.auth.userId - users can only see their own status
+app.get('/api/iracing/status', requireAuth, async (req, res) => {
+  try {
+    const account = await prisma.iracingAccount.findUnique({
+      where: { userId: req.auth.userId },
+      select: {
+        custId: true,
+        displayName: true,
+        expiresAt: true,
+        lastSyncedAt: true,
+        createdAt: true,
+      },
+    });
+
+    if (!account) {
+      return res.json({
+        connected: false,
+        message: 'iRacing account not connected',
+      });
+    }
+
+    const now = new Date();
+    const expiresAt = new Date(account.expiresAt);
+    const isExpired = expiresAt <= now;
+
+    return res.json({
+      connected: true,
+      custId: account.custId,
+      // PRIVACY: displayName is the user's own iRacing username (user-chosen), not real name
+      // Only returned to authenticated user viewing their own status
+      displayName: account.displayName,
+      expiresAt: account.expiresAt,
+      isExpired,
+      lastSyncedAt: account.lastSyncedAt,
+      connectedAt: account.createdAt,
+    });
+  } catch (err) {
+    console.error('Get iRacing status error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// -------- Get League Details --------
+app.get('/api/iracing/league', requireAuth, async (req, res) => {
+  try {
+    // Get user's iRacing account
+    const account = await prisma.iracingAccount.findUnique({
+      where: { userId: req.auth.userId },
+    });
+
+    if (!account) {
+      return res.status(404).json({ 
+        message: 'iRacing account not connected. Please connect your iRacing account first.' 
+      });
+    }
+
+    // Get valid access token
+    let accessToken;
+    try {
+      accessToken = await getValidIracingToken(req.auth.userId);
+    } catch (err) {
+      return res.status(401).json({ 
+        message: 'Failed to get valid access token. Please reconnect your iRacing account.',
+        error: err.message,
+      });
+    }
+
+    // Get league ID from query param or environment variable, default to 13015
+    const leagueId = parseInt(req.query.leagueId || process.env.IRACING_LEAGUE_ID || '13015', 10);
+
+    if (isNaN(leagueId)) {
+      return res.status(400).json({ message: 'Invalid league ID.' });
+    }
+
+    // Fetch league details
+    try {
+      const leagueDetails = await iracingLeagueSchedule.getLeagueDetails(accessToken, leagueId);
+      
+      // Get additional information by fetching the full API response
+      // The getLeagueDetails function returns basic info, but we can enhance it
+      return res.json({
+        leagueId: leagueDetails.leagueId,
+        leagueName: leagueDetails.leagueName,
+        ownerId: leagueDetails.ownerId,
+        createdDate: leagueDetails.createdDate,
+        url: leagueDetails.url,
+        rosterCount: leagueDetails.rosterCount,
+      });
+    } catch (apiErr) {
+      console.error('Error fetching league details from iRacing API:', apiErr);
+      return res.status(500).json({ 
+        message: 'Failed to fetch league details from iRacing API.',
+        error: apiErr.message,
+      });
+    }
+  } catch (err) {
+    console.error('Get league details error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// -------- Get User's League Sessions (Practice & Race Stats) --------
+// Get league-specific sessions for the current user
+// SECURITY: Requires authentication, filters by req.auth.userId via account lookup - users can only see their own sessions
+app.get('/api/iracing/league-sessions', requireAuth, async (req, res) => {
+  try {
+    const account = await prisma.iracingAccount.findUnique({
+      where: { userId: req.auth.userId },
+      select: { custId: true },
+    });
+
+    if (!account) {
+      return res.status(404).json({ 
+        message: 'iRacing account not connected.' 
+      });
+    }
+
+    // Get league ID from query param or environment variable
+    const leagueId = parseInt(req.query.leagueId || process.env.IRACING_LEAGUE_ID || '13015', 10);
+
+    // Get only league sessions where user participated
+    // The whole field is loaded so positions reflect the official classification (penalties)
+    const rawSessions = await prisma.iracingSession.findMany({
+      where: {
+        leagueId: leagueId,
+        participants: {
+          some: {
+            custId: account.custId,
+          },
+        },
+      },
+      include: {
+        participants: true,
+        adjustments: true,
+      },
+      orderBy: {
+        startTime: 'desc',
+      },
+    });
+    const sessions = withOfficialResults(rawSessions).map(session => ({
+      ...session,
+      participants: session.participants.filter(p => p.custId === account.custId),
+    }));
+
+    // Calculate statistics
+    const races = sessions.filter(s => s.sessionType === 'race');
+    const practices = sessions.filter(s => s.sessionType === 'practice');
+    
+    // Get unique tracks
+    const tracks = [...new Set(sessions.map(s => s.trackName))];
+    
+    // Get fastest lap times per track
+    const fastestLapsByTrack = {};
+    sessions.forEach(session => {
+      const participant = session.participants[0];
+      if (participant && participant.bestLapTime) {
+        const track = session.trackName;
+        if (!fastestLapsByTrack[track] || participant.bestLapTime < fastestLapsByTrack[track].time) {
+          fastestLapsByTrack[track] = {
+            time: participant.bestLapTime,
+            sessionType: session.sessionType,
+            date: session.startTime,
+            car: session.carName,
+          };
+        }
+      }
+    });
+
+    // Get race statistics
+    const raceStats = {
+      totalRaces: races.length,
+      totalPractices: practices.length,
+      totalSessions: sessions.length,
+      wins: races.filter(r => r.participants[0]?.finishPosition === 1).length,
+      podiums: races.filter(r => {
+        const pos = r.participants[0]?.finishPosition;
+        return pos && pos >= 1 && pos <= 3 && !r.participants[0].disqualified;
+      }).length,
+      bestFinish: Math.min(...races.map(r => r.participants[0]?.finishPosition || 999).filter(p => p < 999)),
+      totalLaps: sessions.reduce((sum, s) => sum + (s.participants[0]?.lapsCompleted || 0), 0),
+      totalIncidents: sessions.reduce((sum, s) => sum + (s.participants[0]?.incidents || 0), 0),
+    };
+
+    // Format response
+    const formattedSessions = sessions.map(session => ({
+      sessionId: session.sessionId,
+      sessionType: session.sessionType,
+      trackName: session.trackName,
+      carName: session.carName,
+      startTime: session.startTime,
+      participant: session.participants[0] ? {
+        lapsCompleted: session.participants[0].lapsCompleted,
+        bestLapTime: session.participants[0].bestLapTime,
+        incidents: session.participants[0].incidents,
+        finishPosition: session.participants[0].finishPosition,
+        startingPosition: session.participants[0].startingPosition,
+        disqualified: session.participants[0].disqualified,
+        penaltyLabel: session.participants[0].penaltyLabel,
+      } : null,
+    }));
+
+    return res.json({
+      sessions: formattedSessions,
+      statistics: raceStats,
+      tracks: tracks.sort(),
+      fastestLapsByTrack,
+      total: formattedSessions.length,
+    });
+  } catch (err) {
+    console.error('Get league sessions error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// -------- Get User's iRacing Sessions --------
+// Get synced sessions for the current user
+// SECURITY: Requires authentication, filters by req.auth.userId via account lookup - users can only see their own sessions
+app.get('/api/iracing/sessions', requireAuth, async (req, res) => {
+  try {
+    const account = await prisma.iracingAccount.findUnique({
+      where: { userId: req.auth.userId },
+      select: { custId: true },
+    });
+
+    if (!account) {
+      return res.status(404).json({ 
+        message: 'iRacing account not connected.' 
+      });
+    }
+
+    // Get sessions where user participated
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+
+    const rawSessions = await prisma.iracingSession.findMany({
+      where: {
+        participants: {
+          some: {
+            custId: account.custId,
+          },
+        },
+      },
+      include: {
+        participants: true, // Whole field, for the official (post-penalty) classification
+        adjustments: true,
+      },
+      orderBy: {
+        startTime: 'desc',
+      },
+      take: limit,
+      skip: offset,
+    });
+    // Only keep the current user's participation record
+    const sessions = withOfficialResults(rawSessions).map(session => ({
+      ...session,
+      participants: session.participants.filter(p => p.custId === account.custId),
+    }));
+
+    // Format response
+    // PRIVACY: Do NOT include participant displayName - only show stats for authenticated user's own participation
+    const formattedSessions = sessions.map(session => ({
+      sessionId: session.sessionId,
+      sessionType: session.sessionType,
+      leagueId: session.leagueId,
+      leagueName: session.leagueName,
+      trackName: session.trackName,
+      carName: session.carName,
+      startTime: session.startTime,
+      participant: session.participants[0] ? {
+        // Only include stats, NOT displayName or any identifying information
+        lapsCompleted: session.participants[0].lapsCompleted,
+        bestLapTime: session.participants[0].bestLapTime,
+        incidents: session.participants[0].incidents,
+        finishPosition: session.participants[0].finishPosition,
+        disqualified: session.participants[0].disqualified,
+        penaltyLabel: session.participants[0].penaltyLabel,
+      } : null,
+    }));
+
+    return res.json({
+      sessions: formattedSessions,
+      total: formattedSessions.length,
+      limit,
+      offset,
+    });
+  } catch (err) {
+    console.error('Get iRacing sessions error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// -------- Sync iRacing League Schedule --------
+// Sync league schedule from iRacing API to calendar events
+// SECURITY: Requires authentication, uses authenticated user's iRacing account
+app.post('/api/iracing/sync-league-schedule', requireAuth, async (req, res) => {
+  try {
+    const { leagueId, seasonId } = req.body;
+    
+    if (!leagueId) {
+      return res.status(400).json({ 
+        message: 'leagueId is required.' 
+      });
+    }
+    
+    // Get user's iRacing account
+    const account = await prisma.iracingAccount.findUnique({
+      where: { userId: req.auth.userId },
+    });
+    
+    if (!account) {
+      return res.status(404).json({ 
+        message: 'iRacing account not connected. Please connect your iRacing account first.' 
+      });
+    }
+    
+    // Get valid access token
+    let accessToken;
+    try {
+      accessToken = await getValidIracingToken(req.auth.userId);
+    } catch (err) {
+      return res.status(401).json({ 
+        message: 'Failed to get valid access token. Please reconnect your iRacing account.',
+        error: err.message,
+      });
+    }
+    
+    // Fetch league schedule as calendar events
+    let calendarEvents;
+    try {
+      calendarEvents = await iracingLeagueSchedule.fetchLeagueScheduleAsCalendarEvents(
+        accessToken,
+        parseInt(leagueId),
+        seasonId ? parseInt(seasonId) : null
+      );
+    } catch (err) {
+      console.error('Failed to fetch league schedule:', err);
+      return res.status(500).json({ 
+        message: 'Failed to fetch league schedule from iRacing API.',
+        error: err.message,
+      });
+    }
+    
+    // Sync calendar events (update existing or create new)
+    let syncedCount = 0;
+    let updatedCount = 0;
+    let createdCount = 0;
+    
+    const toInt = (value) =>
+      value === null || value === undefined || value === '' ? null : parseInt(value, 10);
+
+    for (const event of calendarEvents) {
+      const metadata = event.iracingMetadata || {};
+      const iracingSessionId = toInt(metadata.sessionId);
+      const iracingSubsessionId = toInt(metadata.subsessionId);
+
+      if (!iracingSessionId && !iracingSubsessionId) {
+        console.warn('Skipping event without unique identifier:', event);
+        continue;
+      }
+
+      // Subsession ID is only assigned once the session has run, so don't clear a stored one
+      const iracingFields = {
+        iracingLeagueId: toInt(metadata.leagueId),
+        iracingSeasonId: toInt(metadata.seasonId),
+        raceWeekNum: toInt(metadata.raceWeekNum),
+        ...(iracingSessionId && { iracingSessionId }),
+        ...(iracingSubsessionId && { iracingSubsessionId }),
+      };
+
+      // Match on the iRacing session/subsession ID columns (unique per calendar event)
+      const existingEvent = await prisma.calendarEvent.findFirst({
+        where: {
+          OR: [
+            ...(iracingSessionId ? [{ iracingSessionId }] : []),
+            ...(iracingSubsessionId ? [{ iracingSubsessionId }] : []),
+          ],
+        },
+      });
+      
+      if (existingEvent) {
+        // Update existing event
+        await prisma.calendarEvent.update({
+          where: { id: existingEvent.id },
+          data: {
+            title: event.title,
+            description: event.description || null,
+            eventDate: new Date(event.eventDate),
+            eventType: event.eventType,
+            track: event.track,
+            carClass: event.carClass,
+            status: event.status,
+            isActive: true,
+            ...iracingFields,
+            updatedAt: new Date(),
+          },
+        });
+        updatedCount++;
+      } else {
+        // Create new event
+        await prisma.calendarEvent.create({
+          data: {
+            title: event.title,
+            description: event.description || null,
+            eventDate: new Date(event.eventDate),
+            eventType: event.eventType,
+            track: event.track,
+            carClass: event.carClass,
+            status: event.status,
+            isActive: true,
+            ...iracingFields,
+            createdBy: req.auth.userId,
+          },
+        });
+        createdCount++;
+      }
+      syncedCount++;
+    }
+    
+    return res.json({
+      message: 'League schedule synced successfully.',
+      synced: syncedCount,
+      created: createdCount,
+      updated: updatedCount,
+    });
+  } catch (err) {
+    console.error('Sync league schedule error:', err);
+    return res.status(500).json({ 
+      message: 'Server error syncing league schedule.',
+      error: err.message 
+    });
+  }
+});
+
+// -------- Get iRacing League Schedule --------
+// Get league schedule for display (public endpoint, returns synced calendar events)
+app.get('/api/iracing/league-schedule', async (req, res) => {
+  try {
+    const leagueId = req.query.leagueId ? parseInt(req.query.leagueId, 10) : null;
+    const seasonId = req.query.seasonId ? parseInt(req.query.seasonId, 10) : null;
+    if ((req.query.leagueId && isNaN(leagueId)) || (req.query.seasonId && isNaN(seasonId))) {
+      return res.status(400).json({ message: 'Invalid league or season ID.' });
+    }
+
+    // Get calendar events that came from the iRacing league schedule
+    const events = await prisma.calendarEvent.findMany({
+      where: {
+        isActive: true,
+        OR: [{ iracingSessionId: { not: null } }, { iracingSubsessionId: { not: null } }],
+        ...(leagueId !== null && { iracingLeagueId: leagueId }),
+        ...(seasonId !== null && { iracingSeasonId: seasonId }),
+      },
+      orderBy: {
+        eventDate: 'asc',
+      },
+    });
+    
+    const schedule = events.map(event => ({
+      id: event.id,
+      title: event.title,
+      description: event.description,
+      eventDate: event.eventDate,
+      eventType: event.eventType,
+      track: event.track,
+      carClass: event.carClass,
+      status: event.status,
+      iracing: {
+        sessionId: event.iracingSessionId,
+        subsessionId: event.iracingSubsessionId,
+        leagueId: event.iracingLeagueId,
+        seasonId: event.iracingSeasonId,
+        raceWeekNum: event.raceWeekNum,
+      },
+    }));
+    
+    return res.json({
+      schedule: schedule,
+      total: schedule.length,
+    });
+  } catch (err) {
+    console.error('Get league schedule error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// ---------------------- League Standings ----------------------
+/**
+ * Get the league points system (LEAGUE_POINTS_SYSTEM env var as JSON, merged over the defaults)
+ * @returns {Object} Resolved points system
+ */
+function getLeaguePointsSystem() {
+  try {
+    return pointsEngine.resolvePointsSystem(process.env.LEAGUE_POINTS_SYSTEM || null);
+  } catch (err) {
+    console.error('Invalid LEAGUE_POINTS_SYSTEM, using defaults:', err.message);
+    return pointsEngine.resolvePointsSystem(null);
+  }
+}
+
+/**
+ * Replace each session's raw participants with its official classification
+ * @param {Array} sessions - IracingSession rows including participants and adjustments
+ * @returns {Array} Sessions whose participants carry official positions and penalty labels
+ */
+function withOfficialResults(sessions) {
+  return sessions.map(({ adjustments, ...session }) => ({
+    ...session,
+    participants: resultAdjustments.applyAdjustments(session.participants, adjustments || []),
+  }));
+}
+
+/**
+ * Load finished league race sessions with their official classification
+ * @param {number} leagueId - iRacing league ID
+ * @param {number|null} seasonId - iRacing season ID (all seasons if null)
+ * @returns {Promise<Array>} Race sessions
+ */
+async function loadLeagueRaces(leagueId, seasonId = null) {
+  const sessions = await prisma.iracingSession.findMany({
+    where: {
+      leagueId,
+      sessionType: 'race',
+      startTime: { lte: new Date() },
+      ...(seasonId !== null && { seasonId }),
+    },
+    include: { participants: true, adjustments: true },
+    orderBy: { startTime: 'asc' },
+  });
+  return withOfficialResults(sessions);
+}
+
+/**
+ * Map iRacing customer IDs to linked site drivers
+ * PRIVACY: Only drivers who linked a site account are identified; everyone else stays anonymous
+ * @param {Array<number>} custIds - iRacing customer IDs
+ * @returns {Promise<Map>} custId -> { driverKey, displayName, number, avatar }
+ */
+async function loadLinkedDrivers(custIds) {
+  const accounts = await prisma.iracingAccount.findMany({
+    where: { custId: { in: custIds } },
+    select: {
+      custId: true,
+      user: {
+        select: {
+          driver: {
+            select: { driverKey: true, displayName: true, number: true, avatar: true },
+          },
+        },
+      },
+    },
+  });
+
+  const linked = new Map();
+  accounts.forEach((a) => {
+    if (a.user && a.user.driver) linked.set(a.custId, a.user.driver);
+  });
+  return linked;
+}
+
+/**
+ * Get the points system for a season (its own pointsSystem JSON, else the league default)
+ * @param {Object} season - Season row
+ * @returns {Object} Resolved points system
+ */
+function getSeasonPointsSystem(season) {
+  if (!season || !season.pointsSystem) return getLeaguePointsSystem();
+  try {
+    return pointsEngine.resolvePointsSystem(season.pointsSystem);
+  } catch (err) {
+    console.error(`Invalid points system for season ${season.id}, using league default:`, err.message);
+    return getLeaguePointsSystem();
+  }
+}
+
+/**
+ * Load the finished race sessions that count towards a season
+ * A season's races are the sessions linked to its rounds plus every league race in its
+ * iRacing season. Seasons with neither fall back to league races inside the season's dates.
+ * @param {Object} season - Season row including rounds
+ * @returns {Promise<Array>} Race sessions with their official classification
+ */
+async function loadSeasonRaces(season) {
+  const leagueId =
+    season.iracingLeagueId || parseInt(process.env.IRACING_LEAGUE_ID || '13015', 10);
+  const roundSessionIds = (season.rounds || []).map((r) => r.sessionId).filter(Boolean);
+
+  const sources = [];
+  if (roundSessionIds.length > 0) {
+    sources.push({ sessionId: { in: roundSessionIds } });
+  }
+  if (season.iracingSeasonId !== null && season.iracingSeasonId !== undefined) {
+    sources.push({ leagueId, seasonId: season.iracingSeasonId });
+  } else if (roundSessionIds.length === 0 && season.startDate) {
+    sources.push({
+      leagueId,
+      startTime: {
+        gte: season.startDate,
+        ...(season.endDate && { lte: season.endDate }),
+      },
+    });
+  }
+  if (sources.length === 0) return [];
+
+  const sessions = await prisma.iracingSession.findMany({
+    where: {
+      sessionType: 'race',
+      startTime: { lte: new Date() },
+      OR: sources,
+    },
+    include: { participants: true, adjustments: true },
+    orderBy: { startTime: 'asc' },
+  });
+  return withOfficialResults(sessions);
+}
+
+/**
+ * Find a season by ID, or "current" (latest active season, else the latest season)
+ * @param {string} idParam - Season ID or "current"
+ * @returns {Promise<Object|null>} Season including rounds, or null if not found
+ */
+async function findSeason(idParam) {
+  const include = { rounds: { orderBy: { roundNumber: 'asc' } } };
+
+  if (idParam === 'current') {
+    const active = await prisma.season.findFirst({
+      where: { status: 'active' },
+      orderBy: [{ startDate: 'desc' }, { id: 'desc' }],
+      include,
+    });
+    if (active) return active;
+    return prisma.season.findFirst({
+      orderBy: [{ startDate: 'desc' }, { id: 'desc' }],
+      include,
+    });
+  }
+
+  const id = parseInt(idParam, 10);
+  if (isNaN(id)) return null;
+  return prisma.season.findUnique({ where: { id }, include });
+}
+
+/**
+ * Compute standings for a season using its points system and drop rounds
+ * @param {Object} season - Season row including rounds
+ * @returns {Promise<Object>} { races, pointsSystem, standings }
+ */
+async function computeSeasonStandings(season) {
+  const pointsSystem = getSeasonPointsSystem(season);
+  const races = await loadSeasonRaces(season);
+  const standings = pointsEngine.computeStandings(races, pointsSystem, {
+    dropRounds: season.dropRounds,
+  });
+  return { races, pointsSystem, standings };
+}
+
+/**
+ * Championships won per driver; only seasons marked completed award one
+ * @returns {Promise<Map>} custId -> number of championships
+ */
+async function loadChampionshipCounts() {
+  const completedSeasons = await prisma.season.findMany({
+    where: { status: 'completed' },
+    include: { rounds: true },
+  });
+
+  const counts = new Map();
+  for (const season of completedSeasons) {
+    const { standings } = await computeSeasonStandings(season);
+    const champion = standings[0];
+    if (champion) counts.set(champion.custId, (counts.get(champion.custId) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Shape a season for the public API
+ * @param {Object} season - Season row
+ * @returns {Object} Public season summary
+ */
+function formatSeason(season) {
+  return {
+    id: season.id,
+    name: season.name,
+    startDate: season.startDate,
+    endDate: season.endDate,
+    carClass: season.carClass,
+    dropRounds: season.dropRounds,
+    status: season.status,
+    iracingSeasonId: season.iracingSeasonId,
+  };
+}
+
+// -------- Seasons (public) --------
+app.get('/api/seasons', async (req, res) => {
+  try {
+    const seasons = await prisma.season.findMany({
+      orderBy: [{ startDate: 'desc' }, { id: 'desc' }],
+      include: { _count: { select: { rounds: true } } },
+    });
+
+    return res.json(
+      seasons.map((season) => ({
+        ...formatSeason(season),
+        rounds: season._count.rounds,
+      }))
+    );
+  } catch (err) {
+    console.error('Get seasons error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// :id is a season ID, or "current"
+app.get('/api/seasons/:id', async (req, res) => {
+  try {
+    const season = await findSeason(req.params.id);
+    if (!season) {
+      return res.status(404).json({ message: 'Season not found.' });
+    }
+
+    const rounds = await prisma.round.findMany({
+      where: { seasonId: season.id },
+      orderBy: { roundNumber: 'asc' },
+      include: {
+        calendarEvent: {
+          select: { id: true, title: true, eventDate: true, track: true, status: true },
+        },
+        session: {
+          select: {
+            sessionId: true,
+            subSessionId: true,
+            startTime: true,
+            trackName: true,
+            carName: true,
+            _count: { select: { participants: true } },
+          },
+        },
+        gridPenalties: {
+          where: { type: 'grid_penalty' },
+          select: { custId: true, value: true, reason: true },
+        },
+      },
+    });
+
+    // PRIVACY: Penalised drivers are only identified if they linked a site account
+    const linked = await loadLinkedDrivers(
+      rounds.flatMap((round) => round.gridPenalties.map((p) => p.custId))
+    );
+
+    return res.json({
+      ...formatSeason(season),
+      pointsSystem: getSeasonPointsSystem(season),
+      rounds: rounds.map((round) => ({
+        id: round.id,
+        roundNumber: round.roundNumber,
+        name: round.name,
+        track: round.track,
+        raceDate: round.raceDate,
+        status: round.status,
+        calendarEvent: round.calendarEvent,
+        session: round.session
+          ? {
+              sessionId: round.session.sessionId,
+              subSessionId: round.session.subSessionId,
+              startTime: round.session.startTime,
+              trackName: round.session.trackName,
+              carName: round.session.carName,
+              participants: round.session._count.participants,
+            }
+          : null,
+        gridPenalties: round.gridPenalties.map((penalty) => {
+          const driver = linked.get(penalty.custId);
+          return {
+            driver: driver ? { driverKey: driver.driverKey, displayName: driver.displayName } : null,
+            places: penalty.value,
+            reason: penalty.reason,
+          };
+        }),
+      })),
+    });
+  } catch (err) {
+    console.error('Get season error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// -------- Season Standings (public) --------
+// :id is a season ID, or "current" for the active season
+app.get('/api/season/:id/standings', async (req, res) => {
+  try {
+    const season = await findSeason(req.params.id);
+    if (!season) {
+      if (req.params.id === 'current') {
+        return res.json({ season: null, races: 0, standings: [] });
+      }
+      return res.status(404).json({ message: 'Season not found.' });
+    }
+
+    const { races, pointsSystem, standings } = await computeSeasonStandings(season);
+    const linked = await loadLinkedDrivers(standings.map((row) => row.custId));
+
+    // PRIVACY: Never expose raw iRacing display names or custIds in this public endpoint
+    const formatted = standings.map((row) => {
+      const driver = linked.get(row.custId);
+      return {
+        position: row.position,
+        driver: driver
+          ? {
+              driverKey: driver.driverKey,
+              displayName: driver.displayName,
+              number: driver.number,
+              avatar: driver.avatar,
+            }
+          : null,
+        points: row.points,
+        totalPoints: row.totalPoints,
+        droppedPoints: row.droppedPoints,
+        starts: row.starts,
+        wins: row.wins,
+        podiums: row.podiums,
+        poles: row.poles,
+        fastestLaps: row.fastestLaps,
+        dnfs: row.dnfs,
+        disqualifications: row.disqualifications,
+        averageFinish: row.averageFinish,
+        bestFinish: row.bestFinish,
+        gapToLeader: row.gapToLeader,
+        gapToNext: row.gapToNext,
+        results: row.results.map((result) => ({
+          sessionId: result.sessionId,
+          startTime: result.startTime,
+          trackName: result.trackName,
+          finishPosition: result.finishPosition,
+          finish: resultAdjustments.formatFinish(result),
+          penaltyLabel: result.penaltyLabel,
+          points: result.points,
+          dropped: result.dropped,
+        })),
+      };
+    });
+
+    res.set('Cache-Control', 'no-store');
+    return res.json({
+      season: formatSeason(season),
+      races: races.length,
+      pointsSystem,
+      standings: formatted,
+    });
+  } catch (err) {
+    console.error('Get season standings error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// ---------------------- Race Pages (public) ----------------------
+// Data for /race/:id. Only league races are public, and only drivers who linked a site account
+// are identified; everyone else is an anonymous "Unlinked driver" (no custId or iRacing name).
+
+/**
+ * Load a public league race with participants, adjustments and its championship round
+ * @param {string} sessionId - IracingSession.sessionId
+ * @param {Object} include - Extra relations to load
+ * @returns {Promise<Object|null>} Session, or null if it isn't a public league race
+ */
+async function loadPublicRace(sessionId, include = {}) {
+  const session = await prisma.iracingSession.findUnique({
+    where: { sessionId },
+    include: {
+      participants: true,
+      adjustments: true,
+      round: {
+        select: {
+          id: true,
+          roundNumber: true,
+          name: true,
+          season: { select: { id: true, name: true, pointsSystem: true } },
+        },
+      },
+      ...include,
+    },
+  });
+  if (!session || session.sessionType !== 'race' || (!session.leagueId && !session.round)) {
+    return null;
+  }
+  return session;
+}
+
+/**
+ * Public race header (track, car, date, league and championship round)
+ * @param {Object} session - Session from loadPublicRace
+ * @returns {Object} Race summary
+ */
+function formatPublicRace(session) {
+  return {
+    sessionId: session.sessionId,
+    trackName: session.trackName,
+    carName: session.carName,
+    leagueName: session.leagueName,
+    startTime: session.startTime,
+    round: session.round
+      ? {
+          id: session.round.id,
+          roundNumber: session.round.roundNumber,
+          name: session.round.name,
+          season: { id: session.round.season.id, name: session.round.season.name },
+        }
+      : null,
+  };
+}
+
+/**
+ * Public profile of a linked driver
+ * @param {Object|undefined} profile - Entry from loadLinkedDrivers
+ * @returns {Object|null} { driverKey, displayName, number, avatar }, or null if unlinked
+ */
+function publicDriver(profile) {
+  return profile
+    ? {
+        driverKey: profile.driverKey,
+        displayName: profile.displayName,
+        number: profile.number,
+        avatar: profile.avatar,
+      }
+    : null;
+}
+
+// Full official classification of a league race, with the points each driver scored
+app.get('/api/races/:sessionId', async (req, res) => {
+  try {
+    const session = await loadPublicRace(req.params.sessionId, {
+      _count: { select: { laps: true } },
+    });
+    if (!session) {
+      return res.status(404).json({ message: 'Race not found.' });
+    }
+
+    const official = resultAdjustments.applyAdjustments(session.participants, session.adjustments);
+    const pointsSystem = session.round
+      ? getSeasonPointsSystem(session.round.season)
+      : getLeaguePointsSystem();
+    const scored = new Map(
+      pointsEngine.scoreRace({ participants: official }, pointsSystem).map((r) => [r.custId, r])
+    );
+    const linked = await loadLinkedDrivers(official.map((p) => p.custId));
+
+    return res.json({
+      session: formatPublicRace(session),
+      hasLaps: session._count.laps > 0,
+      pointsSystem: pointsSystem.name,
+      classification: official.map((p) => {
+        const score = scored.get(p.custId);
+        return {
+          position: p.finishPosition,
+          finish: resultAdjustments.formatFinish(p),
+          driver: publicDriver(linked.get(p.custId)),
+          carName: p.carName || session.carName,
+          startingPosition: p.startingPosition,
+          lapsCompleted: p.lapsCompleted,
+          lapsLed: p.lapsLed,
+          interval: p.interval,
+          bestLapTime: p.bestLapTime,
+          incidents: p.incidents,
+          classified: score ? score.classified : false,
+          dnf: score ? score.dnf : false,
+          disqualified: p.disqualified,
+          penaltyLabel: p.penaltyLabel,
+          fastestLap: score ? score.fastestLap : false,
+          points: score ? score.points : 0,
+          breakdown: score ? score.breakdown : null,
+        };
+      }),
+    });
+  } catch (err) {
+    console.error('Race details error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// Lap chart, position changes and lap time distribution for a league race
+app.get('/api/races/:sessionId/laps', async (req, res) => {
+  try {
+    const session = await loadPublicRace(req.params.sessionId, {
+      laps: { orderBy: [{ custId: 'asc' }, { lapNumber: 'asc' }] },
+    });
+    if (!session) {
+      return res.status(404).json({ message: 'Race not found.' });
+    }
+
+    const official = resultAdjustments.applyAdjustments(session.participants, session.adjustments);
+    const chart = lapAnalysis.buildLapChart(official, session.laps);
+    const linked = await loadLinkedDrivers(chart.drivers.map((d) => d.custId));
+
+    return res.json({
+      session: formatPublicRace(session),
+      lapCount: chart.lapCount,
+      drivers: chart.drivers.map(({ custId, ...driver }) => ({
+        driver: publicDriver(linked.get(custId)),
+        ...driver,
+      })),
+    });
+  } catch (err) {
+    console.error('Race laps error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// ---------------------- Driver Race History (public) ----------------------
+// Race history on /driver/:key, read from synced sessions through the driver's linked iRacing
+// account. Only the driver's own results are returned, never the rest of the field.
+const RACE_HISTORY_SESSION_TYPES = ['race', 'qualifying', 'practice'];
+const RACE_HISTORY_MAX_LIMIT = 50;
+const RACE_HISTORY_SESSION_INCLUDE = {
+  participants: true, // Whole field, for the official (post-penalty) classification
+  adjustments: true,
+  round: {
+    select: {
+      id: true,
+      roundNumber: true,
+      name: true,
+      season: { select: { id: true, name: true, pointsSystem: true } },
+    },
+  },
+};
+
+/**
+ * Parse race history query parameters
+ * @param {Object} query - req.query ({ type, limit, offset })
+ * @returns {Object} { data: { types, limit, offset } } or { error }
+ */
+function parseRaceHistoryQuery(query) {
+  const type = String(query.type || 'race').toLowerCase();
+  const types =
+    type === 'all' ? RACE_HISTORY_SESSION_TYPES : type.split(',').map((t) => t.trim());
+  if (types.some((t) => !RACE_HISTORY_SESSION_TYPES.includes(t))) {
+    return {
+      error: `Type must be "all" or one of: ${RACE_HISTORY_SESSION_TYPES.join(', ')}`,
+    };
+  }
+
+  const limit = query.limit === undefined ? 10 : parseInt(query.limit, 10);
+  const offset = query.offset === undefined ? 0 : parseInt(query.offset, 10);
+  if (isNaN(limit) || limit < 1 || limit > RACE_HISTORY_MAX_LIMIT) {
+    return { error: `Limit must be between 1 and ${RACE_HISTORY_MAX_LIMIT}.` };
+  }
+  if (isNaN(offset) || offset < 0) {
+    return { error: 'Offset must be zero or more.' };
+  }
+
+  return { data: { types, limit, offset } };
+}
+
+/**
+ * A driver's official result in one session
+ * Races are classified with their adjustments and scored with the season's (or league's)
+ * points system so DNFs match the standings; other sessions keep their raw positions.
+ * @param {Object} session - IracingSession including participants, adjustments and round.season
+ * @param {number} custId - Driver's iRacing customer ID
+ * @returns {Object|null} { result, score } (score is null for non-race sessions)
+ */
+function officialDriverResult(session, custId) {
+  const official = resultAdjustments.applyAdjustments(session.participants, session.adjustments);
+  const result = official.find((p) => p.custId === custId);
+  if (!result) return null;
+  if (session.sessionType !== 'race') return { result, score: null };
+
+  const pointsSystem = getSeasonPointsSystem(session.round && session.round.season);
+  const score = pointsEngine
+    .scoreRace({ participants: official }, pointsSystem)
+    .find((r) => r.custId === custId);
+  return { result, score: score || null };
+}
+
+/**
+ * Career summary over a driver's races: starts, wins, podiums, DNFs and best finish
+ * Wins and podiums only count classified finishes, as in the championship standings.
+ * @param {number} custId - Driver's iRacing customer ID
+ * @returns {Promise<Object>} { starts, wins, podiums, dnfs, bestFinish }
+ */
+async function getRaceHistorySummary(custId) {
+  const sessions = await prisma.iracingSession.findMany({
+    where: {
+      sessionType: 'race',
+      startTime: { lte: new Date() },
+      participants: { some: { custId } },
+    },
+    include: RACE_HISTORY_SESSION_INCLUDE,
+  });
+
+  const summary = { starts: 0, wins: 0, podiums: 0, dnfs: 0, bestFinish: null };
+  sessions.forEach((session) => {
+    const entry = officialDriverResult(session, custId);
+    if (!entry) return;
+    const { result, score } = entry;
+    const classified = score ? score.classified : false;
+
+    summary.starts++;
+    if (classified && result.finishPosition === 1) summary.wins++;
+    if (classified && result.finishPosition <= 3) summary.podiums++;
+    if (score && score.dnf) summary.dnfs++;
+    if (
+      result.finishPosition &&
+      !result.disqualified &&
+      (summary.bestFinish === null || result.finishPosition < summary.bestFinish)
+    ) {
+      summary.bestFinish = result.finishPosition;
+    }
+  });
+  return summary;
+}
+
+/**
+ * Shape one session of a driver's history for the public profile
+ * PRIVACY: only the driver's own stats plus the field size; no other participant is exposed
+ * @param {Object} session - IracingSession including RACE_HISTORY_SESSION_INCLUDE
+ * @param {number} custId - Driver's iRacing customer ID
+ * @returns {Object} History entry
+ */
+function formatRaceHistoryEntry(session, custId) {
+  const { result, score } = officialDriverResult(session, custId);
+  return {
+    sessionId: session.sessionId,
+    sessionType: session.sessionType,
+    trackName: session.trackName,
+    carName: result.carName || session.carName,
+    leagueName: session.leagueName,
+    startTime: session.startTime,
+    round: session.round
+      ? {
+          id: session.round.id,
+          roundNumber: session.round.roundNumber,
+          name: session.round.name,
+          season: { id: session.round.season.id, name: session.round.season.name },
+        }
+      : null,
+    // Only league races have a public race page (see loadPublicRace)
+    raceUrl:
+      session.sessionType === 'race' && (session.leagueId || session.round)
+        ? `/race/${encodeURIComponent(session.sessionId)}`
+        : null,
+    fieldSize: session.participants.length,
+    finish: result.finishPosition,
+    finishLabel: resultAdjustments.formatFinish(result),
+    startingPosition: result.startingPosition,
+    lapsCompleted: result.lapsCompleted,
+    lapsLed: result.lapsLed,
+    bestLapTime: result.bestLapTime,
+    incidents: result.incidents,
+    classified: score ? score.classified : null,
+    dnf: score ? score.dnf : false,
+    disqualified: result.disqualified,
+    penaltyLabel: result.penaltyLabel,
+  };
+}
+
+// Recent sessions and career summary for a driver profile (?driver=&type=&limit=&offset=)
+app.get('/api/recent-races', async (req, res) => {
+  try {
+    const { data: query, error } = parseRaceHistoryQuery(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const driver = await prisma.driver.findUnique({
+      where: { driverKey: normalizeUsername(String(req.query.driver || '')) },
+      select: { userId: true, driverKey: true },
+    });
+    if (!driver) {
+      return res.status(404).json({ message: 'Driver not found.' });
+    }
+
+    const account = await prisma.iracingAccount.findUnique({
+      where: { userId: driver.userId },
+      select: { custId: true },
+    });
+    if (!account) {
+      return res.json({
+        driverKey: driver.driverKey,
+        linked: false,
+        summary: { starts: 0, wins: 0, podiums: 0, dnfs: 0, bestFinish: null },
+        races: [],
+        total: 0,
+        limit: query.limit,
+        offset: query.offset,
+      });
+    }
+
+    const where = {
+      sessionType: { in: query.types },
+      startTime: { lte: new Date() },
+      participants: { some: { custId: account.custId } },
+    };
+    const [sessions, total, summary] = await Promise.all([
+      prisma.iracingSession.findMany({
+        where,
+        include: RACE_HISTORY_SESSION_INCLUDE,
+        orderBy: { startTime: 'desc' },
+        take: query.limit,
+        skip: query.offset,
+      }),
+      prisma.iracingSession.count({ where }),
+      getRaceHistorySummary(account.custId),
+    ]);
+
+    return res.json({
+      driverKey: driver.driverKey,
+      linked: true,
+      summary,
+      races: sessions.map((session) => formatRaceHistoryEntry(session, account.custId)),
+      total,
+      limit: query.limit,
+      offset: query.offset,
+    });
+  } catch (err) {
+    console.error('Recent races error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// ---------------------- Background iRacing Sync ----------------------
+// Periodically syncs sessions for every connected iRacing account so standings don't wait
+// for drivers to press sync. Configure with IRACING_SYNC_INTERVAL_MINUTES (default 30) and
+// disable with IRACING_SYNC_ENABLED=false.
+const BACKGROUND_SYNC_INTERVAL_MS =
+  Math.max(1, parseInt(process.env.IRACING_SYNC_INTERVAL_MINUTES || '30', 10) || 30) * 60 * 1000;
+const BACKGROUND_SYNC_MAX_BACKOFF_MS = 24 * 60 * 60 * 1000;
+const BACKGROUND_SYNC_ACCOUNT_DELAY_MS = 2000; // Pause between accounts to stay under rate limits
+
+const backgroundSync = {
+  enabled: process.env.IRACING_SYNC_ENABLED !== 'false' && !!IRACING_CLIENT_ID,
+  running: false,
+  currentRunId: null,
+  nextRunAt: null,
+  timer: null,
+};
+
+/**
+ * Sync one account for the background job, recording failures and backoff on the account
+ * @param {Object} account - IracingAccount row
+ * @returns {Promise<Object>} Per-account result for the job details
+ */
+async function runBackgroundSyncForAccount(account) {
+  try {
+    const refreshed = await refreshIracingTokenIfNeeded(account);
+    const sessions = await fetchSessionsForAccount(refreshed, refreshed.accessToken);
+    const { synced, errors } = await saveSyncedSessions(refreshed.accessToken, sessions);
+    await markAccountSynced(refreshed);
+    await refreshDriverRating(account.userId, refreshed.accessToken).catch((err) =>
+      console.warn(`Driver rating refresh skipped for user ${account.userId}:`, err.message)
+    );
+    return { userId: account.userId, status: 'success', sessions: synced, sessionErrors: errors.length };
+  } catch (err) {
+    // Exponential backoff: 2x, 4x, 8x... the sync interval, capped at a day
+    const failures = account.syncFailures + 1;
+    const backoffMs = Math.min(
+      BACKGROUND_SYNC_INTERVAL_MS * 2 ** failures,
+      BACKGROUND_SYNC_MAX_BACKOFF_MS
+    );
+    const nextSyncAt = new Date(Date.now() + backoffMs);
+
+    await prisma.iracingAccount.update({
+      where: { id: account.id },
+      data: {
+        syncFailures: failures,
+        lastSyncError: err.message.slice(0, 500),
+        nextSyncAt,
+      },
+    });
+
+    console.error(`Background sync failed for user ${account.userId}:`, err.message);
+    return { userId: account.userId, status: 'failed', error: err.message, nextSyncAt };
+  }
+}
+
+/**
+ * Run one background sync job across every connected iRacing account
+ * @param {Object} options - { trigger: 'schedule' | 'manual', triggeredBy: admin user ID }
+ * @returns {Promise<Object|null>} The finished SyncJobRun, or null if a job was already running
+ */
+async function runBackgroundSync({ trigger = 'schedule', triggeredBy = null } = {}) {
+  if (backgroundSync.running) return null;
+  backgroundSync.running = true;
+
+  let run = null;
+  try {
+    run = await prisma.syncJobRun.create({
+      data: { trigger, triggeredBy, status: 'running' },
+    });
+    backgroundSync.currentRunId = run.id;
+
+    const accounts = await prisma.iracingAccount.findMany({ orderBy: { lastSyncedAt: 'asc' } });
+    const now = new Date();
+    const results = [];
+    let sessionsSynced = 0;
+    let skipped = 0;
+
+    for (const account of accounts) {
+      if (account.nextSyncAt && account.nextSyncAt > now) {
+        skipped++;
+        results.push({ userId: account.userId, status: 'skipped', nextSyncAt: account.nextSyncAt });
+        continue;
+      }
+
+      const result = await runBackgroundSyncForAccount(account);
+      if (result.status === 'success') sessionsSynced += result.sessions;
+      results.push(result);
+
+      await new Promise((resolve) => setTimeout(resolve, BACKGROUND_SYNC_ACCOUNT_DELAY_MS));
+    }
+
+    const synced = results.filter((r) => r.status === 'success').length;
+    const failed = results.filter((r) => r.status === 'failed').length;
+
+    if (synced > 0) {
+      scheduleDriverStatsRecompute();
+    }
+
+    run = await prisma.syncJobRun.update({
+      where: { id: run.id },
+      data: {
+        status: failed === 0 ? 'success' : synced > 0 ? 'partial' : 'failed',
+        finishedAt: new Date(),
+        accountsTotal: accounts.length,
+        accountsSynced: synced,
+        accountsFailed: failed,
+        accountsSkipped: skipped,
+        sessionsSynced,
+        details: JSON.stringify(results),
+      },
+    });
+
+    console.log(
+      `Background iRacing sync #${run.id}: ${synced} synced, ${failed} failed, ${skipped} backing off, ${sessionsSynced} session(s)`
+    );
+    return run;
+  } catch (err) {
+    console.error('Background iRacing sync error:', err);
+    if (run) {
+      run = await prisma.syncJobRun
+        .update({
+          where: { id: run.id },
+          data: { status: 'failed', finishedAt: new Date(), error: err.message },
+        })
+        .catch(() => run);
+    }
+    return run;
+  } finally {
+    backgroundSync.running = false;
+    backgroundSync.currentRunId = null;
+  }
+}
+
+/**
+ * Start the background sync timer (first run one minute after startup)
+ */
+async function startBackgroundSync() {
+  // Runs left "running" by a previous process never finished
+  await prisma.syncJobRun
+    .updateMany({
+      where: { status: 'running' },
+      data: { status: 'failed', finishedAt: new Date(), error: 'Server restarted during sync.' },
+    })
+    .catch((err) => console.error('Failed to clean up interrupted sync jobs:', err.message));
+
+  if (!backgroundSync.enabled) {
+    console.log('Background iRacing sync disabled');
+    return;
+  }
+
+  const schedule = (delayMs) => {
+    backgroundSync.nextRunAt = new Date(Date.now() + delayMs);
+    backgroundSync.timer = setTimeout(async () => {
+      await runBackgroundSync({ trigger: 'schedule' });
+      schedule(BACKGROUND_SYNC_INTERVAL_MS);
+    }, delayMs);
+  };
+
+  schedule(60 * 1000);
+  console.log(
+    `Background iRacing sync every ${BACKGROUND_SYNC_INTERVAL_MS / 60000} minute(s)`
+  );
+}
+
+// -------- Admin: Background sync status/history --------
+app.get('/api/admin/sync-jobs', requirePermission('sync:manage'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '20', 10) || 20, 100);
+
+    const [runs, accounts] = await Promise.all([
+      prisma.syncJobRun.findMany({
+        orderBy: { startedAt: 'desc' },
+        take: limit,
+      }),
+      prisma.iracingAccount.findMany({
+        orderBy: { lastSyncedAt: 'desc' },
+        select: {
+          userId: true,
+          lastSyncedAt: true,
+          syncFailures: true,
+          lastSyncError: true,
+          nextSyncAt: true,
+          user: { select: { username: true, driver: { select: { driverKey: true } } } },
+        },
+      }),
+    ]);
+
+    return res.json({
+      scheduler: {
+        enabled: backgroundSync.enabled,
+        intervalMinutes: BACKGROUND_SYNC_INTERVAL_MS / 60000,
+        running: backgroundSync.running,
+        currentRunId: backgroundSync.currentRunId,
+        nextRunAt: backgroundSync.enabled ? backgroundSync.nextRunAt : null,
+      },
+      runs: runs.map((run) => ({
+        ...run,
+        details: run.details ? JSON.parse(run.details) : [],
+      })),
+      accounts: accounts.map((a) => ({
+        userId: a.userId,
+        username: a.user ? a.user.username : null,
+        driverKey: a.user && a.user.driver ? a.user.driver.driverKey : null,
+        lastSyncedAt: a.lastSyncedAt,
+        syncFailures: a.syncFailures,
+        lastSyncError: a.lastSyncError,
+        nextSyncAt: a.nextSyncAt,
+      })),
+    });
+  } catch (err) {
+    console.error('Get sync jobs error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// Trigger a background sync now (runs asynchronously; poll GET /api/admin/sync-jobs)
+app.post('/api/admin/sync-jobs/run', requirePermission('sync:manage'), async (req, res) => {
+  try {
+    if (backgroundSync.running) {
+      return res.status(409).json({ message: 'A sync job is already running.' });
+    }
+
+    runBackgroundSync({ trigger: 'manual', triggeredBy: req.auth.userId });
+    await recordAudit(req, { action: 'sync.run' });
+    return res.status(202).json({ message: 'Sync job started.' });
+  } catch (err) {
+    console.error('Start sync job error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// Clear an account's backoff so the next run syncs it again
+app.post('/api/admin/sync-jobs/accounts/:userId/reset', requirePermission('sync:manage'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const backoff = { syncFailures: true, lastSyncError: true, nextSyncAt: true };
+    const before = await prisma.iracingAccount.findUnique({ where: { userId }, select: backoff });
+    const after = await prisma.iracingAccount.update({
+      where: { userId },
+      data: { syncFailures: 0, lastSyncError: null, nextSyncAt: null },
+      select: backoff,
+    });
+    await recordAudit(req, {
+      action: 'sync.reset',
+      targetType: 'user',
+      targetId: userId,
+      before,
+      after,
+    });
+    return res.json({ message: 'Sync backoff cleared.' });
+  } catch (err) {
+    console.error('Reset sync backoff error:', err);
+    if (err.code === 'P2025') {
+      return res.status(404).json({ message: 'iRacing account not found.' });
+    }
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// ---------------------- Admin: Race Results Import ----------------------
+// Admins paste a subsession ID, preview the classification, then publish it.
+// Previews are held in memory until published (or they expire).
+const pendingResultImports = new Map(); // importId -> { results, roundId, createdBy, expiresAt }
+const RESULT_IMPORT_TTL_MS = 30 * 60 * 1000;
+
+/**
+ * Get an iRacing token for league imports: the admin's own linked account, falling back to
+ * the league admin account configured with IRACING_LEAGUE_ADMIN_USER_ID
+ * @param {number} userId - Admin user ID
+ * @returns {Promise<string>} Valid access token
+ */
+async function getLeagueAdminIracingToken(userId) {
+  try {
+    return await getValidIracingToken(userId);
+  } catch (err) {
+    const fallbackUserId = parseInt(process.env.IRACING_LEAGUE_ADMIN_USER_ID || '', 10);
+    if (!fallbackUserId || fallbackUserId === userId) throw err;
+    return getValidIracingToken(fallbackUserId);
+  }
+}
+
+/**
+ * Find the championship round an imported race belongs to, via the calendar event synced
+ * from the league schedule or a round already linked to the session
+ * @param {Object} results - getSessionResults output
+ * @returns {Promise<Object|null>} Round including season
+ */
+async function findRoundForResults(results) {
+  const subSessionId = parseInt(results.subSessionId || results.sessionId, 10);
+  const leagueSessionId = results.leagueSessionId ? parseInt(results.leagueSessionId, 10) : null;
+
+  const event = await prisma.calendarEvent.findFirst({
+    where: {
+      OR: [
+        { iracingSubsessionId: subSessionId },
+        ...(leagueSessionId ? [{ iracingSessionId: leagueSessionId }] : []),
+      ],
+    },
+    include: { round: { include: { season: true } } },
+  });
+  if (event && event.round) return event.round;
+
+  return prisma.round.findUnique({
+    where: { sessionId: String(subSessionId) },
+    include: { season: true },
+  });
+}
+
+// Fetch a race from iRacing and preview its classification (nothing is saved yet)
+app.post('/api/admin/results/import/preview', requirePermission('results:publish'), async (req, res) => {
+  try {
+    const subsessionId = parseInt(req.body.subsessionId, 10);
+    if (!subsessionId || subsessionId < 1) {
+      return res.status(400).json({ message: 'A valid subsession ID is required.' });
+    }
+
+    let accessToken;
+    try {
+      accessToken = await getLeagueAdminIracingToken(req.auth.userId);
+    } catch (err) {
+      return res.status(400).json({
+        message: 'No iRacing account available for imports. Connect your iRacing account first.',
+        error: err.message,
+      });
+    }
+
+    let results;
+    try {
+      results = await iracingSync.getSessionResults(accessToken, subsessionId, subsessionId);
+    } catch (err) {
+      console.error('Import results fetch error:', err);
+      return res.status(502).json({
+        message: 'Failed to fetch results from iRacing API.',
+        error: err.message,
+      });
+    }
+
+    let round = null;
+    if (req.body.roundId) {
+      const roundId = parseInt(req.body.roundId, 10);
+      if (isNaN(roundId)) {
+        return res.status(400).json({ message: 'Invalid round ID.' });
+      }
+      round = await prisma.round.findUnique({
+        where: { id: roundId },
+        include: { season: true },
+      });
+      if (!round) {
+        return res.status(404).json({ message: 'Round not found.' });
+      }
+    } else {
+      round = await findRoundForResults(results);
+    }
+
+    const participants = (results.participants || []).map((p) =>
+      iracingSync.normalizeParticipant(p)
+    );
+    const pointsSystem = round ? getSeasonPointsSystem(round.season) : getLeaguePointsSystem();
+    const scored = pointsEngine.scoreRace({ participants }, pointsSystem);
+    const linked = await loadLinkedDrivers(participants.map((p) => p.custId));
+    const displayNames = new Map(participants.map((p) => [p.custId, p.displayName]));
+
+    const existing = await prisma.iracingSession.findUnique({
+      where: { sessionId: String(results.subSessionId || subsessionId) },
+      select: { sessionId: true },
+    });
+
+    // Drop expired previews while we're here
+    const now = Date.now();
+    for (const [id, pending] of pendingResultImports.entries()) {
+      if (pending.expiresAt < now) pendingResultImports.delete(id);
+    }
+
+    const importId = crypto.randomBytes(16).toString('hex');
+    const expiresAt = now + RESULT_IMPORT_TTL_MS;
+    pendingResultImports.set(importId, {
+      results,
+      roundId: round ? round.id : null,
+      createdBy: req.auth.userId,
+      expiresAt,
+    });
+
+    // Admin-only view: iRacing display names are shown so results can be checked before publishing
+    return res.json({
+      importId,
+      expiresAt: new Date(expiresAt),
+      alreadyImported: !!existing,
+      session: {
+        subsessionId: results.subSessionId || subsessionId,
+        trackName: results.trackName,
+        carName: results.carName,
+        startTime: results.startTime,
+        leagueId: results.leagueId,
+        leagueName: results.leagueName,
+        seasonId: results.seasonId,
+      },
+      round: round
+        ? {
+            id: round.id,
+            roundNumber: round.roundNumber,
+            name: round.name,
+            season: { id: round.season.id, name: round.season.name },
+          }
+        : null,
+      classification: scored.map((row) => {
+        const driver = linked.get(row.custId);
+        return {
+          position: row.finishPosition,
+          custId: row.custId,
+          displayName: displayNames.get(row.custId),
+          driver: driver ? { driverKey: driver.driverKey, displayName: driver.displayName } : null,
+          startingPosition: row.startingPosition,
+          lapsCompleted: row.lapsCompleted,
+          lapsLed: row.lapsLed,
+          bestLapTime: row.bestLapTime,
+          incidents: row.incidents,
+          classified: row.classified,
+          points: row.points,
+          breakdown: row.breakdown,
+        };
+      }),
+    });
+  } catch (err) {
+    console.error('Import results preview error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// Publish a previewed race: upsert the session and every participant, then link the round
+app.post('/api/admin/results/import/publish', requirePermission('results:publish'), async (req, res) => {
+  try {
+    const pending = pendingResultImports.get(req.body.importId);
+    if (!pending || pending.expiresAt < Date.now()) {
+      pendingResultImports.delete(req.body.importId);
+      return res.status(410).json({ message: 'Import preview expired. Preview the race again.' });
+    }
+
+    // roundId in the body overrides the matched round (null publishes without linking)
+    let roundId = pending.roundId;
+    if (req.body.roundId !== undefined) {
+      roundId = req.body.roundId ? parseInt(req.body.roundId, 10) : null;
+      if (isNaN(roundId)) {
+        return res.status(400).json({ message: 'Invalid round ID.' });
+      }
+    }
+
+    const sessionRecord = await upsertSessionResults(pending.results, { sessionType: 'race' });
+    pendingResultImports.delete(req.body.importId);
+    await recordAudit(req, {
+      action: 'results.publish',
+      targetType: 'race_session',
+      targetId: sessionRecord.sessionId,
+      after: { participants: (pending.results.participants || []).length, roundId },
+    });
+
+    // Lap data for the race page (best effort; the import itself has already succeeded)
+    try {
+      const accessToken = await getLeagueAdminIracingToken(req.auth.userId);
+      await syncSessionLaps(accessToken, sessionRecord, { force: true });
+    } catch (err) {
+      console.warn('Import lap data skipped:', err.message);
+    }
+    scheduleDriverStatsRecompute();
+
+    let round = null;
+    if (roundId) {
+      try {
+        round = await prisma.round.update({
+          where: { id: roundId },
+          data: { sessionId: sessionRecord.sessionId, status: 'completed' },
+        });
+      } catch (err) {
+        if (err.code === 'P2002') {
+          return res.status(409).json({
+            message: 'Results saved, but this race is already linked to another round.',
+            sessionId: sessionRecord.sessionId,
+          });
+        }
+        if (err.code === 'P2025') {
+          return res.status(404).json({
+            message: 'Results saved, but the round was not found.',
+            sessionId: sessionRecord.sessionId,
+          });
+        }
+        throw err;
+      }
+    }
+
+    return res.json({
+      message: `Imported ${(pending.results.participants || []).length} result(s)${round ? ` for round ${round.roundNumber}` : ''}.`,
+      sessionId: sessionRecord.sessionId,
+      roundId: round ? round.id : null,
+    });
+  } catch (err) {
+    console.error('Import results publish error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// ---------------------- Admin: Results Editor & Upload ----------------------
+// For races the iRacing Data API can't give us (outages, exhibition races, drivers without
+// OAuth): admins create a manual race session, edit its classification or upload a results
+// CSV/JSON. Rows are keyed by iRacing custId or a site driverKey. A driverKey only resolves
+// once that driver has connected iRacing, so drivers without OAuth must be entered by custId.
+
+/**
+ * Resolve validated result rows to iRacing custIds
+ * driverKey rows use the driver's linked iRacing account; rows that can't be resolved are unmatched
+ * @param {Array} rows - Rows from resultsImport.validateResultRows
+ * @returns {Promise<Object>} { resolved, unmatched, unlinked }
+ */
+async function resolveResultDrivers(rows) {
+  const driverKeys = rows.filter((r) => r.custId === null).map((r) => r.driverKey);
+  const drivers = driverKeys.length
+    ? await prisma.driver.findMany({
+        where: { driverKey: { in: driverKeys } },
+        select: {
+          driverKey: true,
+          user: { select: { iracingAccount: { select: { custId: true, displayName: true } } } },
+        },
+      })
+    : [];
+  const accountsByKey = new Map(
+    drivers.map((d) => [d.driverKey, d.user ? d.user.iracingAccount : null])
+  );
+
+  const resolved = [];
+  const unmatched = [];
+  rows.forEach((row) => {
+    if (row.custId !== null) {
+      resolved.push(row);
+      return;
+    }
+    if (!accountsByKey.has(row.driverKey)) {
+      unmatched.push({ line: row.line, driverKey: row.driverKey, reason: 'No driver with this key' });
+      return;
+    }
+    const account = accountsByKey.get(row.driverKey);
+    if (!account) {
+      unmatched.push({
+        line: row.line,
+        driverKey: row.driverKey,
+        reason: 'Driver has not connected iRacing; enter their iRacing customer ID instead',
+      });
+      return;
     }
+    resolved.push({
+      ...row,
+      custId: account.custId,
+      displayName: row.displayName || account.displayName,
+    });
+  });
 
-    // Get user info from iRacing API
-    // PRIVACY: Only fetches displayName (iRacing username), NOT email or real names
-    let userInfo;
-    try {
-      userInfo = await iracingOAuth.getUserInfo(tokenResponse.access_token);
-    } catch (err) {
-      console.error('Failed to get user info:', err);
-      return res.redirect(`/iracing?error=${encodeURIComponent('user_info_failed')}`);
+  // Same custId given twice (e.g. once by custId, once by driverKey)
+  const seen = new Set();
+  const unique = [];
+  resolved.forEach((row) => {
+    if (seen.has(row.custId)) {
+      unmatched.push({ line: row.line, custId: row.custId, reason: 'Driver listed twice' });
+    } else {
+      seen.add(row.custId);
+      unique.push(row);
     }
+  });
 
-    // PRIVACY VERIFICATION: Ensure we're only storing displayName (iRacing username), not email or real names
-    // displayName is the iRacing username/display name that users choose themselves, not their real name
-    if (userInfo.email) {
-      console.warn('WARNING: iRacing API returned email field - this should not be stored or used');
-      // Explicitly remove email if present (shouldn't happen with our getUserInfo function)
-      delete userInfo.email;
-    }
+  const linked = await loadLinkedDrivers(unique.map((r) => r.custId));
+  const unlinked = unique
+    .filter((r) => !linked.has(r.custId))
+    .map((r) => ({ line: r.line, custId: r.custId, displayName: r.displayName }));
 
-    // Calculate expiration time
-    const expiresIn = tokenResponse.expires_in || 3600; // Default to 1 hour
-    const expiresAt = new Date(Date.now() + expiresIn * 1000);
+  return {
+    resolved: unique.map((r) => ({ ...r, driver: linked.get(r.custId) || null })),
+    unmatched: unmatched.sort((a, b) => a.line - b.line),
+    unlinked,
+  };
+}
 
-    // Verify user exists
-    const user = await prisma.user.findUnique({
-      where: { id: userId },
-      include: { driver: true },
+/**
+ * Validate, resolve and (unless previewing) save a classification for a session
+ * Replaces every participant of the session with the uploaded rows.
+ * @param {Object} req - Express request (body.preview skips saving)
+ * @param {Object} res - Express response
+ * @param {string} action - Audit log action for the save
+ * @param {Function} parse - Returns { rows, errors } (may throw on unreadable input)
+ */
+async function saveUploadedResults(req, res, action, parse) {
+  const session = await prisma.iracingSession.findUnique({
+    where: { sessionId: req.params.sessionId },
+    include: {
+      participants: { select: { custId: true, displayName: true, finishPosition: true } },
+    },
+  });
+  if (!session) {
+    return res.status(404).json({ message: 'Race session not found.' });
+  }
+
+  let parsed;
+  try {
+    parsed = parse();
+  } catch (err) {
+    return res.status(400).json({ message: err.message });
+  }
+  if (parsed.errors.length > 0) {
+    return res.status(400).json({
+      message: 'Some result rows are invalid. Fix them and try again.',
+      errors: parsed.errors,
     });
+  }
 
-    if (!user) {
-      return res.redirect('/iracing?error=user_not_found');
-    }
+  const { resolved, unmatched, unlinked } = await resolveResultDrivers(parsed.rows);
+  const report = {
+    results: resolved.map((row) => ({
+      line: row.line,
+      custId: row.custId,
+      displayName: row.displayName,
+      driver: row.driver ? { driverKey: row.driver.driverKey, displayName: row.driver.displayName } : null,
+      finishPosition: row.finishPosition,
+      startingPosition: row.startingPosition,
+      lapsCompleted: row.lapsCompleted,
+      lapsLed: row.lapsLed,
+      bestLapTime: row.bestLapTime,
+      interval: row.interval,
+      incidents: row.incidents,
+    })),
+    unmatched,
+    unlinked,
+  };
+
+  if (req.body.preview) {
+    return res.json({ preview: true, ...report });
+  }
+  if (resolved.length === 0) {
+    return res.status(400).json({ message: 'No rows could be matched to a driver.', ...report });
+  }
 
-    // Store or update iRacing account
-    // PRIVACY: Only stores displayName (iRacing username), custId, and tokens - NO email or real names
-    const existing = await prisma.iracingAccount.findUnique({
-      where: { userId: userId },
+  const previousNames = new Map(session.participants.map((p) => [p.custId, p.displayName]));
+  const totalLaps = Math.max(...resolved.map((r) => r.lapsCompleted));
+
+  await prisma.$transaction([
+    prisma.iracingSessionParticipant.deleteMany({
+      where: { sessionId: session.sessionId, custId: { notIn: resolved.map((r) => r.custId) } },
+    }),
+    ...resolved.map((row) => {
+      const fields = {
+        displayName: row.displayName || previousNames.get(row.custId) || 'Unknown',
+        finishPosition: row.finishPosition,
+        startingPosition: row.startingPosition,
+        lapsCompleted: row.lapsCompleted,
+        lapsLed: row.lapsLed,
+        bestLapTime: row.bestLapTime,
+        interval: row.interval,
+        incidents: row.incidents,
+        totalLaps,
+      };
+      return prisma.iracingSessionParticipant.upsert({
+        where: { sessionId_custId: { sessionId: session.sessionId, custId: row.custId } },
+        create: { sessionId: session.sessionId, custId: row.custId, ...fields },
+        update: fields,
+      });
+    }),
+  ]);
+  // Audit as custId -> finishing position, so the diff shows who moved
+  await recordAudit(req, {
+    action,
+    targetType: 'race_session',
+    targetId: session.sessionId,
+    before: Object.fromEntries(session.participants.map((p) => [p.custId, p.finishPosition])),
+    after: Object.fromEntries(resolved.map((r) => [r.custId, r.finishPosition])),
+  });
+  scheduleDriverStatsRecompute();
+
+  return res.json({
+    message: `Saved ${resolved.length} result(s)${unmatched.length ? `, ${unmatched.length} unmatched` : ''}.`,
+    preview: false,
+    ...report,
+  });
+}
+
+// List recent race sessions for the results editor
+app.get('/api/admin/results/sessions', requirePermission('results:publish'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 200);
+    const sessions = await prisma.iracingSession.findMany({
+      where: { sessionType: 'race' },
+      orderBy: { startTime: 'desc' },
+      take: limit,
+      select: {
+        sessionId: true,
+        trackName: true,
+        carName: true,
+        startTime: true,
+        leagueId: true,
+        _count: { select: { participants: true } },
+        round: { select: { id: true, roundNumber: true, season: { select: { name: true } } } },
+      },
     });
 
-    if (existing) {
-      // Update existing account
-      await prisma.iracingAccount.update({
-        where: { id: existing.id },
-        data: {
-          custId: userInfo.custId,
-          accessToken: tokenResponse.access_token,
-          refreshToken: tokenResponse.refresh_token,
-          expiresAt,
-          displayName: userInfo.displayName, // iRacing username only, NOT real name
-          updatedAt: new Date(),
-        },
-      });
-    } else {
-      // Create new account
-      await prisma.iracingAccount.create({
-        data: {
-          userId: userId,
-          custId: userInfo.custId,
-          accessToken: tokenResponse.access_token,
-          refreshToken: tokenResponse.refresh_token,
-          expiresAt,
-          displayName: userInfo.displayName, // iRacing username only, NOT real name
-        },
-      });
+    return res.json(
+      sessions.map((s) => ({
+        sessionId: s.sessionId,
+        trackName: s.trackName,
+        carName: s.carName,
+        startTime: s.startTime,
+        leagueId: s.leagueId,
+        manual: s.sessionId.startsWith('manual-'),
+        participants: s._count.participants,
+        round: s.round
+          ? { id: s.round.id, roundNumber: s.round.roundNumber, seasonName: s.round.season.name }
+          : null,
+      }))
+    );
+  } catch (err) {
+    console.error('Get results sessions error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// Create a manual race session (for races that can't be imported from iRacing)
+app.post('/api/admin/results/sessions', requirePermission('results:publish'), async (req, res) => {
+  try {
+    const { trackName, carName, startTime, roundId } = req.body;
+    if (!trackName || !startTime) {
+      return res.status(400).json({ message: 'Track and start time are required.' });
+    }
+    const start = new Date(startTime);
+    if (isNaN(start)) {
+      return res.status(400).json({ message: 'Invalid start time.' });
     }
 
-    // Update driver's iRacing field for backward compatibility
+    const session = await prisma.iracingSession.create({
+      data: {
+        sessionId: `manual-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+        sessionType: 'race',
+        leagueId: parseInt(req.body.leagueId || process.env.IRACING_LEAGUE_ID || '13015', 10),
+        trackName: String(trackName).trim(),
+        carName: carName ? String(carName).trim() : 'Unknown Car',
+        startTime: start,
+      },
+    });
+    await recordAudit(req, {
+      action: 'results.create_session',
+      targetType: 'race_session',
+      targetId: session.sessionId,
+      after: {
+        trackName: session.trackName,
+        carName: session.carName,
+        startTime: session.startTime,
+        roundId: roundId || null,
+      },
+    });
 
-    if (user && user.driver) {
-      await prisma.driver.update({
-        where: { id: user.driver.id },
-        data: {
-          iracing: String(userInfo.custId), // Store custId as string
-        },
-      });
+    if (roundId) {
+      try {
+        await prisma.round.update({
+          where: { id: parseInt(roundId, 10) },
+          data: { sessionId: session.sessionId, status: 'completed' },
+        });
+      } catch (err) {
+        if (err.code === 'P2025') {
+          return res.status(404).json({ message: 'Session created, but the round was not found.', session });
+        }
+        throw err;
+      }
     }
 
-    return res.redirect('/iracing?success=iracing_connected');
+    return res.json({
+      message: 'Race session created successfully.',
+      session,
+    });
   } catch (err) {
-    console.error('iRacing OAuth callback error:', err);
-    return res.redirect(`/iracing?error=${encodeURIComponent('server_error')}`);
+    console.error('Create manual session error:', err);
+    return res.status(500).json({ message: 'Server error.' });
   }
 });
 
-// -------- iRacing Session Sync --------
-// Sync league and hosted practice sessions from iRacing API
-// SECURITY: Requires authentication, filters by req.auth.userId to ensure users can only sync their own account
-app.post('/api/iracing/sync', requireAuth, async (req, res) => {
+// Get a session's classification for editing (admin view includes iRacing display names)
+app.get('/api/admin/results/sessions/:sessionId', requirePermission('results:publish'), async (req, res) => {
   try {
-    // Get user's iRacing account
-    const account = await prisma.iracingAccount.findUnique({
-      where: { userId: req.auth.userId },
+    const session = await prisma.iracingSession.findUnique({
+      where: { sessionId: req.params.sessionId },
+      include: {
+        participants: { orderBy: { finishPosition: 'asc' } },
+        round: { select: { id: true, roundNumber: true, season: { select: { name: true } } } },
+      },
     });
-
-    if (!account) {
-      return res.status(404).json({ 
-        message: 'iRacing account not connected. Please connect your iRacing account first.' 
-      });
+    if (!session) {
+      return res.status(404).json({ message: 'Race session not found.' });
     }
 
-    // Get valid access token (refresh if needed)
-    let accessToken;
-    try {
-      accessToken = await getValidIracingToken(req.auth.userId);
-    } catch (err) {
-      return res.status(401).json({ 
-        message: 'Failed to get valid access token. Please reconnect your iRacing account.',
-        error: err.message,
-      });
+    const linked = await loadLinkedDrivers(session.participants.map((p) => p.custId));
+
+    return res.json({
+      ...session,
+      participants: session.participants.map((p) => {
+        const driver = linked.get(p.custId);
+        return {
+          ...p,
+          driver: driver ? { driverKey: driver.driverKey, displayName: driver.displayName } : null,
+        };
+      }),
+    });
+  } catch (err) {
+    console.error('Get results session error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// Save the classification from the results editor (JSON rows)
+app.put('/api/admin/results/sessions/:sessionId', requirePermission('results:publish'), async (req, res) => {
+  try {
+    return await saveUploadedResults(req, res, 'results.update', () =>
+      resultsImport.validateResultRows(resultsImport.parseResultsJson(req.body.results || []))
+    );
+  } catch (err) {
+    console.error('Save results error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// Upload an iRacing results CSV export or a JSON results file for a session
+app.post('/api/admin/results/sessions/:sessionId/upload', requirePermission('results:publish'), async (req, res) => {
+  try {
+    const { format, content } = req.body;
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ message: 'Format must be "csv" or "json".' });
+    }
+    if (!content) {
+      return res.status(400).json({ message: 'File content is required.' });
     }
 
-    // Fetch user sessions from iRacing API
-    let sessions;
+    return await saveUploadedResults(req, res, 'results.upload', () =>
+      resultsImport.parseResultsUpload(format, content)
+    );
+  } catch (err) {
+    console.error('Upload results error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// ---------------------- Admin: Penalties & Adjustments ----------------------
+// Steward decisions on race results. Stored in ResultAdjustment, never on the participant rows,
+// so re-syncing or re-uploading a race keeps them; standings use the recomputed classification.
+// Open to stewards as well as admins.
+
+/**
+ * Validate adjustment input from the admin panel
+ * @param {Object} body - Request body
+ * @returns {Object} { data } or { error }
+ */
+function parseAdjustmentInput(body) {
+  const normalized = resultAdjustments.normalizeAdjustment(body.type, body.value);
+  if (normalized.error) return { error: normalized.error };
+
+  const reason = typeof body.reason === 'string' ? body.reason.trim() : '';
+  if (!reason) return { error: 'A reason is required.' };
+  if (reason.length > 1000) return { error: 'Reason must be 1000 characters or fewer.' };
+
+  let evidenceUrl = null;
+  if (body.evidenceUrl) {
     try {
-      sessions = await iracingSync.fetchUserSessions(accessToken, account.custId);
+      const url = new URL(String(body.evidenceUrl).trim());
+      if (!['http:', 'https:'].includes(url.protocol)) throw new Error('Bad protocol');
+      evidenceUrl = url.toString();
     } catch (err) {
-      console.error('Failed to fetch sessions:', err);
-      // Retry once
-      try {
-        // Refresh token and retry
-        const refreshedAccount = await refreshIracingTokenIfNeeded(account);
-        sessions = await iracingSync.fetchUserSessions(refreshedAccount.accessToken, account.custId);
-      } catch (retryErr) {
-        return res.status(500).json({ 
-          message: 'Failed to fetch sessions from iRacing API.',
-          error: retryErr.message,
-        });
-      }
+      return { error: 'Evidence link must be an http(s) URL.' };
     }
+  }
 
-    let syncedCount = 0;
-    let errorCount = 0;
-    const errors = [];
+  return { data: { type: normalized.type, value: normalized.value, reason, evidenceUrl } };
+}
 
-    // Process each session
-    for (const sessionData of sessions) {
-      try {
-        // Get detailed session results
-        let sessionResults;
-        try {
-          sessionResults = await iracingSync.getSessionResults(
-            accessToken,
-            sessionData.subsession_id || sessionData.session_id,
-            sessionData.subsession_id
-          );
-        } catch (err) {
-          console.warn(`Failed to get session results for ${sessionData.subsession_id || sessionData.session_id}:`, err.message);
-          // Continue with basic session data if detailed results fail
-          sessionResults = {
-            sessionId: String(sessionData.subsession_id || sessionData.session_id),
-            sessionType: iracingSync.normalizeSession(sessionData).sessionType,
-            trackName: sessionData.track_name || 'Unknown Track',
-            carName: sessionData.car_name || 'Unknown Car',
-            startTime: sessionData.start_time ? new Date(sessionData.start_time) : new Date(),
-            leagueId: sessionData.league_id || null,
-            leagueName: sessionData.league_name || null,
-            participants: [],
-          };
-        }
+/**
+ * Round where a grid penalty earned in this session is served (the season's next round)
+ * @param {string} sessionId - IracingSession.sessionId
+ * @returns {Promise<Object|null>} Round, or null if the race isn't a round or was the last one
+ */
+async function findNextRoundForSession(sessionId) {
+  const round = await prisma.round.findUnique({
+    where: { sessionId },
+    select: { seasonId: true, roundNumber: true },
+  });
+  if (!round) return null;
 
-        // Normalize session data
-        const normalizedSession = {
-          ...iracingSync.normalizeSession(sessionResults),
-          ...sessionResults,
-        };
+  return prisma.round.findFirst({
+    where: { seasonId: round.seasonId, roundNumber: { gt: round.roundNumber } },
+    orderBy: { roundNumber: 'asc' },
+  });
+}
 
-        // Check if session already exists
-        const existing = await prisma.iracingSession.findUnique({
-          where: { sessionId: normalizedSession.sessionId },
-        });
+/**
+ * appliesToRoundId for a new/edited adjustment (only grid penalties are served in a later round)
+ * @param {string} sessionId - IracingSession.sessionId
+ * @param {string} type - Adjustment type
+ * @returns {Promise<number|null>} Round ID, or null
+ */
+async function adjustmentRoundId(sessionId, type) {
+  if (type !== 'grid_penalty') return null;
+  const nextRound = await findNextRoundForSession(sessionId);
+  return nextRound ? nextRound.id : null;
+}
 
-        let sessionRecord;
-        if (existing) {
-          // Update existing session
-          sessionRecord = await prisma.iracingSession.update({
-            where: { sessionId: normalizedSession.sessionId },
-            data: {
-              sessionType: normalizedSession.sessionType,
-              leagueId: normalizedSession.leagueId,
-              leagueName: normalizedSession.leagueName,
-              trackName: normalizedSession.trackName,
-              carName: normalizedSession.carName,
-              startTime: normalizedSession.startTime,
-              subSessionId: normalizedSession.subSessionId,
-              seasonId: normalizedSession.seasonId,
-              updatedAt: new Date(),
-            },
-          });
-        } else {
-          // Create new session
-          sessionRecord = await prisma.iracingSession.create({
-            data: {
-              sessionId: normalizedSession.sessionId,
-              sessionType: normalizedSession.sessionType,
-              leagueId: normalizedSession.leagueId,
-              leagueName: normalizedSession.leagueName,
-              trackName: normalizedSession.trackName,
-              carName: normalizedSession.carName,
-              startTime: normalizedSession.startTime,
-              subSessionId: normalizedSession.subSessionId,
-              seasonId: normalizedSession.seasonId,
+// List a race's adjustments with the resulting official classification
+app.get('/api/admin/results/sessions/:sessionId/adjustments', requirePermission('results:penalize'), async (req, res) => {
+  try {
+    const session = await prisma.iracingSession.findUnique({
+      where: { sessionId: req.params.sessionId },
+      include: {
+        participants: true,
+        adjustments: {
+          orderBy: { createdAt: 'asc' },
+          include: {
+            appliesToRound: {
+              select: { id: true, roundNumber: true, season: { select: { name: true } } },
             },
-          });
-        }
+          },
+        },
+      },
+    });
+    if (!session) {
+      return res.status(404).json({ message: 'Race session not found.' });
+    }
 
-        // Sync participants
-        if (sessionResults.participants && sessionResults.participants.length > 0) {
-          for (const participantData of sessionResults.participants) {
-            const normalizedParticipant = iracingSync.normalizeParticipant(participantData);
-            
-            // Upsert participant (update if exists, create if not)
-            await prisma.iracingSessionParticipant.upsert({
-              where: {
-                sessionId_custId: {
-                  sessionId: sessionRecord.sessionId,
-                  custId: normalizedParticipant.custId,
-                },
-              },
-              create: {
-                sessionId: sessionRecord.sessionId,
-                custId: normalizedParticipant.custId,
-                displayName: normalizedParticipant.displayName,
-                lapsCompleted: normalizedParticipant.lapsCompleted,
-                bestLapTime: normalizedParticipant.bestLapTime,
-                incidents: normalizedParticipant.incidents,
-                finishPosition: normalizedParticipant.finishPosition,
-                startingPosition: normalizedParticipant.startingPosition,
-                totalLaps: normalizedParticipant.totalLaps,
-              },
-              update: {
-                displayName: normalizedParticipant.displayName,
-                lapsCompleted: normalizedParticipant.lapsCompleted,
-                bestLapTime: normalizedParticipant.bestLapTime,
-                incidents: normalizedParticipant.incidents,
-                finishPosition: normalizedParticipant.finishPosition,
-                startingPosition: normalizedParticipant.startingPosition,
-                totalLaps: normalizedParticipant.totalLaps,
-                updatedAt: new Date(),
-              },
-            });
-          }
-        }
+    const names = new Map(session.participants.map((p) => [p.custId, p.displayName]));
+    const official = resultAdjustments.applyAdjustments(session.participants, session.adjustments);
+
+    return res.json({
+      types: resultAdjustments.ADJUSTMENT_TYPES,
+      adjustments: session.adjustments.map((a) => ({
+        ...a,
+        displayName: names.get(a.custId) || null,
+      })),
+      classification: official.map((p) => ({
+        custId: p.custId,
+        displayName: p.displayName,
+        rawFinishPosition: p.rawFinishPosition,
+        finishPosition: p.finishPosition,
+        finish: resultAdjustments.formatFinish(p),
+      })),
+    });
+  } catch (err) {
+    console.error('Get adjustments error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// Apply a penalty/adjustment to a driver's result
+app.post('/api/admin/results/sessions/:sessionId/adjustments', requirePermission('results:penalize'), async (req, res) => {
+  try {
+    const parsed = parseAdjustmentInput(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
 
-        syncedCount++;
-      } catch (sessionErr) {
-        errorCount++;
-        errors.push({
-          sessionId: sessionData.subsession_id || sessionData.session_id,
-          error: sessionErr.message,
+    const custId = parseInt(req.body.custId, 10);
+    const participant = isNaN(custId)
+      ? null
+      : await prisma.iracingSessionParticipant.findUnique({
+          where: { sessionId_custId: { sessionId: req.params.sessionId, custId } },
+          select: { id: true },
         });
-        console.error(`Error syncing session ${sessionData.subsession_id || sessionData.session_id}:`, sessionErr);
-      }
+    if (!participant) {
+      return res.status(404).json({ message: 'Driver not found in this race.' });
     }
 
-    // Update last synced timestamp
-    await prisma.iracingAccount.update({
-      where: { id: account.id },
+    const appliesToRoundId = await adjustmentRoundId(req.params.sessionId, parsed.data.type);
+
+    const adjustment = await prisma.resultAdjustment.create({
       data: {
-        lastSyncedAt: new Date(),
-        updatedAt: new Date(),
+        sessionId: req.params.sessionId,
+        custId,
+        ...parsed.data,
+        appliesToRoundId,
+        createdBy: req.auth.userId,
       },
     });
+    await recordAudit(req, {
+      action: 'adjustment.create',
+      targetType: 'result_adjustment',
+      targetId: adjustment.id,
+      after: adjustment,
+    });
+    scheduleDriverStatsRecompute();
 
     return res.json({
-      message: `Synced ${syncedCount} session(s) successfully.`,
-      synced: syncedCount,
-      errors: errorCount,
-      errorDetails: errors.length > 0 ? errors : undefined,
+      message:
+        parsed.data.type === 'grid_penalty' && !appliesToRoundId
+          ? 'Grid penalty recorded, but there is no next round to serve it in yet.'
+          : 'Adjustment applied successfully.',
+      adjustment,
+    });
+  } catch (err) {
+    console.error('Create adjustment error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// Edit an adjustment (the driver and race stay fixed)
+app.put('/api/admin/adjustments/:id', requirePermission('results:penalize'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ message: 'Invalid adjustment ID.' });
+    }
+
+    const parsed = parseAdjustmentInput(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+
+    const existing = await prisma.resultAdjustment.findUnique({ where: { id } });
+    if (!existing) {
+      return res.status(404).json({ message: 'Adjustment not found.' });
+    }
+
+    const appliesToRoundId = await adjustmentRoundId(existing.sessionId, parsed.data.type);
+
+    const adjustment = await prisma.resultAdjustment.update({
+      where: { id },
+      data: { ...parsed.data, appliesToRoundId },
+    });
+    await recordAudit(req, {
+      action: 'adjustment.update',
+      targetType: 'result_adjustment',
+      targetId: id,
+      before: existing,
+      after: adjustment,
+    });
+    scheduleDriverStatsRecompute();
+
+    return res.json({
+      message: 'Adjustment updated successfully.',
+      adjustment,
+    });
+  } catch (err) {
+    console.error('Update adjustment error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// Remove an adjustment (e.g. overturned on appeal)
+app.delete('/api/admin/adjustments/:id', requirePermission('results:penalize'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) {
+      return res.status(400).json({ message: 'Invalid adjustment ID.' });
+    }
+
+    const deleted = await prisma.resultAdjustment.delete({ where: { id } });
+    await recordAudit(req, {
+      action: 'adjustment.delete',
+      targetType: 'result_adjustment',
+      targetId: id,
+      before: deleted,
     });
+    scheduleDriverStatsRecompute();
+
+    return res.json({ message: 'Adjustment removed successfully.' });
   } catch (err) {
-    console.error('iRacing sync error:', err);
-    return res.status(500).json({ 
-      message: 'Server error during sync.',
-      error: err.message,
-    });
+    if (err.code === 'P2025') {
+      return res.status(404).json({ message: 'Adjustment not found.' });
+    }
+    console.error('Delete adjustment error:', err);
+    return res.status(500).json({ message: 'Server error.' });
   }
 });
 
-// -------- Get iRacing Connection Status --------
-// Get current user's iRacing connection status
-// SECURITY: Requires authentication, filters by req.auth.userId - users can only see their own status
-app.get('/api/iracing/status', requireAuth, async (req, res) => {
+// ---------------------- Protests ----------------------
+// Drivers report incidents from their races; the accused can answer; stewards decide.
+// Only drivers with a linked iRacing account can file or be protested, so everyone involved
+// is identified by their site driver profile, never their iRacing name.
+
+// Protests can be filed for this many days after a race
+const PROTEST_WINDOW_DAYS = parseInt(process.env.PROTEST_WINDOW_DAYS || '7', 10);
+const PROTEST_STATUSES = ['open', 'under_review', 'upheld', 'dismissed', 'withdrawn'];
+const PROTEST_ACTIVE_STATUSES = ['open', 'under_review'];
+
+const PROTEST_INCLUDE = {
+  session: {
+    select: { sessionId: true, trackName: true, carName: true, leagueName: true, startTime: true },
+  },
+  filedBy: { select: { driver: { select: { driverKey: true, displayName: true, number: true } } } },
+  accused: { select: { driver: { select: { driverKey: true, displayName: true, number: true } } } },
+  adjustments: { select: { id: true, type: true, value: true, reason: true } },
+};
+
+/**
+ * Shape a protest (loaded with PROTEST_INCLUDE) for the account page and steward panel
+ * @param {Object} protest - Protest row
+ * @returns {Object} Protest with both drivers' public profiles and any penalties issued
+ */
+function serializeProtest(protest) {
+  const driverOf = (user) =>
+    user && user.driver
+      ? {
+          driverKey: user.driver.driverKey,
+          displayName: user.driver.displayName,
+          number: user.driver.number,
+        }
+      : null;
+
+  return {
+    id: protest.id,
+    status: protest.status,
+    session: protest.session,
+    filedBy: driverOf(protest.filedBy),
+    accused: driverOf(protest.accused),
+    lap: protest.lap,
+    replayTime: protest.replayTime,
+    description: protest.description,
+    accusedStatement: protest.accusedStatement,
+    statementAt: protest.statementAt,
+    decision: protest.decision,
+    decidedAt: protest.decidedAt,
+    penalties: (protest.adjustments || []).map((a) => ({
+      type: a.type,
+      value: a.value,
+      label: resultAdjustments.ADJUSTMENT_TYPES[a.type]?.label || a.type,
+      reason: a.reason,
+    })),
+    createdAt: protest.createdAt,
+  };
+}
+
+/**
+ * Validate a new protest from the account page
+ * @param {Object} body - Request body
+ * @returns {Object} { data } or { error }
+ */
+function parseProtestInput(body) {
+  const sessionId = typeof body.sessionId === 'string' ? body.sessionId.trim() : '';
+  if (!sessionId) return { error: 'Choose the race the incident happened in.' };
+
+  const accusedDriverKey =
+    typeof body.accusedDriverKey === 'string' ? body.accusedDriverKey.trim() : '';
+  if (!accusedDriverKey) return { error: 'Choose the driver you are protesting.' };
+
+  let lap = null;
+  if (body.lap !== undefined && body.lap !== null && String(body.lap).trim() !== '') {
+    lap = Number(body.lap);
+    if (!Number.isInteger(lap) || lap < 0) return { error: 'Lap must be a whole number.' };
+  }
+
+  const replayTime = typeof body.replayTime === 'string' ? body.replayTime.trim() : '';
+  if (replayTime && !/^(\d{1,2}:)?\d{1,2}:\d{2}$/.test(replayTime)) {
+    return { error: 'Replay timestamp must look like 12:34 or 1:02:03.' };
+  }
+
+  const description = typeof body.description === 'string' ? body.description.trim() : '';
+  if (description.length < 10) return { error: 'Describe the incident (at least 10 characters).' };
+  if (description.length > 2000) return { error: 'Description must be 2000 characters or fewer.' };
+
+  return {
+    data: { sessionId, accusedDriverKey, lap, replayTime: replayTime || null, description },
+  };
+}
+
+/**
+ * Earliest race start that can still be protested
+ * @returns {Date} Cut-off date
+ */
+function protestWindowStart() {
+  return new Date(Date.now() - PROTEST_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Races the logged-in driver can protest, with the linked drivers they raced against
+app.get('/api/protests/sessions', requireAuth, async (req, res) => {
   try {
     const account = await prisma.iracingAccount.findUnique({
       where: { userId: req.auth.userId },
-      select: {
-        custId: true,
-        displayName: true,
-        expiresAt: true,
-        lastSyncedAt: true,
-        createdAt: true,
-      },
+      select: { custId: true },
     });
-
     if (!account) {
-      return res.json({
-        connected: false,
-        message: 'iRacing account not connected',
-      });
+      return res.json({ windowDays: PROTEST_WINDOW_DAYS, sessions: [], needsIracing: true });
     }
 
-    const now = new Date();
-    const expiresAt = new Date(account.expiresAt);
-    const isExpired = expiresAt <= now;
+    const races = await prisma.iracingSession.findMany({
+      where: {
+        sessionType: 'race',
+        startTime: { gte: protestWindowStart(), lte: new Date() },
+        participants: { some: { custId: account.custId } },
+      },
+      include: { participants: { select: { custId: true } } },
+      orderBy: { startTime: 'desc' },
+    });
+
+    const opponentIds = [
+      ...new Set(races.flatMap((r) => r.participants.map((p) => p.custId))),
+    ].filter((custId) => custId !== account.custId);
+    const linked = await loadLinkedDrivers(opponentIds);
 
     return res.json({
-      connected: true,
-      custId: account.custId,
-      // PRIVACY: displayName is the user's own iRacing username (user-chosen), not real name
-      // Only returned to authenticated user viewing their own status
-      displayName: account.displayName,
-      expiresAt: account.expiresAt,
-      isExpired,
-      lastSyncedAt: account.lastSyncedAt,
-      connectedAt: account.createdAt,
+      windowDays: PROTEST_WINDOW_DAYS,
+      sessions: races.map((race) => ({
+        sessionId: race.sessionId,
+        trackName: race.trackName,
+        carName: race.carName,
+        leagueName: race.leagueName,
+        startTime: race.startTime,
+        drivers: race.participants
+          .filter((p) => p.custId !== account.custId && linked.has(p.custId))
+          .map((p) => ({
+            driverKey: linked.get(p.custId).driverKey,
+            displayName: linked.get(p.custId).displayName,
+          })),
+      })),
     });
   } catch (err) {
-    console.error('Get iRacing status error:', err);
+    console.error('Protest sessions error:', err);
     return res.status(500).json({ message: 'Server error.' });
   }
 });
 
-// -------- Get League Details --------
-app.get('/api/iracing/league', requireAuth, async (req, res) => {
+// File a protest against another driver
+app.post('/api/protests', requireAuth, async (req, res) => {
   try {
-    // Get user's iRacing account
+    const parsed = parseProtestInput(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+    const { sessionId, accusedDriverKey, ...details } = parsed.data;
+
     const account = await prisma.iracingAccount.findUnique({
       where: { userId: req.auth.userId },
+      select: { custId: true },
     });
-
     if (!account) {
-      return res.status(404).json({ 
-        message: 'iRacing account not connected. Please connect your iRacing account first.' 
-      });
+      return res.status(400).json({ message: 'Connect your iRacing account to file protests.' });
     }
 
-    // Get valid access token
-    let accessToken;
-    try {
-      accessToken = await getValidIracingToken(req.auth.userId);
-    } catch (err) {
-      return res.status(401).json({ 
-        message: 'Failed to get valid access token. Please reconnect your iRacing account.',
-        error: err.message,
+    const session = await prisma.iracingSession.findUnique({
+      where: { sessionId },
+      include: { participants: { select: { custId: true } } },
+    });
+    const raced = (custId) => session.participants.some((p) => p.custId === custId);
+    if (!session || session.sessionType !== 'race' || !raced(account.custId)) {
+      return res.status(404).json({ message: 'You did not take part in this race.' });
+    }
+    if (session.startTime < protestWindowStart()) {
+      return res.status(400).json({
+        message: `Protests must be filed within ${PROTEST_WINDOW_DAYS} days of the race.`,
       });
     }
 
-    // Get league ID from query param or environment variable, default to 13015
-    const leagueId = parseInt(req.query.leagueId || process.env.IRACING_LEAGUE_ID || '13015', 10);
-
-    if (isNaN(leagueId)) {
-      return res.status(400).json({ message: 'Invalid league ID.' });
+    const accused = await prisma.driver.findUnique({
+      where: { driverKey: accusedDriverKey },
+      select: { userId: true, user: { select: { iracingAccount: { select: { custId: true } } } } },
+    });
+    const accusedCustId = accused?.user?.iracingAccount?.custId;
+    if (!accusedCustId || !raced(accusedCustId)) {
+      return res.status(404).json({ message: 'That driver is not a linked driver in this race.' });
+    }
+    if (accused.userId === req.auth.userId) {
+      return res.status(400).json({ message: 'You cannot protest yourself.' });
     }
 
-    // Fetch league details
-    try {
-      const leagueDetails = await iracingLeagueSchedule.getLeagueDetails(accessToken, leagueId);
-      
-      // Get additional information by fetching the full API response
-      // The getLeagueDetails function returns basic info, but we can enhance it
-      return res.json({
-        leagueId: leagueDetails.leagueId,
-        leagueName: leagueDetails.leagueName,
-        ownerId: leagueDetails.ownerId,
-        createdDate: leagueDetails.createdDate,
-        url: leagueDetails.url,
-        rosterCount: leagueDetails.rosterCount,
-      });
-    } catch (apiErr) {
-      console.error('Error fetching league details from iRacing API:', apiErr);
-      return res.status(500).json({ 
-        message: 'Failed to fetch league details from iRacing API.',
-        error: apiErr.message,
+    const duplicate = await prisma.protest.findFirst({
+      where: {
+        sessionId,
+        filedById: req.auth.userId,
+        accusedId: accused.userId,
+        status: { in: PROTEST_ACTIVE_STATUSES },
+      },
+      select: { id: true },
+    });
+    if (duplicate) {
+      return res.status(409).json({
+        message: 'You already have an open protest against this driver for this race.',
       });
     }
+
+    const protest = await prisma.protest.create({
+      data: {
+        sessionId,
+        filedById: req.auth.userId,
+        filerCustId: account.custId,
+        accusedId: accused.userId,
+        accusedCustId,
+        ...details,
+      },
+      include: PROTEST_INCLUDE,
+    });
+
+    return res.json({
+      message: 'Protest filed. The stewards will review it.',
+      protest: serializeProtest(protest),
+    });
   } catch (err) {
-    console.error('Get league details error:', err);
+    console.error('File protest error:', err);
     return res.status(500).json({ message: 'Server error.' });
   }
 });
 
-// -------- Get User's League Sessions (Practice & Race Stats) --------
-// Get league-specific sessions for the current user
-// SECURITY: Requires authentication, filters by req.auth.userId via account lookup - users can only see their own sessions
-app.get('/api/iracing/league-sessions', requireAuth, async (req, res) => {
+// Protests the logged-in driver filed, and protests filed against them
+app.get('/api/protests/mine', requireAuth, async (req, res) => {
   try {
-    const account = await prisma.iracingAccount.findUnique({
-      where: { userId: req.auth.userId },
-      select: { custId: true },
+    const [filed, against] = await Promise.all([
+      prisma.protest.findMany({
+        where: { filedById: req.auth.userId },
+        include: PROTEST_INCLUDE,
+        orderBy: { createdAt: 'desc' },
+      }),
+      prisma.protest.findMany({
+        where: { accusedId: req.auth.userId, status: { not: 'withdrawn' } },
+        include: PROTEST_INCLUDE,
+        orderBy: { createdAt: 'desc' },
+      }),
+    ]);
+
+    return res.json({
+      windowDays: PROTEST_WINDOW_DAYS,
+      filed: filed.map(serializeProtest),
+      against: against.map(serializeProtest),
     });
+  } catch (err) {
+    console.error('My protests error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
 
-    if (!account) {
-      return res.status(404).json({ 
-        message: 'iRacing account not connected.' 
-      });
+// The accused driver's statement (can be revised until the stewards decide)
+app.post('/api/protests/:id/statement', requireAuth, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const protest = isNaN(id) ? null : await prisma.protest.findUnique({ where: { id } });
+    if (!protest || protest.accusedId !== req.auth.userId) {
+      return res.status(404).json({ message: 'Protest not found.' });
+    }
+    if (!PROTEST_ACTIVE_STATUSES.includes(protest.status)) {
+      return res.status(400).json({ message: 'This protest has already been closed.' });
     }
 
-    // Get league ID from query param or environment variable
-    const leagueId = parseInt(req.query.leagueId || process.env.IRACING_LEAGUE_ID || '13015', 10);
+    const statement = typeof req.body.statement === 'string' ? req.body.statement.trim() : '';
+    if (!statement) {
+      return res.status(400).json({ message: 'Statement cannot be empty.' });
+    }
+    if (statement.length > 2000) {
+      return res.status(400).json({ message: 'Statement must be 2000 characters or fewer.' });
+    }
 
-    // Get only league sessions where user participated
-    const sessions = await prisma.iracingSession.findMany({
-      where: {
-        leagueId: leagueId,
-        participants: {
-          some: {
-            custId: account.custId,
-          },
-        },
-      },
-      include: {
-        participants: {
-          where: {
-            custId: account.custId,
-          },
-          take: 1,
-        },
-      },
-      orderBy: {
-        startTime: 'desc',
-      },
+    const updated = await prisma.protest.update({
+      where: { id },
+      data: { accusedStatement: statement, statementAt: new Date() },
+      include: PROTEST_INCLUDE,
     });
 
-    // Calculate statistics
-    const races = sessions.filter(s => s.sessionType === 'race');
-    const practices = sessions.filter(s => s.sessionType === 'practice');
-    
-    // Get unique tracks
-    const tracks = [...new Set(sessions.map(s => s.trackName))];
-    
-    // Get fastest lap times per track
-    const fastestLapsByTrack = {};
-    sessions.forEach(session => {
-      const participant = session.participants[0];
-      if (participant && participant.bestLapTime) {
-        const track = session.trackName;
-        if (!fastestLapsByTrack[track] || participant.bestLapTime < fastestLapsByTrack[track].time) {
-          fastestLapsByTrack[track] = {
-            time: participant.bestLapTime,
-            sessionType: session.sessionType,
-            date: session.startTime,
-            car: session.carName,
-          };
-        }
-      }
+    return res.json({ message: 'Statement submitted.', protest: serializeProtest(updated) });
+  } catch (err) {
+    console.error('Protest statement error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// Withdraw a protest you filed (only before the stewards decide)
+app.post('/api/protests/:id/withdraw', requireAuth, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const protest = isNaN(id) ? null : await prisma.protest.findUnique({ where: { id } });
+    if (!protest || protest.filedById !== req.auth.userId) {
+      return res.status(404).json({ message: 'Protest not found.' });
+    }
+    if (!PROTEST_ACTIVE_STATUSES.includes(protest.status)) {
+      return res.status(400).json({ message: 'This protest has already been closed.' });
+    }
+
+    const updated = await prisma.protest.update({
+      where: { id },
+      data: { status: 'withdrawn' },
+      include: PROTEST_INCLUDE,
     });
 
-    // Get race statistics
-    const raceStats = {
-      totalRaces: races.length,
-      totalPractices: practices.length,
-      totalSessions: sessions.length,
-      wins: races.filter(r => r.participants[0]?.finishPosition === 1).length,
-      podiums: races.filter(r => {
-        const pos = r.participants[0]?.finishPosition;
-        return pos && pos >= 1 && pos <= 3;
-      }).length,
-      bestFinish: Math.min(...races.map(r => r.participants[0]?.finishPosition || 999).filter(p => p < 999)),
-      totalLaps: sessions.reduce((sum, s) => sum + (s.participants[0]?.lapsCompleted || 0), 0),
-      totalIncidents: sessions.reduce((sum, s) => sum + (s.participants[0]?.incidents || 0), 0),
-    };
+    return res.json({ message: 'Protest withdrawn.', protest: serializeProtest(updated) });
+  } catch (err) {
+    console.error('Withdraw protest error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
 
-    // Format response
-    const formattedSessions = sessions.map(session => ({
-      sessionId: session.sessionId,
-      sessionType: session.sessionType,
-      trackName: session.trackName,
-      carName: session.carName,
-      startTime: session.startTime,
-      participant: session.participants[0] ? {
-        lapsCompleted: session.participants[0].lapsCompleted,
-        bestLapTime: session.participants[0].bestLapTime,
-        incidents: session.participants[0].incidents,
-        finishPosition: session.participants[0].finishPosition,
-        startingPosition: session.participants[0].startingPosition,
-      } : null,
-    }));
+// -------- Stewards: protest review --------
+// List protests (optionally by status), oldest unresolved first
+app.get('/api/steward/protests', requirePermission('protests:decide'), async (req, res) => {
+  try {
+    const status = req.query.status ? String(req.query.status) : null;
+    if (status && status !== 'active' && !PROTEST_STATUSES.includes(status)) {
+      return res.status(400).json({ message: 'Invalid status filter.' });
+    }
+
+    const protests = await prisma.protest.findMany({
+      where: status
+        ? { status: status === 'active' ? { in: PROTEST_ACTIVE_STATUSES } : status }
+        : {},
+      include: PROTEST_INCLUDE,
+      orderBy: { createdAt: 'asc' },
+    });
 
     return res.json({
-      sessions: formattedSessions,
-      statistics: raceStats,
-      tracks: tracks.sort(),
-      fastestLapsByTrack,
-      total: formattedSessions.length,
+      statuses: PROTEST_STATUSES,
+      types: resultAdjustments.ADJUSTMENT_TYPES,
+      protests: protests.map((p) => ({
+        ...serializeProtest(p),
+        involvesMe: p.filedById === req.auth.userId || p.accusedId === req.auth.userId,
+      })),
+    });
+  } catch (err) {
+    console.error('Steward protests error:', err);
+    return res.status(500).json({ message: 'Server error.' });
+  }
+});
+
+// Mark a protest as under review so both drivers know the stewards have picked it up
+app.post('/api/steward/protests/:id/review', requirePermission('protests:decide'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const protest = isNaN(id) ? null : await prisma.protest.findUnique({ where: { id } });
+    if (!protest) {
+      return res.status(404).json({ message: 'Protest not found.' });
+    }
+    if (protest.status !== 'open') {
+      return res.status(400).json({ message: 'Only open protests can be taken under review.' });
+    }
+
+    const updated = await prisma.protest.update({
+      where: { id },
+      data: { status: 'under_review' },
+      include: PROTEST_INCLUDE,
     });
+    await recordAudit(req, {
+      action: 'protest.review',
+      targetType: 'protest',
+      targetId: id,
+      before: { status: protest.status },
+      after: { status: updated.status },
+    });
+
+    return res.json({ message: 'Protest is now under review.', protest: serializeProtest(updated) });
   } catch (err) {
-    console.error('Get league sessions error:', err);
+    console.error('Review protest error:', err);
     return res.status(500).json({ message: 'Server error.' });
   }
 });
 
-// -------- Get User's iRacing Sessions --------
-// Get synced sessions for the current user
-// SECURITY: Requires authentication, filters by req.auth.userId via account lookup - users can only see their own sessions
-app.get('/api/iracing/sessions', requireAuth, async (req, res) => {
+// Decide a protest; an upheld protest can penalise the accused driver's result
+app.post('/api/steward/protests/:id/decision', requirePermission('protests:decide'), async (req, res) => {
   try {
-    const account = await prisma.iracingAccount.findUnique({
-      where: { userId: req.auth.userId },
-      select: { custId: true },
-    });
+    const id = parseInt(req.params.id, 10);
+    const protest = isNaN(id) ? null : await prisma.protest.findUnique({ where: { id } });
+    if (!protest) {
+      return res.status(404).json({ message: 'Protest not found.' });
+    }
+    if (!PROTEST_ACTIVE_STATUSES.includes(protest.status)) {
+      return res.status(400).json({ message: 'This protest has already been closed.' });
+    }
+    if (protest.filedById === req.auth.userId || protest.accusedId === req.auth.userId) {
+      return res.status(403).json({ message: 'You cannot decide a protest you are involved in.' });
+    }
 
-    if (!account) {
-      return res.status(404).json({ 
-        message: 'iRacing account not connected.' 
-      });
+    const { outcome, penalty } = req.body;
+    if (!['upheld', 'dismissed'].includes(outcome)) {
+      return res.status(400).json({ message: 'Outcome must be "upheld" or "dismissed".' });
     }
 
-    // Get sessions where user participated
-    const limit = parseInt(req.query.limit) || 50;
-    const offset = parseInt(req.query.offset) || 0;
+    const decision = typeof req.body.decision === 'string' ? req.body.decision.trim() : '';
+    if (!decision) {
+      return res.status(400).json({ message: 'Explain the decision to both drivers.' });
+    }
+    if (decision.length > 2000) {
+      return res.status(400).json({ message: 'Decision must be 2000 characters or fewer.' });
+    }
 
-    const sessions = await prisma.iracingSession.findMany({
-      where: {
-        participants: {
-          some: {
-            custId: account.custId,
-          },
-        },
-      },
-      include: {
-        participants: {
-          where: {
-            custId: account.custId,
-          },
-          take: 1, // Only get current user's participation record
+    let adjustment = null;
+    if (penalty) {
+      if (outcome !== 'upheld') {
+        return res.status(400).json({ message: 'Only an upheld protest can carry a penalty.' });
+      }
+      const parsed = parseAdjustmentInput({ ...penalty, reason: penalty.reason || decision });
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
+      adjustment = {
+        sessionId: protest.sessionId,
+        custId: protest.accusedCustId,
+        ...parsed.data,
+        appliesToRoundId: await adjustmentRoundId(protest.sessionId, parsed.data.type),
+        protestId: protest.id,
+        createdBy: req.auth.userId,
+      };
+    }
+
+    await prisma.$transaction([
+      prisma.protest.update({
+        where: { id },
+        data: {
+          status: outcome,
+          decision,
+          decidedBy: req.auth.userId,
+          decidedAt: new Date(),
         },
+      }),
+      ...(adjustment ? [prisma.resultAdjustment.create({ data: adjustment })] : []),
+    ]);
+
+    const updated = await prisma.protest.findUnique({ where: { id }, include: PROTEST_INCLUDE });
+    await recordAudit(req, {
+      action: 'protest.decide',
+      targetType: 'protest',
+      targetId: id,
+      before: { status: protest.status },
+      after: {
+        status: outcome,
+        decision,
+        penalty: adjustment ? `${adjustment.type} ${adjustment.value ?? ''}`.trim() : null,
       },
-      orderBy: {
-        startTime: 'desc',
-      },
-      take: limit,
-      skip: offset,
     });
-
-    // Format response
-    // PRIVACY: Do NOT include participant displayName - only show stats for authenticated user's own participation
-    const formattedSessions = sessions.map(session => ({
-      sessionId: session.sessionId,
-      sessionType: session.sessionType,
-      leagueId: session.leagueId,
-      leagueName: session.leagueName,
-      trackName: session.trackName,
-      carName: session.carName,
-      startTime: session.startTime,
-      participant: session.participants[0] ? {
-        // Only include stats, NOT displayName or any identifying information
-        lapsCompleted: session.participants[0].lapsCompleted,
-        bestLapTime: session.participants[0].bestLapTime,
-        incidents: session.participants[0].incidents,
-        finishPosition: session.participants[0].finishPosition,
-      } : null,
-    }));
+    if (adjustment) {
+      scheduleDriverStatsRecompute();
+    }
 
     return res.json({
-      sessions: formattedSessions,
-      total: formattedSessions.length,
-      limit,
-      offset,
+      message: adjustment
+        ? 'Protest upheld and penalty applied.'
+        : `Protest ${outcome === 'upheld' ? 'upheld' : 'dismissed'}.`,
+      protest: serializeProtest(updated),
     });
   } catch (err) {
-    console.error('Get iRacing sessions error:', err);
+    console.error('Decide protest error:', err);
     return res.status(500).json({ message: 'Server error.' });
   }
 });
 
-// -------- Sync iRacing League Schedule --------
-// Sync league schedule from iRacing API to calendar events
-// SECURITY: Requires authentication, uses authenticated user's iRacing account
-app.post('/api/iracing/sync-league-schedule', requireAuth, async (req, res) => {
+// ---------------------- Admin: Audit Log ----------------------
+// Read side of recordAudit: a filterable, paginated list for the admin panel and a CSV export.
+
+const AUDIT_LOG_MAX_LIMIT = 200;
+const AUDIT_LOG_EXPORT_MAX = 10000;
+
+/**
+ * Validate audit log filters from the query string
+ * @param {Object} query - { action, actor (username), targetType, targetId, from, to, limit, offset }
+ * @returns {Object} { data: { where, limit, offset } } or { error }
+ */
+function parseAuditLogQuery(query) {
+  const where = {};
+  if (query.action) where.action = String(query.action);
+  if (query.actor) where.actorName = String(query.actor).trim();
+  if (query.targetType) where.targetType = String(query.targetType);
+  if (query.targetId) where.targetId = String(query.targetId).trim();
+
+  for (const [key, op] of [
+    ['from', 'gte'],
+    ['to', 'lte'],
+  ]) {
+    if (!query[key]) continue;
+    const date = new Date(query[key]);
+    if (isNaN(date)) return { error: `Invalid "${key}" date.` };
+    where.createdAt = { ...where.createdAt, [op]: date };
+  }
+
+  const limit = query.limit === undefined ? 50 : parseInt(query.limit, 10);
+  const offset = query.offset === undefined ? 0 : parseInt(query.offset, 10);
+  if (isNaN(limit) || limit < 1 || limit > AUDIT_LOG_MAX_LIMIT) {
+    return { error: `Limit must be between 1 and ${AUDIT_LOG_MAX_LIMIT}.` };
+  }
+  if (isNaN(offset) || offset < 0) {
+    return { error: 'Offset must be zero or more.' };
+  }
+
+  return { data: { where, limit, offset } };
+}
+
+// Audit log entries, newest first
+app.get('/api/admin/audit-log', requirePermission('audit:view'), async (req, res) => {
   try {
-    const { leagueId, seasonId } = req.body;
-    
-    if (!leagueId) {
-      return res.status(400).json({ 
-        message: 'leagueId is required.' 
-      });
-    }
-    
-    // Get user's iRacing account
-    const account = await prisma.iracingAccount.findUnique({
-      where: { userId: req.auth.userId },
-    });
-    
-    if (!account) {
-      return res.status(404).json({ 
-        message: 'iRacing account not connected. Please connect your iRacing account first.' 
-      });
-    }
-    
-    // Get valid access token
-    let accessToken;
-    try {
-      accessToken = await getValidIracingToken(req.auth.userId);
-    } catch (err) {
-      return res.status(401).json({ 
-        message: 'Failed to get valid access token. Please reconnect your iRacing account.',
-        error: err.message,
-      });
-    }
-    
-    // Fetch league schedule as calendar events
-    let calendarEvents;
-    try {
-      calendarEvents = await iracingLeagueSchedule.fetchLeagueScheduleAsCalendarEvents(
-        accessToken,
-        parseInt(leagueId),
-        seasonId ? parseInt(seasonId) : null
-      );
-    } catch (err) {
-      console.error('Failed to fetch league schedule:', err);
-      return res.status(500).json({ 
-        message: 'Failed to fetch league schedule from iRacing API.',
-        error: err.message,
-      });
-    }
-    
-    // Sync calendar events (update existing or create new)
-    let syncedCount = 0;
-    let updatedCount = 0;
-    let createdCount = 0;
-    
-    for (const event of calendarEvents) {
-      // Use iRacing session ID as unique identifier
-      const uniqueKey = event.iracingMetadata?.subsessionId || event.iracingMetadata?.sessionId;
-      
-      if (!uniqueKey) {
-        console.warn('Skipping event without unique identifier:', event);
-        continue;
-      }
-      
-      // Store iRacing metadata in description or as JSON
-      const description = event.description || '';
-      const iracingData = JSON.stringify(event.iracingMetadata || {});
-      const fullDescription = `${description}\n\n[iRacing: ${iracingData}]`;
-      
-      // Check if event already exists (by checking description for iRacing metadata)
-      // Or use a more reliable approach: store iRacing session ID in a custom field
-      // For now, we'll match by title, track, and approximate date
-      const existingEvents = await prisma.calendarEvent.findMany({
-        where: {
-          title: event.title,
-          track: event.track,
-          eventDate: {
-            gte: new Date(new Date(event.eventDate).getTime() - 60 * 60 * 1000), // 1 hour before
-            lte: new Date(new Date(event.eventDate).getTime() + 60 * 60 * 1000), // 1 hour after
-          },
-        },
-      });
-      
-      // Check if any existing event has this iRacing session ID in description
-      const existingEvent = existingEvents.find(e => {
-        if (e.description && e.description.includes('[iRacing:')) {
-          try {
-            const match = e.description.match(/\[iRacing: (.+?)\]/);
-            if (match) {
-              const metadata = JSON.parse(match[1]);
-              return metadata.subsessionId === event.iracingMetadata.subsessionId ||
-                     metadata.sessionId === event.iracingMetadata.sessionId;
-            }
-          } catch (err) {
-            // Ignore parse errors
-          }
-        }
-        return false;
-      });
-      
-      if (existingEvent) {
-        // Update existing event
-        await prisma.calendarEvent.update({
-          where: { id: existingEvent.id },
-          data: {
-            title: event.title,
-            description: fullDescription,
-            eventDate: new Date(event.eventDate),
-            eventType: event.eventType,
-            track: event.track,
-            carClass: event.carClass,
-            status: event.status,
-            isActive: true,
-            updatedAt: new Date(),
-          },
-        });
-        updatedCount++;
-      } else {
-        // Create new event
-        await prisma.calendarEvent.create({
-          data: {
-            title: event.title,
-            description: fullDescription,
-            eventDate: new Date(event.eventDate),
-            eventType: event.eventType,
-            track: event.track,
-            carClass: event.carClass,
-            status: event.status,
-            isActive: true,
-            createdBy: req.auth.userId,
-          },
-        });
-        createdCount++;
-      }
-      syncedCount++;
+    const { data: query, error } = parseAuditLogQuery(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
     }
-    
+
+    const [entries, total] = await Promise.all([
+      prisma.auditLog.findMany({
+        where: query.where,
+        orderBy: { createdAt: 'desc' },
+        take: query.limit,
+        skip: query.offset,
+      }),
+      prisma.auditLog.count({ where: query.where }),
+    ]);
+
     return res.json({
-      message: 'League schedule synced successfully.',
-      synced: syncedCount,
-      created: createdCount,
-      updated: updatedCount,
+      entries: entries.map((entry) => ({
+        ...entry,
+        actionLabel: auditLog.AUDIT_ACTIONS[entry.action] || entry.action,
+        changes: entry.changes ? JSON.parse(entry.changes) : null,
+      })),
+      total,
+      limit: query.limit,
+      offset: query.offset,
+      actions: auditLog.AUDIT_ACTIONS,
     });
   } catch (err) {
-    console.error('Sync league schedule error:', err);
-    return res.status(500).json({ 
-      message: 'Server error syncing league schedule.',
-      error: err.message 
-    });
+    console.error('Audit log error:', err);
+    return res.status(500).json({ message: 'Server error.' });
   }
 });
 
-// -------- Get iRacing League Schedule --------
-// Get league schedule for display (public endpoint, returns synced calendar events)
-app.get('/api/iracing/league-schedule', async (req, res) => {
+// Same filters as a CSV download (newest first, up to AUDIT_LOG_EXPORT_MAX rows)
+app.get('/api/admin/audit-log/export', requirePermission('audit:view'), async (req, res) => {
   try {
-    // Get calendar events that have iRacing metadata
-    const events = await prisma.calendarEvent.findMany({
-      where: {
-        isActive: true,
-        description: {
-          contains: '[iRacing:',
-        },
-      },
-      orderBy: {
-        eventDate: 'asc',
-      },
+    const { data: query, error } = parseAuditLogQuery({
+      ...req.query,
+      limit: undefined,
+      offset: undefined,
     });
-    
-    // Parse iRacing metadata and format response
-    const schedule = events.map(event => {
-      let iracingMetadata = null;
-      if (event.description && event.description.includes('[iRacing:')) {
-        try {
-          const match = event.description.match(/\[iRacing: (.+?)\]/);
-          if (match) {
-            iracingMetadata = JSON.parse(match[1]);
-          }
-        } catch (err) {
-          // Ignore parse errors
-        }
-      }
-      
-      return {
-        id: event.id,
-        title: event.title,
-        description: event.description?.replace(/\[iRacing: .+?\]/, '').trim() || null,
-        eventDate: event.eventDate,
-        eventType: event.eventType,
-        track: event.track,
-        carClass: event.carClass,
-        status: event.status,
-        iracing: iracingMetadata,
-      };
-    });
-    
-    return res.json({
-      schedule: schedule,
-      total: schedule.length,
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const entries = await prisma.auditLog.findMany({
+      where: query.where,
+      orderBy: { createdAt: 'desc' },
+      take: AUDIT_LOG_EXPORT_MAX,
     });
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`
+    );
+    return res.send(auditLog.toCsv(entries));
   } catch (err) {
-    console.error('Get league schedule error:', err);
+    console.error('Audit log export error:', err);
     return res.status(500).json({ message: 'Server error.' });
   }
 });
@@ -3416,7 +7949,7 @@ prisma.$connect()
     // Test if we can query User table (catches missing columns early)
     try {
       await prisma.user.findFirst({
-        select: { id: true, username: true, passwordHash: true, isAdmin: true, createdAt: true }
+        select: { id: true, username: true, passwordHash: true, createdAt: true }
       });
       console.log('✅ User table is accessible');
     } catch (testErr) {
@@ -3426,6 +7959,31 @@ prisma.$connect()
         console.error('   🔧 FIX: Run "npx prisma migrate deploy" to update database schema');
       }
     }
+
+    // iRacing tokens still in plaintext, or under a key that is being rotated out
+    try {
+      if (!TOKEN_KEYRING.currentKeyId) {
+        if (IRACING_CLIENT_ID) {
+          console.warn(
+            '⚠️  TOKEN_ENCRYPTION_KEYS is not set: iRacing accounts cannot be connected or refreshed'
+          );
+        }
+      } else {
+        const stale = await prisma.iracingAccount.count({
+          where: {
+            OR: [{ tokenKeyId: null }, { tokenKeyId: { not: TOKEN_KEYRING.currentKeyId } }],
+          },
+        });
+        if (stale > 0) {
+          console.warn(
+            `⚠️  ${stale} iRacing account(s) have tokens not encrypted with the current key`
+          );
+          console.warn('   🔧 FIX: Run "npm run rotate-token-keys"');
+        }
+      }
+    } catch (tokenErr) {
+      console.error('⚠️  WARNING: iRacing token check failed:', tokenErr.message);
+    }
   })
   .catch((err) => {
     console.error('❌ DATABASE CONNECTION FAILED:', err.message);
@@ -3450,4 +8008,7 @@ prisma.$connect()
 app.listen(PORT, () => {
   console.log(`Server is running at http://localhost:${PORT}`);
   console.log('⚠️  Check above for database connection status');
+  startBackgroundSync();
+  // Stored driver stats may predate the last deploy (e.g. a newly added column)
+  scheduleDriverStatsRecompute();
 });